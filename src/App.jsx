@@ -8,7 +8,8 @@ import {
   DashboardPage,
   MyPortfolioPage,
   RiskAnalysisPage,
-  NextInvestmentPage
+  NextInvestmentPage,
+  CapitalGainsPage
 } from './pages';
 import UpstoxCallbackPage from './pages/UpstoxCallback';
 import ZerodhaCallbackPage from './pages/ZerodhaCallback';
@@ -94,6 +95,13 @@ function AppRoutes() {
           </AppLayout>
         </ProtectedRoute>
       } />
+      <Route path="/tax" element={
+        <ProtectedRoute>
+          <AppLayout>
+            <CapitalGainsPage />
+          </AppLayout>
+        </ProtectedRoute>
+      } />
       <Route path="/callback/upstox" element={
         <ProtectedRoute>
           <UpstoxCallbackPage />
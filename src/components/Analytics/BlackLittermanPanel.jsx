@@ -0,0 +1,211 @@
+/**
+ * Black-Litterman Panel Component
+ * Edit absolute / relative views (on a stock or a whole sector) and compare the
+ * Black-Litterman posterior with the equilibrium prior and the pure HRP allocation
+ */
+
+import { useState, useEffect } from 'react';
+
+const NEW_VIEW = { type: 'relative', long: '', short: '', return: 0.03, confidence: 0.5 };
+
+const formatPct = v => `${(v * 100).toFixed(1)}%`;
+
+/**
+ * Options for a view leg: sectors first, then individual stocks
+ */
+function LegOptions({ sectors, symbols, getLabel }) {
+    return (
+        <>
+            <option value="" disabled>Pick…</option>
+            <optgroup label="Sectors">
+                {sectors.map(s => <option key={s} value={s}>{s}</option>)}
+            </optgroup>
+            <optgroup label="Stocks">
+                {symbols.map(s => <option key={s} value={s}>{getLabel(s)}</option>)}
+            </optgroup>
+        </>
+    );
+}
+
+/**
+ * Describe a view in words, e.g. "IT beats Banking by 3.0%"
+ */
+function describeView(view, getLabel) {
+    const name = leg => getLabel(leg);
+    return view.type === 'relative'
+        ? `${name(view.long)} beats ${name(view.short)} by ${formatPct(view.return)}`
+        : `${name(view.long)} returns ${formatPct(view.return)}`;
+}
+
+export function BlackLittermanPanel({
+    views = [],
+    onChange,
+    symbols = [],
+    sectors = [],
+    model = null,
+    hrpWeights = [],
+    blWeights = [],
+    getLabel = s => s,
+}) {
+    // Views are edited as a draft and only applied on demand (applying re-runs the analysis)
+    const [draft, setDraft] = useState(views);
+    useEffect(() => setDraft(views), [views]);
+
+    const isDirty = JSON.stringify(draft) !== JSON.stringify(views);
+
+    const updateView = (index, patch) => {
+        setDraft(prev => prev.map((v, i) => (i === index ? { ...v, ...patch } : v)));
+    };
+    const removeView = index => setDraft(prev => prev.filter((_, i) => i !== index));
+    const addView = () => setDraft(prev => [...prev, { ...NEW_VIEW, long: sectors[0] || symbols[0] || '' }]);
+
+    const isComplete = v => v.long && (v.type === 'absolute' || (v.short && v.short !== v.long))
+        && Number.isFinite(v.return);
+
+    const modelViews = model?.views || [];
+    const rows = model
+        ? symbols
+            .map((symbol, i) => ({
+                symbol,
+                hrp: hrpWeights[i] ?? 0,
+                prior: model.priorWeights[i],
+                posterior: blWeights[i] ?? 0,
+                implied: model.impliedReturns[i],
+                expected: model.posteriorReturns[i],
+            }))
+            .sort((a, b) => b.posterior - a.posterior)
+        : [];
+
+    return (
+        <div className="bl-panel">
+            <div className="bl-views">
+                {draft.length === 0 && (
+                    <div className="bl-empty text-xs text-muted">
+                        No views - add one to tilt the equilibrium implied by the
+                        {model?.prior === 'hrp' ? ' HRP allocation' : ' market-cap weights'} and
+                        compare the result with HRP.
+                    </div>
+                )}
+                {draft.map((view, i) => {
+                    const applied = modelViews.find(v => v.long === view.long && v.short === view.short
+                        && v.type === view.type);
+                    return (
+                        <div key={i} className="bl-view-row">
+                            <select
+                                className="panel-select"
+                                value={view.type}
+                                onChange={e => updateView(i, { type: e.target.value })}
+                            >
+                                <option value="relative">Relative</option>
+                                <option value="absolute">Absolute</option>
+                            </select>
+                            <select
+                                className="panel-select"
+                                value={view.long}
+                                onChange={e => updateView(i, { long: e.target.value })}
+                            >
+                                <LegOptions sectors={sectors} symbols={symbols} getLabel={getLabel} />
+                            </select>
+                            {view.type === 'relative' && (
+                                <>
+                                    <span className="text-xs text-muted">beats</span>
+                                    <select
+                                        className="panel-select"
+                                        value={view.short || ''}
+                                        onChange={e => updateView(i, { short: e.target.value })}
+                                    >
+                                        <LegOptions sectors={sectors} symbols={symbols} getLabel={getLabel} />
+                                    </select>
+                                </>
+                            )}
+                            <span className="text-xs text-muted">{view.type === 'relative' ? 'by' : 'returns'}</span>
+                            <input
+                                className="bl-input"
+                                type="number"
+                                step="0.5"
+                                value={Math.round(view.return * 1000) / 10}
+                                onChange={e => updateView(i, { return: Number(e.target.value) / 100 })}
+                                title="Annual return (%)"
+                            />
+                            <span className="text-xs text-muted">% / yr, confidence</span>
+                            <input
+                                className="bl-confidence"
+                                type="range"
+                                min="5"
+                                max="95"
+                                step="5"
+                                value={Math.round(view.confidence * 100)}
+                                onChange={e => updateView(i, { confidence: Number(e.target.value) / 100 })}
+                                title="How sure you are: higher pulls the posterior closer to this view"
+                            />
+                            <span className="text-xs">{Math.round(view.confidence * 100)}%</span>
+                            {applied && !isDirty && (
+                                <span
+                                    className="bl-view-result text-xs"
+                                    title={`Equilibrium: ${formatPct(applied.priorReturn)} → posterior: ${formatPct(applied.posteriorReturn)}`}
+                                >
+                                    model: {formatPct(applied.priorReturn)} → {formatPct(applied.posteriorReturn)}
+                                </span>
+                            )}
+                            <button className="btn btn-ghost text-xs" onClick={() => removeView(i)} title="Remove view">
+                                ✕
+                            </button>
+                        </div>
+                    );
+                })}
+                <div className="bl-actions">
+                    <button className="btn btn-ghost text-xs" onClick={addView}>+ Add view</button>
+                    {isDirty && (
+                        <button
+                            className="btn btn-primary text-xs"
+                            disabled={!draft.every(isComplete)}
+                            onClick={() => onChange?.(draft)}
+                        >
+                            Apply views
+                        </button>
+                    )}
+                </div>
+                {!isDirty && draft.length > 0 && (
+                    <div className="text-xs text-muted">
+                        {draft.map(v => describeView(v, getLabel)).join(' · ')}
+                    </div>
+                )}
+            </div>
+
+            {rows.length > 0 && (
+                <div className="weights-table-container">
+                    <table className="weights-table bl-table">
+                        <thead>
+                            <tr>
+                                <th>Symbol</th>
+                                <th>HRP</th>
+                                <th>{model.prior === 'hrp' ? 'Prior (HRP)' : 'Prior (Mkt cap)'}</th>
+                                <th>Black-Litterman</th>
+                                <th>Implied return</th>
+                                <th>Posterior return</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(r => (
+                                <tr key={r.symbol}>
+                                    <td><span style={{ color: 'var(--accent-cyan)' }}>{getLabel(r.symbol)}</span></td>
+                                    <td>{formatPct(r.hrp)}</td>
+                                    <td>{formatPct(r.prior)}</td>
+                                    <td className={r.posterior > r.hrp ? 'positive' : r.posterior < r.hrp ? 'negative' : ''}>
+                                        {formatPct(r.posterior)}
+                                    </td>
+                                    <td>{formatPct(r.implied)}</td>
+                                    <td className={r.expected > r.implied ? 'positive' : r.expected < r.implied ? 'negative' : ''}>
+                                        {formatPct(r.expected)}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default BlackLittermanPanel;
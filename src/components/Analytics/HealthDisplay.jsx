@@ -91,7 +91,7 @@ export function HealthScore({ health }) {
 /**
  * Rebalancing Suggestions Display
  */
-export function RebalancingSuggestions({ suggestions, summary, impact }) {
+export function RebalancingSuggestions({ suggestions, summary, impact, costs = null }) {
     if (!suggestions || suggestions.length === 0) {
         return (
             <div className="rebalancing-empty">
@@ -148,6 +148,13 @@ export function RebalancingSuggestions({ suggestions, summary, impact }) {
                 )}
             </div>
 
+            {costs && costs.totalCost > 0 && (
+                <p className="rebalancing-costs">
+                    Estimated trading costs: <strong>{costs.formatted}</strong>
+                    {' '}({costs.costPercent.toFixed(2)}% of ₹{Math.round(costs.totalTraded).toLocaleString('en-IN')} traded)
+                </p>
+            )}
+
             {summary && <p className="rebalancing-summary">{summary}</p>}
         </div>
     );
@@ -169,6 +176,18 @@ function SuggestionCard({ suggestion }) {
             <div className="suggestion-change" style={{ color }}>
                 {difference > 0 ? '+' : ''}{difference.toFixed(1)}%
             </div>
+            {suggestion.estimatedCost > 0 && (
+                <div
+                    className="suggestion-cost"
+                    title={`Brokerage ₹${suggestion.cost.brokerage.toFixed(2)} · STT ₹${suggestion.cost.stt.toFixed(2)} · `
+                        + `Exchange ₹${suggestion.cost.exchangeCharges.toFixed(2)} · GST ₹${suggestion.cost.gst.toFixed(2)} · `
+                        + `SEBI ₹${suggestion.cost.sebiFees.toFixed(2)} · Stamp ₹${suggestion.cost.stampDuty.toFixed(2)} · `
+                        + `DP ₹${suggestion.cost.dpCharges.toFixed(2)} · Slippage ₹${suggestion.cost.slippage.toFixed(2)}`}
+                >
+                    {suggestion.tradeAmountFormatted}
+                    <span className="suggestion-cost-fee">cost {suggestion.estimatedCostFormatted}</span>
+                </div>
+            )}
             <span className="priority-badge" style={{ background: badge.color }}>
                 {badge.text}
             </span>
@@ -2,3 +2,4 @@ import './Analytics.css';
 
 export { HealthScore, RebalancingSuggestions } from './HealthDisplay';
 export { AllocationSliders, DEFAULT_TARGET_ALLOCATION } from './AllocationSlider';
+export { BlackLittermanPanel } from './BlackLittermanPanel';
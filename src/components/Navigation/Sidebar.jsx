@@ -12,6 +12,7 @@ import {
     PortfolioIcon,
     RiskIcon,
     TipIcon,
+    FolderIcon,
     StructureIcon
 } from '../Icons';
 import WalletWidget from './WalletWidget';
@@ -48,6 +49,7 @@ const NAV_ITEMS = [
     { path: '/portfolio', icon: PortfolioIcon, label: 'My Portfolio', description: 'Current Holdings' },
     { path: '/risk', icon: RiskIcon, label: 'Risk Analysis', description: 'Stress Tests & VaR' },
     { path: '/advisor', icon: TipIcon, label: 'Next Investment', description: 'Gap Analysis' },
+    { path: '/tax', icon: FolderIcon, label: 'Capital Gains', description: 'Schedule 112A & ITR' },
 ];
 
 export function Sidebar() {
@@ -0,0 +1,33 @@
+import { clusterColor } from './clusterColors';
+import './Visualizations.css';
+
+const formatPct = v => `${(v * 100).toFixed(0)}%`;
+
+/**
+ * Cluster Legend component
+ * One swatch per risk bucket: name, member count, HRP weight and share of risk
+ * clusters: runHRP result.clusters ({ method, count, groups })
+ */
+export function ClusterLegend({ clusters, getLabel = s => s }) {
+    if (!clusters || clusters.groups.length === 0) return null;
+
+    return (
+        <div className="cluster-legend">
+            {clusters.groups.map(group => (
+                <span
+                    key={group.id}
+                    className="cluster-legend-item"
+                    title={group.members.map(getLabel).join(', ')}
+                >
+                    <span className="cluster-swatch" style={{ background: clusterColor(group.id) }} />
+                    <span className="cluster-name">{group.name}</span>
+                    <span className="text-muted">
+                        {group.members.length} · {formatPct(group.weight)} wt · {formatPct(group.riskContribution)} risk
+                    </span>
+                </span>
+            ))}
+        </div>
+    );
+}
+
+export default ClusterLegend;
@@ -1,12 +1,14 @@
 import { useRef, useEffect } from 'react';
 import * as d3 from 'd3';
+import { clusterColor } from './clusterColors';
 import './Visualizations.css';
 
 /**
  * Interactive Dendrogram visualization using D3
- * Shows hierarchical clustering of assets
+ * Shows hierarchical clustering of assets; with clusters (runHRP result.clusters) each
+ * risk bucket's branches and leaves are drawn in its own color
  */
-export function Dendrogram({ hierarchy, symbols, width = 800, height = 500 }) {
+export function Dendrogram({ hierarchy, symbols, clusters = null, width = 800, height = 500 }) {
     const svgRef = useRef(null);
 
     useEffect(() => {
@@ -15,7 +17,7 @@ export function Dendrogram({ hierarchy, symbols, width = 800, height = 500 }) {
         const svg = d3.select(svgRef.current);
         svg.selectAll('*').remove();
 
-        const margin = { top: 20, right: 120, bottom: 20, left: 120 };
+        const margin = { top: 20, right: 120, bottom: 30, left: 120 };
         const innerWidth = width - margin.left - margin.right;
         const innerHeight = height - margin.top - margin.bottom;
 
@@ -30,18 +32,51 @@ export function Dendrogram({ hierarchy, symbols, width = 800, height = 500 }) {
         const root = d3.hierarchy(hierarchy);
         cluster(root);
 
+        // Place internal nodes by merge height so the linkage distances are visible
+        // (root on the left at max distance, leaves on the right at zero)
+        const maxDist = root.data.dist || 0;
+        const distScale = d3.scaleLinear()
+            .domain([maxDist, 0])
+            .range([0, innerWidth]);
+
+        if (maxDist > 0) {
+            root.each(d => {
+                d.y = d.children ? distScale(d.data.dist ?? 0) : innerWidth;
+            });
+
+            g.append('g')
+                .attr('class', 'dendrogram-axis')
+                .attr('transform', `translate(0,${innerHeight + 8})`)
+                .call(d3.axisBottom(distScale).ticks(5).tickSizeOuter(0));
+        }
+
         // Color scale for depth
         const colorScale = d3.scaleSequential(d3.interpolateCool)
             .domain([0, root.height]);
 
-        // Draw links
-        const link = g.selectAll('.link')
+        // Risk bucket of each node: a node belongs to a bucket when all its leaves do
+        const groupOf = {};
+        clusters?.groups.forEach(group => group.members.forEach(s => { groupOf[s] = group; }));
+        const nodeGroup = d => {
+            const groups = new Set(d.leaves().map(leaf => groupOf[leaf.data.name]));
+            return groups.size === 1 ? [...groups][0] || null : null;
+        };
+        const nodeFill = d => {
+            const group = nodeGroup(d);
+            if (group) return clusterColor(group.id);
+            return d.children ? colorScale(d.depth) : 'var(--accent-cyan)';
+        };
+
+        // Draw links as right-angle elbows (standard dendrogram shape)
+        g.selectAll('.link')
             .data(root.links())
             .join('path')
             .attr('class', 'dendrogram-link')
-            .attr('d', d3.linkHorizontal()
-                .x(d => d.y)
-                .y(d => d.x));
+            .attr('d', d => `M${d.source.y},${d.source.x}V${d.target.x}H${d.target.y}`)
+            .style('stroke', d => {
+                const group = nodeGroup(d.target);
+                return group ? clusterColor(group.id) : null;
+            });
 
         // Draw nodes
         const node = g.selectAll('.node')
@@ -52,7 +87,7 @@ export function Dendrogram({ hierarchy, symbols, width = 800, height = 500 }) {
 
         node.append('circle')
             .attr('r', d => d.children ? 4 : 6)
-            .attr('fill', d => d.children ? colorScale(d.depth) : 'var(--accent-cyan)')
+            .attr('fill', nodeFill)
             .attr('stroke', 'var(--bg-primary)')
             .attr('stroke-width', 2);
 
@@ -86,6 +121,7 @@ export function Dendrogram({ hierarchy, symbols, width = 800, height = 500 }) {
               <strong>${d.data.name}</strong>
               ${d.children ? `<br/>Cluster size: ${d.leaves().length}` : ''}
               ${d.data.dist !== undefined ? `<br/>Distance: ${d.data.dist.toFixed(4)}` : ''}
+              ${nodeGroup(d) ? `<br/>Risk bucket: ${nodeGroup(d).name}` : ''}
             `);
                 }
             })
@@ -94,12 +130,12 @@ export function Dendrogram({ hierarchy, symbols, width = 800, height = 500 }) {
                     .transition()
                     .duration(200)
                     .attr('r', d.children ? 4 : 6)
-                    .attr('fill', d.children ? colorScale(d.depth) : 'var(--accent-cyan)');
+                    .attr('fill', nodeFill(d));
 
                 d3.select('.dendrogram-tooltip').style('opacity', 0);
             });
 
-    }, [hierarchy, width, height, symbols]);
+    }, [hierarchy, clusters, width, height, symbols]);
 
     if (!hierarchy) {
         return (
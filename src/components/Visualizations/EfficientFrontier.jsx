@@ -0,0 +1,240 @@
+import { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import './Visualizations.css';
+
+// Portfolio marker colors (match PerformanceChart)
+const PORTFOLIO_COLORS = {
+    'HRP': 'var(--accent-green)',
+    'Equal Weight': 'var(--accent-cyan)',
+    'Inverse Volatility': 'var(--accent-yellow)',
+    'Risk Parity': '#a1887f',
+    'Risk Budget': '#a1887f',
+    'Min Variance': 'var(--accent-blue)',
+    'Max Sharpe': 'var(--accent-purple)',
+};
+
+const formatPct = v => `${(v * 100).toFixed(1)}%`;
+
+/**
+ * Efficient Frontier visualization using D3
+ * Annualised volatility vs expected return: the long-only frontier, the capital market
+ * line through the max-Sharpe portfolio, individual stocks, and the HRP / equal-weight /
+ * inverse-vol portfolios placed against it
+ */
+export function EfficientFrontier({
+    frontier,
+    assetLabel = s => s,
+    width = 600,
+    height = 360
+}) {
+    const svgRef = useRef(null);
+
+    useEffect(() => {
+        if (!frontier || !svgRef.current) return;
+
+        const svg = d3.select(svgRef.current);
+        svg.selectAll('*').remove();
+
+        const margin = { top: 20, right: 140, bottom: 40, left: 60 };
+        const innerWidth = width - margin.left - margin.right;
+        const innerHeight = height - margin.top - margin.bottom;
+
+        const g = svg
+            .append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        const markers = [
+            { ...frontier.minVariance, name: 'Min Variance', optimal: true },
+            { ...frontier.maxSharpe, name: 'Max Sharpe', optimal: true },
+            ...frontier.portfolios,
+        ];
+        const allPoints = [...frontier.points, ...frontier.assets, ...markers];
+
+        const xMax = d3.max(allPoints, d => d.volatility) * 1.05;
+        const yExtent = d3.extent(allPoints, d => d.return);
+        const yPadding = (yExtent[1] - yExtent[0]) * 0.1 || 0.01;
+
+        const xScale = d3.scaleLinear()
+            .domain([0, xMax])
+            .range([0, innerWidth]);
+
+        const yScale = d3.scaleLinear()
+            .domain([Math.min(yExtent[0] - yPadding, frontier.riskFreeRate), yExtent[1] + yPadding])
+            .range([innerHeight, 0]);
+
+        // Grid lines
+        g.append('g')
+            .attr('class', 'grid-lines')
+            .selectAll('line')
+            .data(yScale.ticks(5))
+            .join('line')
+            .attr('x1', 0)
+            .attr('x2', innerWidth)
+            .attr('y1', d => yScale(d))
+            .attr('y2', d => yScale(d))
+            .attr('stroke', 'var(--border-primary)')
+            .attr('stroke-dasharray', '2,2');
+
+        // Capital market line: risk-free rate through the tangency portfolio
+        const tangency = frontier.maxSharpe;
+        if (tangency.volatility > 0) {
+            const slope = (tangency.return - frontier.riskFreeRate) / tangency.volatility;
+            g.append('line')
+                .attr('class', 'frontier-cml')
+                .attr('x1', xScale(0))
+                .attr('y1', yScale(frontier.riskFreeRate))
+                .attr('x2', xScale(xMax))
+                .attr('y2', yScale(frontier.riskFreeRate + slope * xMax))
+                .attr('stroke', 'var(--text-tertiary)')
+                .attr('stroke-dasharray', '6,4');
+        }
+
+        // Frontier curve
+        const line = d3.line()
+            .x(d => xScale(d.volatility))
+            .y(d => yScale(d.return))
+            .curve(d3.curveMonotoneY);
+
+        g.append('path')
+            .datum(frontier.points)
+            .attr('class', 'chart-line')
+            .attr('fill', 'none')
+            .attr('stroke', 'var(--text-primary)')
+            .attr('stroke-width', 2)
+            .attr('d', line);
+
+        // Tooltip (container-scoped)
+        const showTooltip = (event, d, title) => {
+            const tooltip = d3.select(svgRef.current.parentNode).select('.chart-tooltip');
+            tooltip
+                .style('opacity', 1)
+                .style('left', `${event.clientX + 15}px`)
+                .style('top', `${event.clientY - 10}px`)
+                .html(`
+              <strong>${title}</strong>
+              <div>Return: ${formatPct(d.return)}</div>
+              <div>Volatility: ${formatPct(d.volatility)}</div>
+              <div>Sharpe: ${d.sharpe.toFixed(2)}</div>
+            `);
+        };
+        const hideTooltip = () => {
+            d3.select(svgRef.current.parentNode).select('.chart-tooltip').style('opacity', 0);
+        };
+
+        // Individual stocks
+        g.selectAll('.frontier-asset')
+            .data(frontier.assets)
+            .join('circle')
+            .attr('class', 'frontier-asset')
+            .attr('cx', d => xScale(d.volatility))
+            .attr('cy', d => yScale(d.return))
+            .attr('r', 3)
+            .attr('fill', 'var(--text-tertiary)')
+            .attr('opacity', 0.6)
+            .on('mouseenter', (event, d) => showTooltip(event, d, assetLabel(d.name)))
+            .on('mouseleave', hideTooltip);
+
+        // Optimal and strategy portfolios
+        g.selectAll('.frontier-marker')
+            .data(markers)
+            .join('path')
+            .attr('class', 'frontier-marker')
+            .attr('transform', d => `translate(${xScale(d.volatility)},${yScale(d.return)})`)
+            .attr('d', d => d3.symbol().type(d.optimal ? d3.symbolDiamond : d3.symbolCircle).size(90)())
+            .attr('fill', d => PORTFOLIO_COLORS[d.name] || 'var(--text-secondary)')
+            .attr('stroke', 'var(--bg-primary)')
+            .attr('stroke-width', 1.5)
+            .on('mouseenter', (event, d) => showTooltip(event, d, d.name))
+            .on('mouseleave', hideTooltip);
+
+        // X Axis
+        g.append('g')
+            .attr('class', 'axis x-axis')
+            .attr('transform', `translate(0,${innerHeight})`)
+            .call(d3.axisBottom(xScale).ticks(6).tickFormat(d => `${(d * 100).toFixed(0)}%`));
+
+        g.append('text')
+            .attr('class', 'legend-text')
+            .attr('x', innerWidth)
+            .attr('y', innerHeight + 32)
+            .attr('text-anchor', 'end')
+            .text('Volatility (annual)');
+
+        // Y Axis
+        g.append('g')
+            .attr('class', 'axis y-axis')
+            .call(d3.axisLeft(yScale).ticks(5).tickFormat(d => `${(d * 100).toFixed(0)}%`));
+
+        g.append('text')
+            .attr('class', 'legend-text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', 0)
+            .attr('y', -46)
+            .attr('text-anchor', 'end')
+            .text('Expected return (annual)');
+
+        // Legend
+        const legend = svg.append('g')
+            .attr('class', 'chart-legend')
+            .attr('transform', `translate(${width - margin.right + 16}, ${margin.top})`);
+
+        const legendItems = [
+            { name: 'Efficient frontier', kind: 'line' },
+            ...markers.map(m => ({ name: m.name, kind: m.optimal ? 'diamond' : 'circle' })),
+            { name: 'Stocks', kind: 'asset' },
+        ];
+
+        legendItems.forEach((item, i) => {
+            const legendItem = legend.append('g')
+                .attr('transform', `translate(0, ${i * 22})`);
+
+            if (item.kind === 'line') {
+                legendItem.append('line')
+                    .attr('x1', 0)
+                    .attr('x2', 16)
+                    .attr('stroke', 'var(--text-primary)')
+                    .attr('stroke-width', 2);
+            } else if (item.kind === 'asset') {
+                legendItem.append('circle')
+                    .attr('cx', 8)
+                    .attr('r', 3)
+                    .attr('fill', 'var(--text-tertiary)');
+            } else {
+                legendItem.append('path')
+                    .attr('transform', 'translate(8,0)')
+                    .attr('d', d3.symbol().type(item.kind === 'diamond' ? d3.symbolDiamond : d3.symbolCircle).size(60)())
+                    .attr('fill', PORTFOLIO_COLORS[item.name] || 'var(--text-secondary)');
+            }
+
+            legendItem.append('text')
+                .attr('x', 22)
+                .attr('y', 0)
+                .attr('dy', '0.35em')
+                .attr('class', 'legend-text')
+                .text(item.name);
+        });
+
+    }, [frontier, assetLabel, width, height]);
+
+    if (!frontier) {
+        return (
+            <div className="viz-placeholder">
+                <span className="terminal-loader">Waiting for data</span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="chart-container">
+            <svg
+                ref={svgRef}
+                width={width}
+                height={height}
+                className="performance-chart-svg"
+            />
+            <div className="chart-tooltip" />
+        </div>
+    );
+}
+
+export default EfficientFrontier;
@@ -1,15 +1,20 @@
 import { useRef, useEffect } from 'react';
 import * as d3 from 'd3';
+import { clusterColor } from './clusterColors';
 import './Visualizations.css';
 
 /**
  * Correlation Heatmap visualization using D3
  * Shows correlation matrix sorted by cluster order
+ * label names the dependence measure shown (e.g. Spearman, Lower tail) in the tooltip;
+ * clusters (runHRP result.clusters) outlines each risk bucket's diagonal block in its color
  */
 export function Heatmap({
     correlationMatrix,
     symbols,
     sortOrder = null,
+    label = 'Correlation',
+    clusters = null,
     width = 600,
     height = 600
 }) {
@@ -30,6 +35,12 @@ export function Heatmap({
             ? sortOrder.map(i => sortOrder.map(j => correlationMatrix[i][j]))
             : correlationMatrix;
 
+        // Risk bucket per displayed row (null without clusters)
+        const orderedGroups = clusters
+            ? (sortOrder || symbols.map((_, i) => i)).map(i => clusters.groups[clusters.assignments[i]])
+            : null;
+        const labelColor = (d, i) => (orderedGroups ? clusterColor(orderedGroups[i].id) : null);
+
         const n = orderedSymbols.length;
         const margin = { top: 80, right: 20, bottom: 20, left: 80 };
         const innerWidth = width - margin.left - margin.right;
@@ -76,7 +87,8 @@ export function Heatmap({
                         .style('top', `${event.clientY - 10}px`)
                         .html(`
               <strong>${orderedSymbols[d.i]} × ${orderedSymbols[d.j]}</strong>
-              <br/>Correlation: <span class="${d.value > 0 ? 'positive' : 'negative'}">${d.value.toFixed(3)}</span>
+              <br/>${label}: <span class="${d.value > 0 ? 'positive' : 'negative'}">${d.value.toFixed(3)}</span>
+              ${orderedGroups && orderedGroups[d.i] === orderedGroups[d.j] ? `<br/>Risk bucket: ${orderedGroups[d.i].name}` : ''}
             `);
                 }
             })
@@ -97,6 +109,7 @@ export function Heatmap({
             .attr('y', (d, i) => i * cellSize + cellSize / 2)
             .attr('dy', '0.35em')
             .attr('text-anchor', 'end')
+            .style('fill', labelColor)
             .text(d => d.replace('.BSE', ''));
 
         // Add column labels (top, rotated)
@@ -108,8 +121,32 @@ export function Heatmap({
             .attr('y', -6)
             .attr('text-anchor', 'start')
             .attr('transform', (d, i) => `rotate(-45, ${i * cellSize + cellSize / 2}, -6)`)
+            .style('fill', labelColor)
             .text(d => d.replace('.BSE', ''));
 
+        // Outline each risk bucket's block on the diagonal (contiguous runs in display order)
+        if (orderedGroups) {
+            const blocks = [];
+            orderedGroups.forEach((group, i) => {
+                const last = blocks[blocks.length - 1];
+                if (last && last.group === group) last.end = i;
+                else blocks.push({ group, start: i, end: i });
+            });
+
+            g.selectAll('.cluster-block')
+                .data(blocks)
+                .join('rect')
+                .attr('class', 'cluster-block')
+                .attr('x', d => d.start * cellSize - 1)
+                .attr('y', d => d.start * cellSize - 1)
+                .attr('width', d => (d.end - d.start + 1) * cellSize + 1)
+                .attr('height', d => (d.end - d.start + 1) * cellSize + 1)
+                .attr('fill', 'none')
+                .attr('stroke', d => clusterColor(d.group.id))
+                .attr('stroke-width', 2)
+                .attr('pointer-events', 'none');
+        }
+
         // Add color legend
         const legendWidth = 200;
         const legendHeight = 10;
@@ -150,7 +187,7 @@ export function Heatmap({
             .attr('class', 'legend-axis')
             .call(legendAxis);
 
-    }, [correlationMatrix, symbols, sortOrder, width, height]);
+    }, [correlationMatrix, symbols, sortOrder, label, clusters, width, height]);
 
     if (!correlationMatrix || !symbols) {
         return (
@@ -1,3 +1,4 @@
+import { useState } from 'react';
 import './Visualizations.css';
 
 // Metric tooltips
@@ -9,6 +10,25 @@ const METRIC_TOOLTIPS = {
     'Sortino Ratio': 'Downside risk-adjusted return',
     'Max Drawdown': 'Largest peak-to-trough decline',
     'Calmar Ratio': 'CAGR divided by Max Drawdown',
+    'Gross Return': 'Total return before trading costs',
+    'Trading Costs': 'Brokerage, statutory charges and slippage as % of starting capital',
+    'Beta': 'Sensitivity to the benchmark: 1.2 means a 1% benchmark move comes with a 1.2% move',
+    "Jensen's Alpha": 'Annual return above what the beta to the benchmark explains (CAPM)',
+    'Tracking Error': 'Annualized volatility of the return difference to the benchmark',
+    'Information Ratio': 'Annual excess return over the benchmark per unit of tracking error',
+    'Up Capture': 'Share of the benchmark\'s gains captured on its up days',
+    'Down Capture': 'Share of the benchmark\'s losses taken on its down days (lower is better)',
+    'Benchmark Correlation': 'Correlation of daily returns with the benchmark',
+    'VaR (95%)': 'Daily loss exceeded on only 5% of days (historical)',
+    'CVaR (95%)': 'Average daily loss on the worst 5% of days (expected shortfall)',
+    'Modified VaR (95%)': 'Normal VaR adjusted for skewness and fat tails (Cornish-Fisher)',
+    'Modified CVaR (95%)': 'Cornish-Fisher expected shortfall on the worst 5% of days',
+    'Omega Ratio': 'Sum of gains over sum of losses relative to the risk-free rate (above 1 is good)',
+    'Ulcer Index': 'Depth and length of drawdowns combined: RMS of the % drop from the peak',
+    'Skewness': 'Asymmetry of daily returns: negative means occasional large losses',
+    'Excess Kurtosis': 'Fat tails: above 0 means extreme days are more common than a normal distribution',
+    'Longest Drawdown': 'Most trading days spent below a previous high',
+    'Time to Recovery': 'Trading days from the max drawdown trough back to the old high',
 };
 
 /**
@@ -66,8 +86,49 @@ export function StrategyComparison({ strategies }) {
         { key: 'maxDrawdown', label: 'Max DD', suffix: '%', highlight: 'min' },
     ];
 
+    // Net-of-cost backtests also report gross return and total trading cost
+    if (strategies.some(s => s.tradingCost !== undefined)) {
+        metricNames.push(
+            { key: 'grossTotalReturn', label: 'Gross Return', suffix: '%', highlight: 'max' },
+            { key: 'tradingCost', label: 'Costs', suffix: '%', highlight: 'min' }
+        );
+    }
+
+    // Relative metrics against the benchmark, under their own heading
+    const benchmark = strategies.find(s => s.benchmark)?.benchmark;
+    if (benchmark) {
+        metricNames.push(
+            { heading: `vs ${benchmark}` },
+            { key: 'beta', label: 'Beta', suffix: '', highlight: null },
+            { key: 'jensensAlpha', label: 'Alpha', suffix: '%', highlight: 'max' },
+            { key: 'trackingError', label: 'Tracking Error', suffix: '%', highlight: null },
+            { key: 'informationRatio', label: 'Info Ratio', suffix: '', highlight: 'max' },
+            { key: 'upCapture', label: 'Up Capture', suffix: '%', highlight: 'max' },
+            { key: 'downCapture', label: 'Down Capture', suffix: '%', highlight: 'min' },
+            { key: 'benchmarkCorrelation', label: 'Correlation', suffix: '', highlight: null }
+        );
+    }
+
+    // Tail and drawdown risk (missing from results cached before these metrics existed)
+    if (strategies.some(s => s.historicalVar !== undefined)) {
+        metricNames.push(
+            { heading: 'Tail & drawdown risk' },
+            { key: 'historicalVar', label: 'VaR 95%', suffix: '%', highlight: 'min' },
+            { key: 'historicalCvar', label: 'CVaR 95%', suffix: '%', highlight: 'min' },
+            { key: 'cornishFisherVar', label: 'Modified VaR', suffix: '%', highlight: 'min' },
+            { key: 'cornishFisherCvar', label: 'Modified CVaR', suffix: '%', highlight: 'min' },
+            { key: 'omegaRatio', label: 'Omega', suffix: '', highlight: 'max' },
+            { key: 'ulcerIndex', label: 'Ulcer Index', suffix: '', highlight: 'min' },
+            { key: 'skewness', label: 'Skew', suffix: '', highlight: 'max' },
+            { key: 'kurtosis', label: 'Excess Kurtosis', suffix: '', highlight: null },
+            { key: 'longestDrawdown', label: 'Longest DD', suffix: ' d', highlight: 'min', digits: 0 },
+            { key: 'timeToRecovery', label: 'Recovery', suffix: ' d', highlight: 'min', digits: 0 }
+        );
+    }
+
     const getBestValue = (key, highlight) => {
-        const values = strategies.map(s => s[key]);
+        if (!highlight) return undefined;
+        const values = strategies.map(s => s[key]).filter(v => v !== undefined && v !== null);
         return highlight === 'max' ? Math.max(...values) : Math.min(...values);
     };
 
@@ -87,13 +148,28 @@ export function StrategyComparison({ strategies }) {
                     </tr>
                 </thead>
                 <tbody>
-                    {metricNames.map(({ key, label, suffix, highlight }) => {
+                    {metricNames.map(({ key, label, suffix, highlight, heading, digits = 2 }) => {
+                        if (heading) {
+                            return (
+                                <tr key={heading}>
+                                    <td colSpan={strategies.length + 1} style={{ color: 'var(--text-tertiary)', fontWeight: 600 }}>
+                                        {heading}
+                                    </td>
+                                </tr>
+                            );
+                        }
                         const best = getBestValue(key, highlight);
                         return (
                             <tr key={key}>
                                 <td style={{ color: 'var(--text-tertiary)' }}>{label}</td>
                                 {strategies.map(s => {
                                     const value = s[key];
+                                    if (value === undefined) {
+                                        return <td key={s.name} style={{ color: 'var(--text-tertiary)' }}>—</td>;
+                                    }
+                                    if (value === null) {
+                                        return <td key={s.name} style={{ color: 'var(--accent-red)' }}>Not yet</td>;
+                                    }
                                     const isBest = value === best;
                                     return (
                                         <td
@@ -103,7 +179,7 @@ export function StrategyComparison({ strategies }) {
                                                 fontWeight: isBest ? 600 : 400,
                                             }}
                                         >
-                                            {value.toFixed(2)}{suffix}
+                                            {value.toFixed(digits)}{suffix}
                                         </td>
                                     );
                                 })}
@@ -116,4 +192,60 @@ export function StrategyComparison({ strategies }) {
     );
 }
 
+/**
+ * Drawdown Episodes component
+ * The deepest drawdowns of one strategy: peak, trough and recovery dates
+ */
+export function DrawdownEpisodes({ strategies }) {
+    const withEpisodes = (strategies || []).filter(s => s.drawdowns);
+    const [selected, setSelected] = useState('HRP');
+
+    if (withEpisodes.length === 0) return null;
+
+    const strategy = withEpisodes.find(s => s.name === selected) || withEpisodes[0];
+
+    return (
+        <div className="drawdown-episodes">
+            <div className="drawdown-episodes-header">
+                <span className="text-xs text-muted">Worst drawdowns</span>
+                <select
+                    className="panel-select"
+                    value={strategy.name}
+                    onChange={e => setSelected(e.target.value)}
+                >
+                    {withEpisodes.map(s => (
+                        <option key={s.name} value={s.name}>{s.name}</option>
+                    ))}
+                </select>
+            </div>
+            {strategy.drawdowns.length === 0 ? (
+                <div className="text-xs text-muted">No drawdowns in this period</div>
+            ) : (
+                <table className="weights-table">
+                    <thead>
+                        <tr>
+                            <th>Depth</th>
+                            <th>Peak</th>
+                            <th>Trough</th>
+                            <th>Recovered</th>
+                            <th>Days under water</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {strategy.drawdowns.map(dd => (
+                            <tr key={dd.start}>
+                                <td className="negative">-{dd.depth.toFixed(2)}%</td>
+                                <td>{dd.start}</td>
+                                <td>{dd.trough}</td>
+                                <td>{dd.recovery ?? 'Not yet'}</td>
+                                <td>{dd.duration}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
 export default MetricsPanel;
@@ -1,5 +1,6 @@
 import { useRef, useEffect } from 'react';
 import * as d3 from 'd3';
+import { BENCHMARK_INDICES } from '../../data/assetUniverse';
 import './Visualizations.css';
 
 // Strategy colors
@@ -8,11 +9,28 @@ const STRATEGY_COLORS = {
     'Equal Weight': 'var(--accent-cyan)',
     'Inverse Volatility': 'var(--accent-yellow)',
     'NIFTY 50': '#ff7f0e',  // Orange for benchmark
+    'HRP (Classic)': 'var(--accent-purple)',
+    'HRP (Tree)': 'var(--accent-blue)',
+    'HERC': '#e91e63',
+    'NCO': '#8bc34a',
+    'Risk Parity': '#a1887f',
+    'Risk Budget': '#a1887f',
+    'Black-Litterman': '#ff5252',
+    // HRP under each rebalancing mode (drawn dashed as a reference)
+    'HRP (Daily rebalanced)': 'var(--accent-green)',
+    'HRP (Buy & hold)': 'var(--accent-green)',
+    'HRP (Monthly rebalanced)': 'var(--accent-green)',
+    'HRP (Quarterly rebalanced)': 'var(--accent-green)',
 };
 
+// Every selectable benchmark index shares the benchmark orange
+BENCHMARK_INDICES.forEach(({ name }) => {
+    STRATEGY_COLORS[name] = STRATEGY_COLORS[name] || '#ff7f0e';
+});
+
 /**
  * Performance Chart visualization using D3
- * Shows cumulative returns comparison
+ * Shows cumulative returns comparison; series with dashed: true are reference lines
  */
 export function PerformanceChart({
     series,
@@ -92,6 +110,8 @@ export function PerformanceChart({
                 .attr('fill', 'none')
                 .attr('stroke', STRATEGY_COLORS[s.name] || 'var(--text-secondary)')
                 .attr('stroke-width', 2)
+                .attr('stroke-dasharray', s.dashed ? '6,4' : null)
+                .attr('opacity', s.dashed ? 0.7 : 1)
                 .attr('d', line);
         });
 
@@ -121,7 +141,8 @@ export function PerformanceChart({
                 .attr('y1', 0)
                 .attr('y2', 0)
                 .attr('stroke', STRATEGY_COLORS[s.name] || 'var(--text-secondary)')
-                .attr('stroke-width', 2);
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', s.dashed ? '6,4' : null);
 
             legendItem.append('text')
                 .attr('x', 25)
@@ -0,0 +1,67 @@
+import './Visualizations.css';
+
+const formatPct = v => `${(v * 100).toFixed(1)}%`;
+
+/**
+ * Risk Contribution Table component
+ * Side by side per asset: target risk budget, the risk budgeting portfolio's realized
+ * contribution, and HRP's contribution for reference. Bars share one scale.
+ * rows: [{ symbol, target, realized, hrp }] with shares of total risk (0-1)
+ */
+export function RiskContributionTable({ rows, name = 'Risk Parity' }) {
+    if (!rows || rows.length === 0) {
+        return (
+            <div className="viz-placeholder">
+                <span className="terminal-loader">Waiting for data</span>
+            </div>
+        );
+    }
+
+    const maxShare = Math.max(...rows.flatMap(r => [r.target, r.realized, r.hrp]));
+    const bar = (value, className) => (
+        <div className="weight-bar">
+            <div className="weight-bar-track">
+                <div
+                    className={`weight-bar-fill ${className}`}
+                    style={{ width: `${(Math.max(value, 0) / maxShare) * 100}px` }}
+                />
+            </div>
+            <span className="weight-value">{formatPct(value)}</span>
+        </div>
+    );
+
+    return (
+        <div className="weights-table-container">
+            <table className="weights-table risk-contribution-table">
+                <thead>
+                    <tr>
+                        <th>Symbol</th>
+                        <th>Target</th>
+                        <th>{name}</th>
+                        <th>HRP</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(r => (
+                        <tr key={r.symbol}>
+                            <td>
+                                <span style={{ color: 'var(--accent-cyan)' }}>
+                                    {r.symbol.replace('.BSE', '')}
+                                </span>
+                            </td>
+                            <td>{bar(r.target, 'target')}</td>
+                            <td title={`Off target by ${((r.realized - r.target) * 100).toFixed(2)} pts`}>
+                                {bar(r.realized, 'realized')}
+                            </td>
+                            <td title={`Off target by ${((r.hrp - r.target) * 100).toFixed(2)} pts`}>
+                                {bar(r.hrp, 'hrp')}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default RiskContributionTable;
@@ -1,8 +1,34 @@
 import './Visualizations.css';
 
+// Labels for constraints that bind a weight (from constrained HRP)
+const BINDING_LABELS = {
+    min: 'MIN',
+    max: 'MAX',
+    sector: 'SECTOR',
+};
+
+/**
+ * Describe a binding constraint for the badge tooltip
+ */
+function bindingTitle(binding) {
+    const limit = `${(binding.limit * 100).toFixed(1)}%`;
+    if (binding.type === 'sector') return `${binding.sector} sector capped at ${limit}`;
+    return binding.type === 'min' ? `Held at minimum weight ${limit}` : `Capped at maximum weight ${limit}`;
+}
+
+/**
+ * Tooltip for a bootstrap interval
+ */
+function intervalTitle(interval) {
+    const pct = v => `${(v * 100).toFixed(1)}%`;
+    return `Bootstrap 90% interval ${pct(interval.p5)} – ${pct(interval.p95)} (median ${pct(interval.median)})`;
+}
+
 /**
  * Weights Table component
- * Displays portfolio weights with visual bars
+ * Displays portfolio weights with visual bars, a badge on weights held at a
+ * min / max / sector constraint, and bootstrap error bars (5th-95th percentile)
+ * when weights carry an interval: { p5, median, p95 }
  */
 export function WeightsTable({ weights, onExport }) {
     if (!weights || weights.length === 0) {
@@ -13,12 +39,15 @@ export function WeightsTable({ weights, onExport }) {
         );
     }
 
-    const maxWeight = Math.max(...weights.map(w => w.weight));
+    const maxWeight = Math.max(...weights.map(w => Math.max(w.weight, w.interval?.p95 ?? 0)));
+    const hasIntervals = weights.some(w => w.interval);
 
     const handleExportCSV = () => {
         const csv = [
-            ['Symbol', 'Weight %'],
-            ...weights.map(w => [w.symbol, w.percentage])
+            hasIntervals ? ['Symbol', 'Weight %', 'P5 %', 'Median %', 'P95 %'] : ['Symbol', 'Weight %'],
+            ...weights.map(w => hasIntervals && w.interval
+                ? [w.symbol, w.percentage, ...[w.interval.p5, w.interval.median, w.interval.p95].map(v => (v * 100).toFixed(2))]
+                : [w.symbol, w.percentage])
         ].map(row => row.join(',')).join('\n');
 
         const blob = new Blob([csv], { type: 'text/csv' });
@@ -60,14 +89,44 @@ export function WeightsTable({ weights, onExport }) {
                                 <span style={{ color: 'var(--accent-cyan)' }}>
                                     {w.symbol.replace('.BSE', '')}
                                 </span>
+                                {w.binding && (
+                                    <span
+                                        className={`constraint-badge ${w.binding.type}`}
+                                        title={bindingTitle(w.binding)}
+                                    >
+                                        {BINDING_LABELS[w.binding.type]}
+                                    </span>
+                                )}
                             </td>
                             <td>
                                 <div className="weight-bar">
-                                    <div
-                                        className="weight-bar-fill"
-                                        style={{ width: `${(w.weight / maxWeight) * 100}px` }}
-                                    />
+                                    <div className="weight-bar-track">
+                                        <div
+                                            className="weight-bar-fill"
+                                            style={{ width: `${(w.weight / maxWeight) * 100}px` }}
+                                        />
+                                        {w.interval && (
+                                            <div
+                                                className="weight-error-bar"
+                                                title={intervalTitle(w.interval)}
+                                                style={{
+                                                    left: `${(w.interval.p5 / maxWeight) * 100}px`,
+                                                    width: `${((w.interval.p95 - w.interval.p5) / maxWeight) * 100}px`,
+                                                }}
+                                            >
+                                                <span
+                                                    className="weight-error-median"
+                                                    style={{ left: `${((w.interval.median - w.interval.p5) / maxWeight) * 100}px` }}
+                                                />
+                                            </div>
+                                        )}
+                                    </div>
                                     <span className="weight-value">{w.percentage}</span>
+                                    {w.interval && (
+                                        <span className="weight-interval" title={intervalTitle(w.interval)}>
+                                            {(w.interval.p5 * 100).toFixed(1)}–{(w.interval.p95 * 100).toFixed(1)}
+                                        </span>
+                                    )}
                                 </div>
                             </td>
                         </tr>
@@ -0,0 +1,11 @@
+import * as d3 from 'd3';
+
+/**
+ * Color of a risk bucket (runHRP clusters.groups[].id); shared by Dendrogram, Heatmap
+ * and ClusterLegend
+ * @param {number} id
+ * @returns {string}
+ */
+export function clusterColor(id) {
+    return d3.schemeTableau10[id % d3.schemeTableau10.length];
+}
@@ -1,5 +1,9 @@
 export { Dendrogram } from './Dendrogram';
 export { Heatmap } from './Heatmap';
+export { ClusterLegend } from './ClusterLegend';
+export { clusterColor } from './clusterColors';
 export { PerformanceChart } from './PerformanceChart';
 export { WeightsTable } from './WeightsTable';
-export { MetricsPanel, StrategyComparison } from './MetricsPanel';
+export { MetricsPanel, StrategyComparison, DrawdownEpisodes } from './MetricsPanel';
+export { EfficientFrontier } from './EfficientFrontier';
+export { RiskContributionTable } from './RiskContributionTable';
@@ -8,6 +8,7 @@ import { fetchSectorsFromYahoo } from '../lib/data/yahooFinance';
 
 // Cache for fetched data
 let sectorCache = {};
+let marketCapCache = {};
 let componentsCache = {};
 let cacheTime = {};
 const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
@@ -38,6 +39,15 @@ export const SECTOR_COLORS = {
     Other: '#666666',
 };
 
+// Benchmark indices for backtests (Yahoo Finance symbols)
+export const BENCHMARK_INDICES = [
+    { symbol: '^NSEI', name: 'NIFTY 50' },
+    { symbol: '^NSMIDCP', name: 'NIFTY Next 50' },
+    { symbol: '^CRSLDX', name: 'NIFTY 500' },
+    { symbol: '^NSEBANK', name: 'NIFTY Bank' },
+    { symbol: '^CNXIT', name: 'NIFTY IT' },
+];
+
 /**
  * Get sector for a symbol FROM DATABASE
  */
@@ -133,6 +143,46 @@ export async function fetchSectorCache(symbols) {
 }
 
 
+/**
+ * Pre-fetch market caps (₹ crore) for a list of symbols FROM DATABASE
+ * Symbols without a market cap in stock_master are left out
+ * @returns {Promise<Object>} - { [symbol]: market_cap_cr } keyed by the symbols passed in
+ */
+export async function fetchMarketCaps(symbols) {
+    const tradingSymbols = symbols.map(s => s.replace('.NS', '').replace('.BSE', ''));
+    const missing = tradingSymbols.filter(s => marketCapCache[s] === undefined);
+
+    if (missing.length > 0) {
+        try {
+            const { data, error } = await supabase
+                .from('stock_master')
+                .select('trading_symbol, market_cap_cr')
+                .in('trading_symbol', missing);
+
+            if (!error && data) {
+                data.forEach(row => {
+                    const cap = Number(row.market_cap_cr);
+                    if (cap > 0) marketCapCache[row.trading_symbol] = cap;
+                });
+            }
+        } catch (err) {
+            console.warn('fetchMarketCaps error:', err.message);
+        }
+    }
+
+    return getMarketCaps(symbols);
+}
+
+/**
+ * Sync version - market caps from the cache filled by fetchMarketCaps()
+ * @returns {Object} - { [symbol]: market_cap_cr } for the symbols with a known market cap
+ */
+export function getMarketCaps(symbols) {
+    return Object.fromEntries(symbols
+        .map(s => [s, marketCapCache[s.replace('.NS', '').replace('.BSE', '')]])
+        .filter(([, cap]) => cap > 0));
+}
+
 /**
  * Fetch index components FROM DATABASE
  */
@@ -272,10 +322,13 @@ export default {
     getSector,
     getSectorAsync,
     fetchSectorCache,
+    fetchMarketCaps,
+    getMarketCaps,
     fetchIndexComponents,
     getAssetName,
     getAssetNameAsync,
     getAssetBySymbol,
     searchStocks,
     SECTOR_COLORS,
+    BENCHMARK_INDICES,
 };
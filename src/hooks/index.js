@@ -1,3 +1,4 @@
 export { usePrices } from './usePrices';
 export { usePortfolios } from './usePortfolios';
 export { useHRP } from './useHRP';
+export { useTransactions } from './useTransactions';
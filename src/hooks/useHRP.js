@@ -1,126 +1,230 @@
-import { useState, useMemo, useCallback, useEffect } from 'react';
-import { runHRP, runBacktestComparison } from '../lib/hrp';
+import { useState, useMemo, useCallback, useEffect, useRef } from 'react';
+import { runAnalysis } from '../lib/hrp/analysis';
 
 // Storage key for HRP results
 const HRP_STORAGE_KEY = 'structura_hrp_result';
 
 /**
- * Hook for running HRP analysis
- * Now persists results to localStorage for cross-navigation persistence
+ * Shape backtests into the series/metrics format used by PerformanceChart and StrategyComparison
+ * Reference backtests are drawn as dashed lines but left out of the metrics
  */
-export function useHRP() {
-    // Initialize from localStorage if available
-    const [result, setResult] = useState(() => {
-        try {
-            const cached = localStorage.getItem(HRP_STORAGE_KEY);
-            if (cached) {
-                const parsed = JSON.parse(cached);
-                // Only restore if not too old (1 hour)
-                if (parsed.timestamp && (Date.now() - parsed.timestamp) < 3600000) {
-                    return parsed.result;
-                }
-            }
-        } catch (e) { console.warn('Could not restore HRP result:', e); }
-        return null;
-    });
+function toChartData(backtests, references = []) {
+    const dates = backtests[0]?.dates || [];
 
-    const [backtest, setBacktest] = useState(() => {
-        try {
-            const cached = localStorage.getItem(HRP_STORAGE_KEY);
-            if (cached) {
-                const parsed = JSON.parse(cached);
-                if (parsed.timestamp && (Date.now() - parsed.timestamp) < 3600000) {
-                    return parsed.backtest;
-                }
-            }
-        } catch (e) { /* ignore */ }
-        return null;
+    const toSeries = (bt, dashed) => ({
+        name: bt.name,
+        dashed,
+        data: bt.cumulativeReturns.slice(1).map((value, i) => ({
+            date: dates[i],
+            value: (value - 1) * 100, // Convert to percentage
+        })),
     });
 
-    const [loading, setLoading] = useState(false);
-    const [error, setError] = useState(null);
+    const series = [
+        ...backtests.map(bt => toSeries(bt, false)),
+        ...references.map(bt => toSeries(bt, true)),
+    ];
 
-    const analyze = useCallback((priceData, niftyData = null) => {
-        setLoading(true);
-        setError(null);
+    return {
+        dates,
+        series,
+        metrics: backtests.map(bt => ({
+            name: bt.name,
+            benchmark: bt.benchmark,
+            drawdowns: bt.drawdowns,
+            ...bt.metrics,
+        })),
+    };
+}
 
-        try {
-            // Run HRP analysis
-            const hrpResult = runHRP(priceData);
-            setResult(hrpResult);
-
-            // Calculate NIFTY 50 simple returns with dates for alignment
-            let niftyReturnsWithDates = null;
-            if (niftyData && niftyData.length > 1) {
-                niftyReturnsWithDates = [];
-                for (let i = 1; i < niftyData.length; i++) {
-                    const prevClose = niftyData[i - 1].close;
-                    const currClose = niftyData[i].close;
-                    if (prevClose > 0 && currClose > 0) {
-                        niftyReturnsWithDates.push({
-                            date: niftyData[i].date,
-                            return: (currClose / prevClose) - 1
-                        });
-                    }
-                }
+// Cached results older than this are not restored
+const HRP_CACHE_MAX_AGE = 3600000;   // 1 hour
+
+/**
+ * One field of the cached HRP analysis, if the cache is fresh
+ * @param {string} key - result, backtest or walkForward
+ * @param {*} fallback - Returned when there is no fresh cached value
+ * @returns {*}
+ */
+function readStoredOption(key, fallback) {
+    try {
+        const cached = localStorage.getItem(HRP_STORAGE_KEY);
+        if (cached) {
+            const parsed = JSON.parse(cached);
+            if (parsed.timestamp && (Date.now() - parsed.timestamp) < HRP_CACHE_MAX_AGE) {
+                return parsed[key] ?? fallback;
             }
+        }
+    } catch (e) { console.warn(`Could not restore cached HRP ${key}:`, e); }
+    return fallback;
+}
 
-            // Align NIFTY returns with HRP dates
-            let alignedNiftyReturns = null;
-            if (niftyReturnsWithDates && hrpResult.dates) {
-                const niftyByDate = {};
-                niftyReturnsWithDates.forEach(r => { niftyByDate[r.date] = r.return; });
+/**
+ * Hook for running HRP analysis
+ * The analysis runs in a Web Worker with progress updates and can be cancelled;
+ * results persist to localStorage for cross-navigation persistence
+ */
+export function useHRP() {
+    // Initialize from localStorage if available
+    const [result, setResult] = useState(() => readStoredOption('result', null));
+    const [backtest, setBacktest] = useState(() => readStoredOption('backtest', null));
+    const [walkForward, setWalkForward] = useState(() => readStoredOption('walkForward', null));
 
-                alignedNiftyReturns = hrpResult.dates.map(date =>
-                    niftyByDate[date] !== undefined ? niftyByDate[date] : 0
-                );
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [progress, setProgress] = useState(null);
 
-                console.log(`NIFTY alignment: ${alignedNiftyReturns.filter(r => r !== 0).length}/${hrpResult.dates.length} dates matched`);
-            }
+    // One HRP worker at a time; the pending request is { id, resolve }
+    const workerRef = useRef(null);
+    const pendingRef = useRef(null);
+    const nextIdRef = useRef(0);
 
-            // Run backtest comparison with NIFTY 50 benchmark
-            const backtestResult = runBacktestComparison(hrpResult, alignedNiftyReturns);
-            setBacktest(backtestResult);
+    const stopWorker = useCallback(() => {
+        workerRef.current?.terminate();
+        workerRef.current = null;
+        pendingRef.current?.resolve(null);
+        pendingRef.current = null;
+    }, []);
 
-            // Persist to localStorage for cross-navigation persistence
-            try {
-                localStorage.setItem(HRP_STORAGE_KEY, JSON.stringify({
-                    result: hrpResult,
-                    backtest: backtestResult,
-                    timestamp: Date.now()
-                }));
-            } catch (e) { console.warn('Could not cache HRP result:', e); }
-
-            return { hrpResult, backtestResult };
-        } catch (err) {
-            setError(err.message);
-            console.error('HRP analysis error:', err);
-            throw err;
-        } finally {
-            setLoading(false);
-        }
+    // Terminate a running analysis when the component unmounts
+    useEffect(() => stopWorker, [stopWorker]);
+
+    const applyResult = useCallback(({ hrpResult, backtestResult, walkForwardResult }) => {
+        setResult(hrpResult);
+        setBacktest(backtestResult);
+        setWalkForward(walkForwardResult);
+
+        // Persist to localStorage for cross-navigation persistence
+        try {
+            localStorage.setItem(HRP_STORAGE_KEY, JSON.stringify({
+                result: hrpResult,
+                backtest: backtestResult,
+                walkForward: walkForwardResult,
+                timestamp: Date.now()
+            }));
+        } catch (e) { console.warn('Could not cache HRP result:', e); }
     }, []);
 
     const clear = useCallback(() => {
+        stopWorker();
+        setLoading(false);
+        setProgress(null);
         setResult(null);
         setBacktest(null);
+        setWalkForward(null);
         setError(null);
         localStorage.removeItem(HRP_STORAGE_KEY);
-    }, []);
+    }, [stopWorker]);
+
+    /**
+     * Run HRP + backtests in the HRP worker (main thread fallback without Worker support)
+     * A new call supersedes a running one. Passing no price data clears the analysis.
+     * Never rejects: a failed analysis sets error and resolves null.
+     * @returns {Promise<Object|null>} - { hrpResult, backtestResult, walkForwardResult },
+     *   or null when cancelled / superseded / failed
+     */
+    const analyze = useCallback((priceData, benchmarkData = null, options = {}) => {
+        if (!priceData) {
+            clear();
+            return Promise.resolve(null);
+        }
+
+        stopWorker();
+        setLoading(true);
+        setError(null);
+        setProgress({ stage: 'Starting', progress: 0 });
+
+        const finish = () => {
+            setLoading(false);
+            setProgress(null);
+        };
+        const fail = err => {
+            setError(err.message);
+            console.error('HRP analysis error:', err);
+            finish();
+        };
+
+        if (typeof Worker === 'undefined') {
+            try {
+                const output = runAnalysis(priceData, benchmarkData, options, setProgress);
+                applyResult(output);
+                finish();
+                return Promise.resolve(output);
+            } catch (err) {
+                fail(err);
+                return Promise.resolve(null);
+            }
+        }
+
+        const id = ++nextIdRef.current;
+        const worker = new Worker(new URL('../lib/hrp/worker.js', import.meta.url), { type: 'module' });
+        workerRef.current = worker;
+
+        return new Promise(resolve => {
+            pendingRef.current = { id, resolve };
+
+            worker.onmessage = ({ data }) => {
+                if (data.id !== id || pendingRef.current?.id !== id) return;
+
+                if (data.type === 'progress') {
+                    setProgress({ stage: data.stage, progress: data.progress });
+                    return;
+                }
+
+                pendingRef.current = null;
+                worker.terminate();
+                workerRef.current = null;
+
+                if (data.type === 'result') {
+                    const { hrpResult, backtestResult, walkForwardResult } = data;
+                    applyResult({ hrpResult, backtestResult, walkForwardResult });
+                    finish();
+                    resolve({ hrpResult, backtestResult, walkForwardResult });
+                } else {
+                    fail(new Error(data.message));
+                    resolve(null);
+                }
+            };
+
+            worker.onerror = event => {
+                if (pendingRef.current?.id !== id) return;
+                pendingRef.current = null;
+                worker.terminate();
+                workerRef.current = null;
+
+                fail(new Error(event.message || 'HRP worker failed'));
+                resolve(null);
+            };
+
+            worker.postMessage({ id, priceData, benchmarkData, options });
+        });
+    }, [applyResult, clear, stopWorker]);
+
+    /**
+     * Stop a running analysis and keep the previous results
+     */
+    const cancel = useCallback(() => {
+        if (!workerRef.current) return;
+        stopWorker();
+        setLoading(false);
+        setProgress(null);
+    }, [stopWorker]);
 
     // Memoized derived data for visualizations
     const visualizationData = useMemo(() => {
         if (!result) return null;
+        const dependence = result.dependence?.matrix || result.correlation;
 
         return {
             // For dendrogram
             hierarchy: result.hierarchy,
 
-            // For heatmap - reorder correlation by quasi-diagonal order
-            correlationMatrix: result.correlation,
+            // For heatmap - the dependence measure used for clustering, in quasi-diagonal order
+            correlationMatrix: dependence,
+            correlationMethod: result.dependence?.method || 'pearson',
             sortedSymbols: result.sortOrder.map(i => result.symbols[i]),
             sortedCorrelation: result.sortOrder.map(i =>
-                result.sortOrder.map(j => result.correlation[i][j])
+                result.sortOrder.map(j => dependence[i][j])
             ),
 
             // For weights table
@@ -133,39 +237,31 @@ export function useHRP() {
 
     const chartData = useMemo(() => {
         if (!backtest) return null;
-
-        const { backtests } = backtest;
-
-        // Prepare data for performance chart
-        const dates = backtests[0]?.dates || [];
-
-        const series = backtests.map(bt => ({
-            name: bt.name,
-            data: bt.cumulativeReturns.slice(1).map((value, i) => ({
-                date: dates[i],
-                value: (value - 1) * 100, // Convert to percentage
-            })),
-        }));
-
-        return {
-            dates,
-            series,
-            metrics: backtests.map(bt => ({
-                name: bt.name,
-                ...bt.metrics,
-            })),
-        };
+        // When weights drift, overlay the daily-rebalanced HRP curve to show what that assumption adds
+        const dailyHRP = backtest.mode && backtest.mode !== 'daily'
+            ? (backtest.modeComparison || []).filter(bt => bt.mode === 'daily')
+            : [];
+        return toChartData(backtest.backtests, dailyHRP);
     }, [backtest]);
 
+    const walkForwardChartData = useMemo(() => {
+        if (!walkForward) return null;
+        return toChartData(walkForward.backtests);
+    }, [walkForward]);
+
     return {
         result,
         backtest,
+        walkForward,
         loading,
         error,
+        progress,
         analyze,
+        cancel,
         clear,
         visualizationData,
         chartData,
+        walkForwardChartData,
     };
 }
 
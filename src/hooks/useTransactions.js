@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../config/supabase';
+import { useAuth } from '../components/Auth';
+
+/**
+ * Hook for the user's buy/sell history (transactions table, all portfolios)
+ * with the ISIN and company name of each symbol from stock_master
+ */
+export function useTransactions() {
+    const { user } = useAuth();
+    const [transactions, setTransactions] = useState([]);
+    const [isins, setIsins] = useState({});
+    const [names, setNames] = useState({});
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchTransactions = useCallback(async () => {
+        if (!user) {
+            setTransactions([]);
+            return;
+        }
+
+        setLoading(true);
+        setError(null);
+
+        try {
+            // RLS limits the rows to the user's own portfolios
+            const { data, error } = await supabase
+                .from('transactions')
+                .select('*')
+                .order('transaction_date', { ascending: true });
+
+            if (error) throw error;
+            setTransactions(data || []);
+
+            const symbols = [...new Set((data || []).map(tx => tx.symbol))];
+            if (symbols.length > 0) {
+                const { data: stocks, error: stockError } = await supabase
+                    .from('stock_master')
+                    .select('symbol, isin, name')
+                    .in('symbol', symbols);
+
+                if (stockError) throw stockError;
+                setIsins(Object.fromEntries((stocks || []).filter(s => s.isin).map(s => [s.symbol, s.isin])));
+                setNames(Object.fromEntries((stocks || []).map(s => [s.symbol, s.name])));
+            }
+        } catch (err) {
+            setError(err.message);
+            console.error('Error fetching transactions:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [user]);
+
+    useEffect(() => {
+        fetchTransactions();
+    }, [fetchTransactions]);
+
+    return {
+        transactions,
+        isins,
+        names,
+        loading,
+        error,
+        refresh: fetchTransactions,
+    };
+}
+
+export default useTransactions;
@@ -0,0 +1,361 @@
+/**
+ * Capital Gains Report
+ *
+ * The realized gains of one financial year from the FIFO lot ledger (see taxLots.js),
+ * laid out for the income tax return:
+ * - Section 111A: short-term gains on listed shares / equity funds (STT paid)
+ * - Section 112A: long-term gains, one row per lot as in Schedule 112A, with the
+ *   31-Jan-2018 FMV of grandfathered lots
+ *
+ * Transfer expenses are the sell-side brokerage, exchange and SEBI charges, DP charges
+ * and GST of each sale (estimateTradeCost), shared across its lots by sale value.
+ * STT is not deductible (Section 48), so it is left out.
+ */
+
+import { financialYear, financialYearRange, getTaxRules } from './taxRules.js';
+import { taxOnGains } from './taxAware.js';
+import { BROKER_CHARGES, estimateTradeCost } from './tradingCosts.js';
+import { GRANDFATHERING_CUTOFF, SECTION_112A_FROM } from './grandfathering.js';
+import { totalLosses } from './lossLedger.js';
+
+// Schedule 112A columns of the ITR utility's CSV template, in order
+export const SCHEDULE_112A_COLUMNS = [
+    'Share/Unit acquired(1a)',
+    'ISIN Code(2)',
+    'Name of the Share/Unit(3)',
+    'No. of Shares/Units(4)',
+    'Sale-price per Share/Unit(5)',
+    'Full Value of Consideration(Total Sale Value)(4*5)(6)',
+    'Cost of acquisition without indexation(higher of 8 and 9)(7)',
+    'Cost of acquisition(8)',
+    'If the long term capital asset was acquired before 01.02.2018,(Lower of 6 and 11)(9)',
+    'Fair Market Value per share/unit as on 31st January,2018(10)',
+    'Total Fair Market Value of capital asset as per section 55(2)(ac)(4*10)(11)',
+    'Expenditure wholly and exclusively in connection with transfer(12)',
+    'Total deductions(7+12)(13)',
+    'Balance(6-13)(14)',
+];
+
+// Columns of the full report CSV (both sections)
+export const REPORT_COLUMNS = [
+    'Section',
+    'Gain type',
+    'ISIN',
+    'Name',
+    'Symbol',
+    'Units',
+    'Buy date',
+    'Sale date',
+    'Sale value',
+    'Cost of acquisition',
+    'Actual cost',
+    'FMV per unit on 31-Jan-2018',
+    'Transfer expenses',
+    'Gain',
+];
+
+/**
+ * Broker key of BROKER_CHARGES for a transaction's broker name ('Angel One' → 'angelone')
+ */
+function brokerKey(name, fallback) {
+    const key = String(name ?? '').toLowerCase().replace(/\s+/g, '');
+    return BROKER_CHARGES[key] ? key : fallback;
+}
+
+/**
+ * Sum of a field over report rows
+ */
+function total(rows, key) {
+    return rows.reduce((sum, row) => sum + (row[key] || 0), 0);
+}
+
+/**
+ * Section totals of a set of rows
+ */
+function sectionTotals(rows) {
+    return {
+        count: rows.length,
+        saleValue: total(rows, 'saleValue'),
+        cost: total(rows, 'cost'),
+        expenses: total(rows, 'expenses'),
+        gain: total(rows, 'gain'),
+    };
+}
+
+/**
+ * Set a loss off against the gains of the periods, highest rate first
+ * @returns {number} - Loss left over
+ */
+function setOff(loss, periods, key, rateKey) {
+    let remaining = loss;
+    [...periods]
+        .sort((a, b) => b[rateKey] - a[rateKey])
+        .forEach(period => {
+            const used = Math.min(remaining, Math.max(period[key], 0));
+            period[key] -= used;
+            remaining -= used;
+        });
+    return remaining;
+}
+
+/**
+ * Tax on the year's gains, one calculation per rate period (FY 2024-25 changed rates on
+ * 23 Jul 2024). Losses of the whole year are set off first, against the highest rate:
+ * short-term losses against short- then long-term gains, long-term losses against
+ * long-term gains only; the LTCG exemption and brought-forward losses also go to the
+ * highest rate first
+ */
+function taxByRatePeriod(rows, ltcgUsed, totalIncome, carriedForward) {
+    const periods = [];
+    rows.forEach(row => {
+        const { ratesFrom, label, stcgRate, ltcgRate } = getTaxRules(row.saleDate);
+        let period = periods.find(p => p.ratesFrom === ratesFrom);
+        if (!period) {
+            period = {
+                ratesFrom, label, stcgRate, ltcgRate,
+                saleDate: row.saleDate,
+                shortTermGain: 0,
+                longTermGain: 0,
+            };
+            periods.push(period);
+        }
+        period[row.section === '112A' ? 'longTermGain' : 'shortTermGain'] += row.gain;
+    });
+
+    const lossOf = key => periods.reduce((sum, p) => sum + Math.max(-p[key], 0), 0);
+    const shortTermLoss = lossOf('shortTermGain');
+    const longTermLoss = lossOf('longTermGain');
+    periods.forEach(p => {
+        p.shortTermGain = Math.max(p.shortTermGain, 0);
+        p.longTermGain = Math.max(p.longTermGain, 0);
+    });
+
+    const shortTermLeft = setOff(shortTermLoss, periods, 'shortTermGain', 'stcgRate');
+    const unabsorbedShortTerm = setOff(shortTermLeft, periods, 'longTermGain', 'ltcgRate');
+    const unabsorbedLongTerm = setOff(longTermLoss, periods, 'longTermGain', 'ltcgRate');
+
+    let exemptionUsed = ltcgUsed;
+    let broughtForward = carriedForward;
+    const taxed = [...periods].sort((a, b) => b.ltcgRate - a.ltcgRate).map(period => {
+        const tax = taxOnGains(period.shortTermGain, period.longTermGain, exemptionUsed, {
+            saleDate: period.saleDate,
+            totalIncome,
+            carriedForward: broughtForward,
+        });
+        exemptionUsed += tax.longTerm.exemptionUsed || 0;
+        broughtForward = tax.carriedForwardLeft;
+        return { ...period, ...tax };
+    });
+
+    return {
+        periods: taxed.sort((a, b) => a.ratesFrom.localeCompare(b.ratesFrom)),
+        unabsorbedLoss: { shortTerm: unabsorbedShortTerm, longTerm: unabsorbedLongTerm },
+        lossSetOff: totalLosses(carriedForward).total - totalLosses(broughtForward).total,
+        carriedForwardLeft: broughtForward,
+        exemptionUsed: exemptionUsed - ltcgUsed,
+        totalTax: taxed.reduce((sum, p) => sum + p.totalTax, 0),
+    };
+}
+
+/**
+ * Capital gains report of a financial year
+ * @param {Object} ledger - From buildLotLedger
+ * @param {string} [fy] - e.g. 'FY2024-25' (default: the current financial year)
+ * @param {Object} [options]
+ * @param {Object} [options.names] - { [symbol]: company name } (e.g. from stock_master)
+ * @param {string} [options.broker='zerodha'] - Charges for sales whose broker is not recorded
+ * @param {string} [options.exchange='NSE']
+ * @param {number} [options.ltcgUsed=0] - LTCG exemption already used elsewhere this FY
+ * @param {number} [options.totalIncome=0] - Total income for the FY, for the surcharge slab
+ * @param {Object[]} [options.carriedForward=[]] - Losses brought forward into the FY
+ *   (see carriedForwardLosses)
+ * @returns {Object} - { financialYear, from, to, rows, shortTerm, longTerm, tax, missingFmv,
+ *   missingIsin, unmatchedSales } where rows are [{ section ('111A' | '112A'), gainType, symbol, isin, name,
+ *   acquired ('BE' | 'AE'), buyDate, saleDate, units, salePrice, saleValue, cost, actualCost,
+ *   fmvPerUnit, fmvValue, expenses, gain }], tax is { periods, unabsorbedLoss, lossSetOff,
+ *   carriedForwardLeft, exemptionUsed, totalTax }, missingFmv lists the pre-2018 long-term lots sold
+ *   without a known FMV, missingIsin the symbols with pre-2018 lots and no ISIN to look the FMV up
+ *   by (see buildLotLedger) and unmatchedSales the symbols with shares sold without a recorded buy
+ *   (in any year)
+ */
+export function capitalGainsReport(ledger, fy = financialYear(), options = {}) {
+    const {
+        names = {},
+        broker = 'zerodha',
+        exchange = 'NSE',
+        ltcgUsed = 0,
+        totalIncome = 0,
+        carriedForward = [],
+    } = options;
+    const { from, to } = financialYearRange(fy);
+    const rows = [];
+
+    Object.values(ledger).forEach(entry => {
+        const name = names[entry.symbol] ?? entry.tradingSymbol;
+        const sales = new Map();
+        entry.realized
+            .filter(m => m.sellDate >= from && m.sellDate <= to)
+            .forEach(m => {
+                if (!sales.has(m.saleId)) sales.set(m.saleId, []);
+                sales.get(m.saleId).push(m);
+            });
+
+        sales.forEach(pieces => {
+            const saleValue = pieces.reduce((sum, m) => sum + m.saleValue, 0);
+            const charges = estimateTradeCost(saleValue, {
+                side: 'SELL',
+                broker: brokerKey(pieces[0].broker, broker),
+                exchange,
+                slippage: false,
+            });
+            const expenses = charges.total - charges.stt;
+
+            pieces.forEach(m => {
+                const share = saleValue > 0 ? m.saleValue / saleValue : 0;
+                rows.push({
+                    section: m.gainType === 'LTCG' ? '112A' : '111A',
+                    gainType: m.gainType,
+                    symbol: entry.symbol,
+                    isin: entry.isin,
+                    name,
+                    acquired: m.buyDate < GRANDFATHERING_CUTOFF ? 'BE' : 'AE',
+                    buyDate: m.buyDate,
+                    saleDate: m.sellDate,
+                    units: m.quantity,
+                    salePrice: m.sellPrice,
+                    saleValue: m.saleValue,
+                    cost: m.costBasis,
+                    actualCost: m.quantity * m.buyPrice,
+                    fmvPerUnit: m.grandfathered ? m.fmv2018 : null,
+                    fmvValue: m.grandfathered ? m.quantity * m.fmv2018 : null,
+                    expenses: expenses * share,
+                    gain: m.saleValue - m.costBasis - expenses * share,
+                });
+            });
+        });
+    });
+
+    rows.sort((a, b) => a.saleDate.localeCompare(b.saleDate) || a.name.localeCompare(b.name));
+
+    const shortTermRows = rows.filter(r => r.section === '111A');
+    const longTermRows = rows.filter(r => r.section === '112A');
+
+    return {
+        financialYear: fy,
+        from,
+        to,
+        rows,
+        shortTerm: sectionTotals(shortTermRows),
+        longTerm: sectionTotals(longTermRows),
+        tax: taxByRatePeriod(rows, ltcgUsed, totalIncome, carriedForward),
+        missingFmv: longTermRows
+            .filter(r => r.acquired === 'BE' && r.saleDate >= SECTION_112A_FROM && r.fmvPerUnit === null)
+            .map(r => ({ symbol: r.symbol, isin: r.isin, buyDate: r.buyDate, saleDate: r.saleDate })),
+        missingIsin: Object.values(ledger)
+            .filter(entry => entry.missingIsin)
+            .map(entry => entry.symbol),
+        unmatchedSales: Object.values(ledger)
+            .filter(entry => entry.unmatchedSellQuantity > 0)
+            .map(entry => ({ symbol: entry.symbol, quantity: entry.unmatchedSellQuantity })),
+    };
+}
+
+/**
+ * Financial years with at least one realized sale, latest first
+ * @param {Object} ledger - From buildLotLedger
+ * @returns {string[]}
+ */
+export function reportYears(ledger) {
+    const years = new Set();
+    Object.values(ledger).forEach(entry => {
+        entry.realized.forEach(m => years.add(financialYear(m.sellDate)));
+    });
+    return [...years].sort().reverse();
+}
+
+/**
+ * One CSV field (quoted when it holds a comma, quote or newline)
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'number' ? String(+value.toFixed(2)) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, lines) {
+    return [header, ...lines].map(line => line.map(csvField).join(',')).join('\n');
+}
+
+/**
+ * Schedule 112A rows as CSV, in the ITR utility's column layout
+ * @param {Object} report - From capitalGainsReport
+ * @returns {string}
+ */
+export function schedule112ACsv(report) {
+    const lines = report.rows
+        .filter(r => r.section === '112A')
+        .map(r => {
+            const grandfathered = r.fmvValue !== null;
+            return [
+                r.acquired,
+                r.isin ?? '',
+                r.name,
+                r.units,
+                r.salePrice,
+                r.saleValue,
+                r.cost,
+                r.actualCost,
+                grandfathered ? Math.min(r.saleValue, r.fmvValue) : 0,
+                grandfathered ? r.fmvPerUnit : 0,
+                grandfathered ? r.fmvValue : 0,
+                r.expenses,
+                r.cost + r.expenses,
+                r.saleValue - r.cost - r.expenses,
+            ];
+        });
+
+    return toCsv(SCHEDULE_112A_COLUMNS, lines);
+}
+
+/**
+ * Every row of the report as CSV, with the 111A and 112A totals at the end
+ * @param {Object} report - From capitalGainsReport
+ * @returns {string}
+ */
+export function capitalGainsCsv(report) {
+    const lines = report.rows.map(r => [
+        r.section,
+        r.gainType,
+        r.isin ?? '',
+        r.name,
+        r.symbol,
+        r.units,
+        r.buyDate,
+        r.saleDate,
+        r.saleValue,
+        r.cost,
+        r.actualCost,
+        r.fmvPerUnit,
+        r.expenses,
+        r.gain,
+    ]);
+
+    const totalLine = (label, section, t) => [
+        section, label, '', '', '', '', '', '', t.saleValue, t.cost, '', '', t.expenses, t.gain,
+    ];
+
+    return toCsv(REPORT_COLUMNS, [
+        ...lines,
+        totalLine('Total STCG', '111A', report.shortTerm),
+        totalLine('Total LTCG', '112A', report.longTerm),
+    ]);
+}
+
+export default {
+    SCHEDULE_112A_COLUMNS,
+    REPORT_COLUMNS,
+    capitalGainsReport,
+    reportYears,
+    schedule112ACsv,
+    capitalGainsCsv,
+};
@@ -0,0 +1,137 @@
+/**
+ * LTCG Grandfathering (Section 112A)
+ *
+ * Shares bought before 1 Feb 2018 and sold on or after 1 Apr 2018 keep the gains made up to
+ * 31 Jan 2018 tax free: their cost of acquisition is the higher of
+ * - the actual cost, and
+ * - the lower of the fair market value on 31 Jan 2018 (highest quoted price that day) and the sale price
+ *
+ * FMVs are looked up by ISIN from a table loaded locally (e.g. the exchange's 31-Jan-2018
+ * price file) and kept in localStorage, so nothing is hardcoded here.
+ */
+
+// Acquired before this date → grandfathered
+export const GRANDFATHERING_CUTOFF = '2018-02-01';
+
+// Sold on or after this date → Section 112A applies (earlier sales were exempt u/s 10(38))
+export const SECTION_112A_FROM = '2018-04-01';
+
+const FMV_STORAGE_KEY = 'structura_fmv_2018';
+
+// ISIN → FMV per share on 31 Jan 2018
+let fmvTable = null;
+
+/**
+ * FMV table, restored from localStorage on first use
+ */
+function table() {
+    if (!fmvTable) {
+        fmvTable = new Map();
+        try {
+            const saved = typeof localStorage !== 'undefined' && localStorage.getItem(FMV_STORAGE_KEY);
+            if (saved) fmvTable = new Map(Object.entries(JSON.parse(saved)));
+        } catch (err) {
+            console.warn('Could not restore the 31-Jan-2018 FMV table:', err.message);
+        }
+    }
+    return fmvTable;
+}
+
+/**
+ * Rows of an FMV CSV: an ISIN column and an FMV / high / close / price column
+ */
+function parseFmvCsv(csvText) {
+    const lines = csvText.trim().split('\n');
+    const headers = lines[0].toLowerCase().split(',').map(h => h.trim().replace(/"/g, ''));
+    const isinIdx = headers.findIndex(h => h.includes('isin'));
+    const fmvIdx = ['fmv', 'high', 'close', 'price']
+        .map(name => headers.findIndex(h => h.includes(name)))
+        .find(idx => idx !== -1);
+
+    if (isinIdx === -1 || fmvIdx === undefined) {
+        throw new Error('Invalid FMV file: needs an ISIN column and an FMV (or high / close / price) column');
+    }
+
+    return lines.slice(1).map(line => {
+        const cols = line.split(',').map(c => c.trim().replace(/"/g, ''));
+        return { isin: cols[isinIdx], fmv: cols[fmvIdx] };
+    });
+}
+
+/**
+ * Load (or extend) the 31-Jan-2018 FMV table and save it to localStorage
+ * @param {string|Object[]|Object} source - CSV text, [{ isin, fmv }] or { [isin]: fmv }
+ * @returns {number} - Number of ISINs in the table
+ */
+export function loadFmvTable(source) {
+    const rows = typeof source === 'string'
+        ? parseFmvCsv(source)
+        : Array.isArray(source)
+            ? source
+            : Object.entries(source).map(([isin, fmv]) => ({ isin, fmv }));
+
+    const fmvs = table();
+    rows.forEach(({ isin, fmv }) => {
+        const value = Number(fmv);
+        if (isin && value > 0) fmvs.set(isin.trim().toUpperCase(), value);
+    });
+
+    try {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(FMV_STORAGE_KEY, JSON.stringify(Object.fromEntries(fmvs)));
+        }
+    } catch (err) {
+        console.warn('Could not save the 31-Jan-2018 FMV table:', err.message);
+    }
+
+    return fmvs.size;
+}
+
+/**
+ * Forget the loaded FMV table
+ */
+export function clearFmvTable() {
+    fmvTable = new Map();
+    if (typeof localStorage !== 'undefined') localStorage.removeItem(FMV_STORAGE_KEY);
+}
+
+/**
+ * FMV per share on 31 Jan 2018
+ * @param {string} isin
+ * @returns {number|null} - null when the ISIN is not in the table
+ */
+export function getFmv2018(isin) {
+    if (!isin) return null;
+    return table().get(isin.trim().toUpperCase()) ?? null;
+}
+
+/**
+ * Does the grandfathering rule apply to a lot?
+ * @param {string} buyDate - YYYY-MM-DD
+ * @param {string} sellDate - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isGrandfathered(buyDate, sellDate) {
+    return buyDate < GRANDFATHERING_CUTOFF && sellDate >= SECTION_112A_FROM;
+}
+
+/**
+ * Cost of acquisition per share under Section 112A
+ * @param {number} actualCost - Actual cost per share
+ * @param {number} fmv - FMV per share on 31 Jan 2018
+ * @param {number} salePrice - Sale price per share
+ * @returns {number}
+ */
+export function grandfatheredCost(actualCost, fmv, salePrice) {
+    return Math.max(actualCost, Math.min(fmv, salePrice));
+}
+
+export default {
+    GRANDFATHERING_CUTOFF,
+    SECTION_112A_FROM,
+    loadFmvTable,
+    clearFmvTable,
+    getFmv2018,
+    isGrandfathered,
+    grandfatheredCost,
+};
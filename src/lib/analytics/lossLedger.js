@@ -0,0 +1,220 @@
+/**
+ * Carry-Forward Capital Losses
+ *
+ * A capital loss that can't be set off in its own financial year carries forward to the
+ * 8 financial years that follow (Section 74, return filed on time):
+ * - Short-term loss (STCL) can be set off against STCG or LTCG
+ * - Long-term loss (LTCL) only against LTCG
+ * Brought-forward losses are used oldest first, so those closest to expiry go first.
+ *
+ * The ledger keeps each year's unabsorbed loss (Schedule CFL of the return) in localStorage,
+ * like the 31-Jan-2018 FMV table; years missing from it are worked out from realized gains.
+ */
+
+import { financialYear, financialYearRange } from './taxRules.js';
+
+// Financial years a loss carries forward to
+export const LOSS_CARRY_FORWARD_YEARS = 8;
+
+const LOSS_STORAGE_KEY = 'structura_loss_ledger';
+
+/**
+ * Saved losses: { [financialYear]: { shortTerm, longTerm } }
+ */
+function readLedger() {
+    try {
+        const saved = typeof localStorage !== 'undefined' && localStorage.getItem(LOSS_STORAGE_KEY);
+        return saved ? JSON.parse(saved) : {};
+    } catch (err) {
+        console.warn('Could not restore the capital loss ledger:', err.message);
+        return {};
+    }
+}
+
+function writeLedger(ledger) {
+    try {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(LOSS_STORAGE_KEY, JSON.stringify(ledger));
+        }
+    } catch (err) {
+        console.warn('Could not save the capital loss ledger:', err.message);
+    }
+}
+
+/**
+ * Last financial year a loss can be set off in
+ * @param {string} fy - Financial year of the loss, e.g. 'FY2024-25'
+ * @returns {string} - e.g. 'FY2032-33'
+ */
+export function lastSetOffYear(fy) {
+    const start = Number(financialYearRange(fy).from.slice(0, 4));
+    return financialYear(`${start + LOSS_CARRY_FORWARD_YEARS}-04-01`);
+}
+
+/**
+ * Saved losses, oldest year first
+ * @returns {Object[]} - [{ financialYear, shortTerm, longTerm }] (positive amounts)
+ */
+export function getLossLedger() {
+    return Object.entries(readLedger())
+        .map(([fy, loss]) => ({ financialYear: fy, shortTerm: loss.shortTerm || 0, longTerm: loss.longTerm || 0 }))
+        .sort((a, b) => a.financialYear.localeCompare(b.financialYear));
+}
+
+/**
+ * Save the unabsorbed loss of a financial year (replaces what was saved for that year)
+ * @param {string} fy - e.g. 'FY2023-24'
+ * @param {Object} loss - { shortTerm, longTerm } in ₹, as positive amounts; both 0 removes the year
+ * @returns {Object[]} - The ledger (see getLossLedger)
+ */
+export function recordLoss(fy, { shortTerm = 0, longTerm = 0 }) {
+    financialYearRange(fy);
+    if (!(shortTerm >= 0) || !(longTerm >= 0)) {
+        throw new Error(`Losses are positive amounts; got ${shortTerm} short-term, ${longTerm} long-term`);
+    }
+
+    const ledger = readLedger();
+    if (shortTerm === 0 && longTerm === 0) {
+        delete ledger[fy];
+    } else {
+        ledger[fy] = { shortTerm, longTerm };
+    }
+    writeLedger(ledger);
+    return getLossLedger();
+}
+
+/**
+ * Forget every saved loss
+ */
+export function clearLossLedger() {
+    if (typeof localStorage !== 'undefined') localStorage.removeItem(LOSS_STORAGE_KEY);
+}
+
+/**
+ * Set off a year's own losses: a net short-term loss against long-term gains; a net
+ * long-term loss can't touch short-term gains
+ * @param {number} shortTermGain - Net STCG of the year (negative = loss)
+ * @param {number} longTermGain - Net LTCG of the year (negative = loss)
+ * @returns {Object} - { shortTermGain, longTermGain, shortTermLoss, longTermLoss } where the
+ *   gains are what is left to tax and the losses what carries forward (all >= 0)
+ */
+export function setOffWithinYear(shortTermGain, longTermGain) {
+    if (longTermGain < 0) {
+        return {
+            shortTermGain: Math.max(shortTermGain, 0),
+            longTermGain: 0,
+            shortTermLoss: Math.max(-shortTermGain, 0),
+            longTermLoss: -longTermGain,
+        };
+    }
+
+    const net = shortTermGain < 0 ? longTermGain + shortTermGain : longTermGain;
+    return {
+        shortTermGain: Math.max(shortTermGain, 0),
+        longTermGain: Math.max(net, 0),
+        shortTermLoss: Math.max(-net, 0),
+        longTermLoss: 0,
+    };
+}
+
+/**
+ * Set brought-forward losses off against a year's gains
+ * LTCL goes against LTCG first (it can't be used anywhere else), then STCL against STCG
+ * and what is left of it against LTCG; each oldest first
+ * @param {number} shortTermGain - STCG left after the year's own set-off (>= 0)
+ * @param {number} longTermGain - LTCG left after the year's own set-off (>= 0)
+ * @param {Object[]} [losses=[]] - Brought-forward losses, oldest first (see carriedForwardLosses)
+ * @returns {Object} - { shortTermGain, longTermGain, used: { shortTerm, longTerm, total },
+ *   remaining } where remaining are the losses left, in the same form
+ */
+export function setOffCarriedForward(shortTermGain, longTermGain, losses = []) {
+    const remaining = losses.map(loss => ({ ...loss }));
+    const gains = { shortTerm: Math.max(shortTermGain, 0), longTerm: Math.max(longTermGain, 0) };
+    const used = { shortTerm: 0, longTerm: 0 };
+
+    const apply = (lossKey, gainKey) => {
+        remaining.forEach(loss => {
+            const amount = Math.min(loss[lossKey], gains[gainKey]);
+            loss[lossKey] -= amount;
+            gains[gainKey] -= amount;
+            used[lossKey] += amount;
+        });
+    };
+
+    apply('longTerm', 'longTerm');
+    apply('shortTerm', 'shortTerm');
+    apply('shortTerm', 'longTerm');
+
+    return {
+        shortTermGain: gains.shortTerm,
+        longTermGain: gains.longTerm,
+        used: { ...used, total: used.shortTerm + used.longTerm },
+        remaining: remaining.filter(loss => loss.shortTerm > 0 || loss.longTerm > 0),
+    };
+}
+
+/**
+ * Losses brought forward into a financial year
+ * Walks every earlier year: expired losses drop out, the year's gains use up the oldest
+ * losses, and the year's own unabsorbed loss joins the pool (the saved one when the year
+ * is in the ledger, else the one its realized gains leave). Years without gains are
+ * taken to have used none.
+ * @param {string} [fy] - Financial year the losses are brought into (default: the current one)
+ * @param {Object} [options]
+ * @param {Object} [options.gainsByYear] - { [financialYear]: { shortTerm, longTerm } } net realized
+ *   gains (see realizedGainsByYear)
+ * @param {Object[]} [options.losses] - Saved losses (default: getLossLedger())
+ * @returns {Object[]} - [{ financialYear, shortTerm, longTerm, lastSetOffYear }], oldest first
+ */
+export function carriedForwardLosses(fy = financialYear(), options = {}) {
+    const { gainsByYear = {}, losses = getLossLedger() } = options;
+    const saved = Object.fromEntries(losses.map(loss => [loss.financialYear, loss]));
+    const years = [...new Set([...Object.keys(gainsByYear), ...Object.keys(saved)])]
+        .filter(year => year < fy)
+        .sort();
+
+    let pool = [];
+    years.forEach(year => {
+        pool = pool.filter(loss => loss.lastSetOffYear >= year);
+
+        let ownLoss = { shortTerm: 0, longTerm: 0 };
+        const gains = gainsByYear[year];
+        if (gains) {
+            const position = setOffWithinYear(gains.shortTerm, gains.longTerm);
+            pool = setOffCarriedForward(position.shortTermGain, position.longTermGain, pool).remaining;
+            ownLoss = { shortTerm: position.shortTermLoss, longTerm: position.longTermLoss };
+        }
+        if (saved[year]) {
+            ownLoss = { shortTerm: saved[year].shortTerm, longTerm: saved[year].longTerm };
+        }
+
+        if (ownLoss.shortTerm > 0 || ownLoss.longTerm > 0) {
+            pool.push({ financialYear: year, ...ownLoss, lastSetOffYear: lastSetOffYear(year) });
+        }
+    });
+
+    return pool.filter(loss => loss.lastSetOffYear >= fy);
+}
+
+/**
+ * Total of a set of losses
+ * @param {Object[]} losses - [{ shortTerm, longTerm }]
+ * @returns {{ shortTerm: number, longTerm: number, total: number }}
+ */
+export function totalLosses(losses) {
+    const shortTerm = losses.reduce((sum, loss) => sum + loss.shortTerm, 0);
+    const longTerm = losses.reduce((sum, loss) => sum + loss.longTerm, 0);
+    return { shortTerm, longTerm, total: shortTerm + longTerm };
+}
+
+export default {
+    LOSS_CARRY_FORWARD_YEARS,
+    lastSetOffYear,
+    getLossLedger,
+    recordLoss,
+    clearLossLedger,
+    setOffWithinYear,
+    setOffCarriedForward,
+    carriedForwardLosses,
+    totalLosses,
+};
@@ -5,6 +5,16 @@
  */
 
 import { getAssetName } from '../../data/assetUniverse';
+import { estimateTradeCost, liquidityFromPrices } from './tradingCosts';
+
+/**
+ * Format a rupee amount for display
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatRupees(amount) {
+    return `₹${Math.abs(amount).toLocaleString('en-IN', { maximumFractionDigits: 0 })}`;
+}
 
 /**
  * Calculate Diversification Ratio
@@ -51,8 +61,11 @@ export function calculateDiversificationRatio(weights, covMatrix) {
  * @param {Object[]} optimalWeights - HRP optimal weights  
  * @param {number} totalPortfolioValue - Total portfolio value in ₹
  * @param {number} threshold - Minimum difference to trigger suggestion (default 3%)
+ * @param {Object} [costOptions] - Trading cost options (broker, exchange, slippage), plus
+ *   priceData: { [symbol]: [{ close, volume }] } used to estimate slippage
  */
-export function generateRebalancingWithAmounts(currentHoldings, optimalWeights, totalPortfolioValue, threshold = 3) {
+export function generateRebalancingWithAmounts(currentHoldings, optimalWeights, totalPortfolioValue, threshold = 3, costOptions = {}) {
+    const { priceData = {}, ...tradeOptions } = costOptions;
     const currentMap = new Map(currentHoldings.map(h => [h.symbol, {
         weight: h.weight || 0,
         value: h.currentValue || 0,
@@ -70,6 +83,12 @@ export function generateRebalancingWithAmounts(currentHoldings, optimalWeights,
 
         if (Math.abs(diff) >= threshold) {
             const tradeAmount = (diff / 100) * totalPortfolioValue;
+            const action = diff > 0 ? 'BUY' : 'SELL';
+            const cost = estimateTradeCost(tradeAmount, {
+                ...tradeOptions,
+                side: action,
+                liquidity: liquidityFromPrices(priceData[symbol]),
+            });
 
             suggestions.push({
                 symbol,
@@ -79,8 +98,11 @@ export function generateRebalancingWithAmounts(currentHoldings, optimalWeights,
                 optimalWeight: optimalWeight,
                 difference: diff,
                 tradeAmount: tradeAmount,  // NEW: ₹ amount to trade
-                tradeAmountFormatted: `₹${Math.abs(tradeAmount).toLocaleString('en-IN', { maximumFractionDigits: 0 })}`,
-                action: diff > 0 ? 'BUY' : 'SELL',
+                tradeAmountFormatted: formatRupees(tradeAmount),
+                cost,  // Brokerage, statutory charges and slippage for this trade
+                estimatedCost: cost.total,
+                estimatedCostFormatted: formatRupees(cost.total),
+                action,
                 priority: Math.abs(diff) >= 10 ? 'high' : Math.abs(diff) >= 5 ? 'medium' : 'low',
             });
         }
@@ -90,6 +112,28 @@ export function generateRebalancingWithAmounts(currentHoldings, optimalWeights,
     return suggestions.sort((a, b) => Math.abs(b.tradeAmount) - Math.abs(a.tradeAmount));
 }
 
+/**
+ * Total trading cost of a set of suggestions from generateRebalancingWithAmounts
+ * @param {Object[]} suggestions
+ * @returns {Object} - { totalCost, totalTraded, costPercent, statutory, slippage, formatted }
+ */
+export function summarizeRebalancingCosts(suggestions) {
+    const totals = suggestions.reduce((acc, s) => {
+        if (!s.cost) return acc;
+        acc.totalCost += s.cost.total;
+        acc.totalTraded += s.cost.value;
+        acc.statutory += s.cost.statutory;
+        acc.slippage += s.cost.slippage;
+        return acc;
+    }, { totalCost: 0, totalTraded: 0, statutory: 0, slippage: 0 });
+
+    return {
+        ...totals,
+        costPercent: totals.totalTraded > 0 ? (totals.totalCost / totals.totalTraded) * 100 : 0,
+        formatted: formatRupees(totals.totalCost),
+    };
+}
+
 /**
  * Generate rebalancing suggestions
  * @param {Object[]} currentHoldings - Current portfolio with weights
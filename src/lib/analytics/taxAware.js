@@ -1,9 +1,13 @@
 /**
  * Tax-Aware Rebalancing
  * 
- * Indian tax rules for equity:
- * - LTCG (>1 year): 10% above ₹1 lakh exemption
- * - STCG (<1 year): 15%
+ * Indian tax rules for equity (looked up by sale date, see taxRules.js):
+ * - LTCG (>1 year): 10% above ₹1 lakh exemption; 12.5% above ₹1.25 lakh from 23 Jul 2024
+ * - STCG (<1 year): 15%; 20% from 23 Jul 2024
+ * - Surcharge (capped at 15%) and 4% cess on the tax
+ * - Bought before 1 Feb 2018: cost grandfathered to the 31-Jan-2018 FMV (Section 112A)
+ * - Losses of earlier years (up to 8) set off first: STCL against STCG or LTCG, LTCL
+ *   only against LTCG (see lossLedger.js)
  * - STT already paid on sell (included in calculations)
  * 
  * This module calculates:
@@ -12,50 +16,41 @@
  * 3. Wait suggestions (when to sell)
  */
 
-// Tax rates (Union Budget 2024-25)
-const TAX_RATES = {
-    STCG: 0.15,         // Short-term capital gains (< 1 year)
-    LTCG: 0.10,         // Long-term capital gains (> 1 year)
-    LTCG_EXEMPTION: 100000,  // ₹1 lakh annual exemption on LTCG
-    STT_SELL: 0.001,    // Securities Transaction Tax on sell (0.1%)
-    CESS: 0.04          // 4% cess on tax
-};
+import { getTaxRules, surchargeRate, daysBetween, getGainType, ltcgStartDate } from './taxRules.js';
+import { matchLotsFIFO } from './taxLots.js';
+import { getFmv2018 } from './grandfathering.js';
+import { setOffWithinYear, setOffCarriedForward, totalLosses, lastSetOffYear } from './lossLedger.js';
+import { STATUTORY_CHARGES } from './tradingCosts.js';
 
-/**
- * Calculate days between two dates
- */
-function daysBetween(date1, date2) {
-    const d1 = new Date(date1);
-    const d2 = new Date(date2);
-    return Math.floor((d2 - d1) / (1000 * 60 * 60 * 24));
-}
+export { getGainType };
 
-/**
- * Determine if gain is STCG or LTCG
- * @param {Date} buyDate
- * @param {Date} sellDate
- * @returns {'STCG' | 'LTCG'}
- */
-export function getGainType(buyDate, sellDate = new Date()) {
-    const holdingDays = daysBetween(buyDate, sellDate);
-    return holdingDays > 365 ? 'LTCG' : 'STCG';
-}
+const formatRate = rate => `${+(rate * 100).toFixed(1)}%`;
 
 /**
  * Calculate tax on capital gain
  * @param {number} gain - Capital gain in rupees
  * @param {string} gainType - 'STCG' or 'LTCG'
  * @param {number} [ltcgUsed=0] - LTCG exemption already used this FY
+ * @param {Object} [options]
+ * @param {Date|string} [options.saleDate=today] - Picks the rates and the FY exemption / surcharge
+ * @param {number} [options.totalIncome=0] - Total income for the FY, for the surcharge slab
  * @returns {Object} - Tax breakdown
  */
-export function calculateTax(gain, gainType, ltcgUsed = 0) {
+export function calculateTax(gain, gainType, ltcgUsed = 0, options = {}) {
+    const { saleDate = new Date(), totalIncome = 0 } = options;
+    const rules = getTaxRules(saleDate);
+    const rate = gainType === 'STCG' ? rules.stcgRate : rules.ltcgRate;
+
     if (gain <= 0) {
         return {
             taxableGain: 0,
             tax: 0,
+            surcharge: 0,
             cess: 0,
             totalTax: 0,
             effectiveRate: 0,
+            rate,
+            financialYear: rules.financialYear,
             gainType
         };
     }
@@ -64,16 +59,16 @@ export function calculateTax(gain, gainType, ltcgUsed = 0) {
     let exemptionUsed = 0;
 
     if (gainType === 'LTCG') {
-        // LTCG has ₹1 lakh annual exemption
-        const exemptionRemaining = Math.max(0, TAX_RATES.LTCG_EXEMPTION - ltcgUsed);
+        // LTCG has an annual exemption (₹1 lakh, ₹1.25 lakh from FY 2024-25)
+        const exemptionRemaining = Math.max(0, rules.ltcgExemption - ltcgUsed);
         exemptionUsed = Math.min(gain, exemptionRemaining);
         taxableGain = gain - exemptionUsed;
     }
 
-    const rate = gainType === 'STCG' ? TAX_RATES.STCG : TAX_RATES.LTCG;
     const baseTax = taxableGain * rate;
-    const cess = baseTax * TAX_RATES.CESS;
-    const totalTax = baseTax + cess;
+    const surcharge = baseTax * surchargeRate(totalIncome, rules);
+    const cess = (baseTax + surcharge) * rules.cess;
+    const totalTax = baseTax + surcharge + cess;
     const effectiveRate = gain > 0 ? (totalTax / gain) * 100 : 0;
 
     return {
@@ -81,120 +76,333 @@ export function calculateTax(gain, gainType, ltcgUsed = 0) {
         taxableGain,
         exemptionUsed,
         baseTax,
+        surcharge,
         cess,
         totalTax,
         effectiveRate,
+        rate,
+        financialYear: rules.financialYear,
+        rulesLabel: rules.label,
         gainType
     };
 }
 
+/**
+ * Tax on one sale's (or one year's) net short- and long-term gains
+ * A net short-term loss is set off against long-term gains; a net long-term loss only
+ * carries forward. Losses brought forward from earlier years then reduce what is left
+ * @param {number} shortTermGain
+ * @param {number} longTermGain
+ * @param {number} [ltcgUsed=0] - LTCG exemption already used this FY
+ * @param {Object} [options] - { saleDate, totalIncome } (see calculateTax) and
+ *   carriedForward: brought-forward losses, oldest first (see carriedForwardLosses)
+ * @returns {Object} - { shortTerm, longTerm (calculateTax results), taxableGain, exemptionUsed,
+ *   baseTax, surcharge, cess, totalTax, lossSetOff, carriedForwardLeft, lossToCarryForward }
+ *   where lossSetOff is the brought-forward loss used ({ shortTerm, longTerm, total }),
+ *   carriedForwardLeft the brought-forward losses still unused and lossToCarryForward
+ *   this sale's own unabsorbed loss ({ shortTerm, longTerm })
+ */
+export function taxOnGains(shortTermGain, longTermGain, ltcgUsed = 0, options = {}) {
+    const { carriedForward = [] } = options;
+    const position = setOffWithinYear(shortTermGain, longTermGain);
+    const setOff = setOffCarriedForward(position.shortTermGain, position.longTermGain, carriedForward);
+
+    const shortTerm = calculateTax(setOff.shortTermGain, 'STCG', 0, options);
+    const longTerm = calculateTax(setOff.longTermGain, 'LTCG', ltcgUsed, options);
+    const sum = key => (shortTerm[key] || 0) + (longTerm[key] || 0);
+
+    return {
+        shortTerm,
+        longTerm,
+        taxableGain: sum('taxableGain'),
+        exemptionUsed: sum('exemptionUsed'),
+        baseTax: sum('baseTax'),
+        surcharge: sum('surcharge'),
+        cess: sum('cess'),
+        totalTax: sum('totalTax'),
+        lossSetOff: setOff.used,
+        carriedForwardLeft: setOff.remaining,
+        lossToCarryForward: { shortTerm: position.shortTermLoss, longTerm: position.longTermLoss },
+    };
+}
+
+/**
+ * Open lots of a holding; without transaction history the average price and first buy
+ * date stand in for a single lot
+ */
+function holdingLots(holding) {
+    if (holding.lots?.length) return holding.lots;
+    return [{ id: null, buyDate: holding.firstBuyDate, quantity: holding.quantity, price: holding.avgBuyPrice }];
+}
+
+/**
+ * Match a sale of a holding against its lots, applying Section 112A grandfathering when the
+ * 31-Jan-2018 FMV of its ISIN is known
+ */
+function matchHoldingLots(holding, quantity, price, saleDate) {
+    return matchLotsFIFO(holdingLots(holding), quantity, price, saleDate, { fmv2018: getFmv2018(holding.isin) });
+}
+
+/**
+ * STCG, LTCG or MIXED for a set of matched lots
+ */
+function lotsGainType(matches) {
+    const types = new Set(matches.map(m => m.gainType));
+    return types.size > 1 ? 'MIXED' : [...types][0] || 'STCG';
+}
+
 /**
  * Calculate sell impact for a specific stock holding
- * @param {Object} holding - Stock holding details
+ * Shares come out of the holding's open lots first in first out (holding.lots, see
+ * holdingsFromLedger); each matched lot is taxed as STCG or LTCG on its own holding period,
+ * and lots bought before 1 Feb 2018 at their grandfathered cost
+ * @param {Object} holding - Stock holding details ({ quantity, avgBuyPrice, firstBuyDate, isin?, lots? })
  * @param {number} currentPrice - Current market price
  * @param {number} sellQuantity - Quantity to sell
- * @returns {Object} - Complete sell impact analysis
+ * @param {Object} [options] - { saleDate = today, ltcgUsed = 0, totalIncome, carriedForward }
+ *   (see taxOnGains)
+ * @returns {Object} - Complete sell impact analysis, taxed after brought-forward losses
+ *   (lossSetOff, carriedForwardLeft); gainType is STCG, LTCG or MIXED, costBasis is
+ *   the cost of acquisition for tax (actualCostBasis what was paid) and grandfathering is
+ *   { quantity, fmv2018, actualCost, grandfatheredCost, exemptGain } for pre-2018 lots (else null)
  */
-export function calculateSellImpact(holding, currentPrice, sellQuantity = null) {
+export function calculateSellImpact(holding, currentPrice, sellQuantity = null, options = {}) {
+    const { saleDate = new Date(), ltcgUsed = 0 } = options;
+    const rules = getTaxRules(saleDate);
     const qty = sellQuantity || holding.quantity;
+
+    const { matches, unmatchedQuantity } = matchHoldingLots(holding, qty, currentPrice, saleDate);
+    if (unmatchedQuantity > 0) {
+        throw new Error(`Cannot sell ${qty} ${holding.symbol}: only ${qty - unmatchedQuantity} held in open lots`);
+    }
+
     const sellValue = qty * currentPrice;
-    const costBasis = qty * holding.avgBuyPrice;
+    const costBasis = matches.reduce((sum, m) => sum + m.costBasis, 0);
     const capitalGain = sellValue - costBasis;
 
-    // STT on sell
-    const stt = sellValue * TAX_RATES.STT_SELL;
+    // Section 112A: cost of the pre-2018 lots stepped up to the 31-Jan-2018 FMV
+    const grandfatheredLots = matches.filter(m => m.grandfathered);
+    const grandfathering = grandfatheredLots.length > 0
+        ? {
+            quantity: grandfatheredLots.reduce((sum, m) => sum + m.quantity, 0),
+            fmv2018: grandfatheredLots[0].fmv2018,
+            actualCost: grandfatheredLots.reduce((sum, m) => sum + m.quantity * m.buyPrice, 0),
+            grandfatheredCost: grandfatheredLots.reduce((sum, m) => sum + m.costBasis, 0),
+        }
+        : null;
+    if (grandfathering) {
+        grandfathering.exemptGain = grandfathering.grandfatheredCost - grandfathering.actualCost;
+    }
+    const shortTermGain = matches.filter(m => m.gainType === 'STCG').reduce((sum, m) => sum + m.gain, 0);
+    const longTermGain = capitalGain - shortTermGain;
 
-    // Determine gain type based on first buy
-    const gainType = getGainType(holding.firstBuyDate);
+    // STT on sell
+    const stt = sellValue * STATUTORY_CHARGES.STT;
 
     // Calculate tax
-    const taxDetails = calculateTax(capitalGain, gainType);
+    const { shortTerm: shortTermTax, longTerm: longTermTax, ...taxDetails } = taxOnGains(shortTermGain, longTermGain, ltcgUsed, { ...options, saleDate });
 
     // Net proceeds
     const netProceeds = sellValue - stt - taxDetails.totalTax;
 
-    // Days to LTCG (if currently STCG)
-    const holdingDays = daysBetween(holding.firstBuyDate, new Date());
-    const daysToLTCG = holdingDays < 365 ? 365 - holdingDays : 0;
+    // Days until every lot sold is long-term (see ltcgStartDate)
+    const holdingDays = matches[0]?.holdingDays ?? 0;
+    const daysToLTCG = matches.reduce(
+        (max, m) => Math.max(max, daysBetween(m.sellDate, ltcgStartDate(m.buyDate, m.sellDate))), 0
+    );
+
+    // Tax on the same sale once all of it is long-term
+    let taxIfWaitForLTCG = taxDetails.totalTax;
+    if (daysToLTCG > 0) {
+        const ltcgDate = new Date(new Date(saleDate).getTime() + daysToLTCG * 24 * 60 * 60 * 1000);
+        taxIfWaitForLTCG = taxOnGains(0, capitalGain, ltcgUsed, { ...options, saleDate: ltcgDate }).totalTax;
+    }
+    const taxSavingsIfWait = taxDetails.totalTax - taxIfWaitForLTCG;
 
     return {
         quantity: qty,
         currentPrice,
         sellValue,
         costBasis,
+        actualCostBasis: matches.reduce((sum, m) => sum + m.quantity * m.buyPrice, 0),
+        grandfathering,
         capitalGain,
         capitalGainPercent: costBasis > 0 ? ((capitalGain / costBasis) * 100).toFixed(2) : 0,
         stt,
+        gain: capitalGain,
+        shortTermGain,
+        longTermGain,
         ...taxDetails,
+        shortTermTax,
+        longTermTax,
+        effectiveRate: capitalGain > 0 ? (taxDetails.totalTax / capitalGain) * 100 : 0,
+        financialYear: rules.financialYear,
+        rulesLabel: rules.label,
+        gainType: lotsGainType(matches),
+        lots: matches,
         netProceeds,
         holdingDays,
         daysToLTCG,
-        waitRecommendation: daysToLTCG > 0 && daysToLTCG <= 60 && capitalGain > 0
-            ? `Wait ${daysToLTCG} days to convert STCG to LTCG and save ${((TAX_RATES.STCG - TAX_RATES.LTCG) * capitalGain).toFixed(0)} in taxes`
+        taxIfWaitForLTCG,
+        waitRecommendation: daysToLTCG > 0 && daysToLTCG <= 60 && taxSavingsIfWait > 0
+            ? `Wait ${daysToLTCG} days to convert STCG to LTCG and save ${taxSavingsIfWait.toFixed(0)} in taxes`
             : null
     };
 }
 
 /**
- * Calculate tax-loss harvesting opportunities
- * @param {Array<Object>} holdings - Current holdings with gain/loss info
- * @param {Array<Object>} gains - Realized gains this FY
- * @returns {Object} - Tax-loss harvesting suggestions
+ * Loss a holding can harvest: the first-in-first-out run of lots with the largest net loss
+ * (FIFO means a sale always starts from the oldest lot)
+ * Holdings without lots fall back to unrealizedGain and the first buy date
+ * @returns {Object|null} - { quantity, shortTermGain, longTermGain, lots }
  */
-export function findTaxLossHarvesting(holdings, realizedGainsThisFY = 0) {
-    const lossMakingStocks = holdings.filter(h => h.unrealizedGain < 0);
-
-    // Sort by loss amount (largest loss first)
-    lossMakingStocks.sort((a, b) => a.unrealizedGain - b.unrealizedGain);
+function harvestableLoss(stock, saleDate) {
+    if (!stock.lots?.length || !stock.currentPrice) {
+        if (!(stock.unrealizedGain < 0)) return null;
+        const isShortTerm = getGainType(stock.firstBuyDate, saleDate) === 'STCG';
+        return {
+            quantity: stock.quantity ?? null,
+            shortTermGain: isShortTerm ? stock.unrealizedGain : 0,
+            longTermGain: isShortTerm ? 0 : stock.unrealizedGain,
+            lots: [],
+        };
+    }
 
-    const opportunities = lossMakingStocks.map(stock => {
-        const loss = Math.abs(stock.unrealizedGain);
-        const gainType = getGainType(stock.firstBuyDate);
+    const total = stock.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const { matches } = matchHoldingLots(stock, total, stock.currentPrice, saleDate);
+
+    let running = 0;
+    let best = 0;
+    let bestCount = 0;
+    matches.forEach((m, i) => {
+        running += m.gain;
+        if (running < best) {
+            best = running;
+            bestCount = i + 1;
+        }
+    });
+    if (bestCount === 0) return null;
 
-        // Tax savings from harvesting this loss
-        const taxRate = gainType === 'STCG' ? TAX_RATES.STCG : TAX_RATES.LTCG;
-        const potentialTaxSavings = loss * taxRate * (1 + TAX_RATES.CESS);
+    const sold = matches.slice(0, bestCount);
+    const shortTermGain = sold.filter(m => m.gainType === 'STCG').reduce((sum, m) => sum + m.gain, 0);
+    return {
+        quantity: sold.reduce((sum, m) => sum + m.quantity, 0),
+        shortTermGain,
+        longTermGain: best - shortTermGain,
+        lots: sold,
+    };
+}
 
-        // Can offset against gains
-        const offsetAmount = Math.min(loss, realizedGainsThisFY);
-        const actualSavings = offsetAmount * taxRate * (1 + TAX_RATES.CESS);
+/**
+ * Gains left to tax after every set-off (taxable gains plus the exempt part of LTCG)
+ */
+function gainsAfterSetOff(tax) {
+    return tax.taxableGain + tax.exemptionUsed;
+}
 
-        return {
-            symbol: stock.symbol,
-            tradingSymbol: stock.tradingSymbol,
-            unrealizedLoss: loss,
-            gainType,
-            potentialTaxSavings,
-            offsetableAgainstGains: offsetAmount,
-            actualSavings,
-            recommendation: realizedGainsThisFY > 0 && loss > 10000
-                ? `Sell to offset ₹${offsetAmount.toFixed(0)} against gains, saving ₹${actualSavings.toFixed(0)} in taxes`
-                : loss > 10000
-                    ? `Consider booking loss of ₹${loss.toFixed(0)} to carry forward`
-                    : 'Loss too small to harvest'
-        };
-    });
+/**
+ * Calculate tax-loss harvesting opportunities
+ * Works lot by lot when holdings carry open lots and a currentPrice (see holdingsFromLedger).
+ * Savings are the fall in this year's tax on realized gains after brought-forward losses;
+ * whatever the year can't absorb carries forward
+ * @param {Array<Object>} holdings - Current holdings with gain/loss info
+ * @param {number|Object} [realizedGainsThisFY=0] - Realized gains this FY: { shortTerm, longTerm }
+ *   (see realizedGains), or a single amount assumed to match the term of each loss
+ * @param {Object} [options] - { saleDate = today, totalIncome, carriedForward } (see taxOnGains)
+ * @returns {Object} - Tax-loss harvesting suggestions
+ */
+export function findTaxLossHarvesting(holdings, realizedGainsThisFY = 0, options = {}) {
+    const { saleDate = new Date(), carriedForward = [] } = options;
+    const rules = getTaxRules(saleDate);
+    const realizedByTerm = typeof realizedGainsThisFY === 'object' ? realizedGainsThisFY : null;
+    const broughtForward = totalLosses(carriedForward);
+
+    // A bare amount of gains counts as the term the harvest is mostly made of
+    const realizedFor = harvest => realizedByTerm || (harvest.shortTermGain < harvest.longTermGain
+        ? { shortTerm: realizedGainsThisFY, longTerm: 0 }
+        : { shortTerm: 0, longTerm: realizedGainsThisFY });
+
+    const opportunities = holdings
+        .map(stock => ({ stock, harvest: harvestableLoss(stock, saleDate) }))
+        .filter(({ harvest }) => harvest)
+        .map(({ stock, harvest }) => {
+            const shortTermLoss = Math.max(0, -harvest.shortTermGain);
+            const longTermLoss = Math.max(0, -harvest.longTermGain);
+            const loss = -(harvest.shortTermGain + harvest.longTermGain);
+
+            // Tax savings from harvesting this loss
+            const potentialTaxSavings = (shortTermLoss * rules.stcgRate + longTermLoss * rules.ltcgRate) * (1 + rules.cess);
+
+            // This year's tax on realized gains, net of brought-forward losses, before and after
+            const realized = realizedFor(harvest);
+            const taxBefore = taxOnGains(realized.shortTerm, realized.longTerm, 0, options);
+            const taxAfter = taxOnGains(
+                realized.shortTerm + harvest.shortTermGain,
+                realized.longTerm + harvest.longTermGain,
+                0,
+                options
+            );
+            const offsetAmount = gainsAfterSetOff(taxBefore) - gainsAfterSetOff(taxAfter);
+            const actualSavings = taxBefore.totalTax - taxAfter.totalTax;
+
+            return {
+                symbol: stock.symbol,
+                tradingSymbol: stock.tradingSymbol,
+                quantity: harvest.quantity,
+                unrealizedLoss: loss,
+                shortTermLoss,
+                longTermLoss,
+                gainType: shortTermLoss > 0 && longTermLoss > 0 ? 'MIXED' : shortTermLoss > 0 ? 'STCG' : 'LTCG',
+                lots: harvest.lots,
+                potentialTaxSavings,
+                offsetableAgainstGains: offsetAmount,
+                lossCarriedForward: loss - offsetAmount,
+                taxBeforeHarvest: taxBefore.totalTax,
+                taxAfterHarvest: taxAfter.totalTax,
+                actualSavings,
+                recommendation: actualSavings > 0 && loss > 10000
+                    ? `Sell ${harvest.quantity ?? 'all'} shares to offset ₹${offsetAmount.toFixed(0)} against gains, saving ₹${actualSavings.toFixed(0)} in taxes`
+                    : loss > 10000
+                        ? `Consider booking loss of ₹${loss.toFixed(0)} to carry forward (usable until ${lastSetOffYear(rules.financialYear)})`
+                        : 'Loss too small to harvest'
+            };
+        })
+        // Largest loss first
+        .sort((a, b) => b.unrealizedLoss - a.unrealizedLoss);
+
+    const totalHarvestable = opportunities.reduce((s, o) => s + o.unrealizedLoss, 0);
+
+    // Gains still taxable this year once brought-forward losses are set off
+    const taxOnRealized = realizedByTerm
+        ? taxOnGains(realizedByTerm.shortTerm, realizedByTerm.longTerm, 0, options)
+        : null;
+    const gainsLeft = taxOnRealized
+        ? gainsAfterSetOff(taxOnRealized)
+        : Math.max(0, realizedGainsThisFY - broughtForward.total);
 
     return {
         opportunities: opportunities.filter(o => o.unrealizedLoss > 5000),
-        totalHarvestable: lossMakingStocks.reduce((s, h) => s + Math.abs(h.unrealizedGain), 0),
+        totalHarvestable,
         realizedGainsThisFY,
-        maxOffset: Math.min(
-            lossMakingStocks.reduce((s, h) => s + Math.abs(h.unrealizedGain), 0),
-            realizedGainsThisFY
-        )
+        carriedForward: broughtForward,
+        taxOnRealizedGains: taxOnRealized ? taxOnRealized.totalTax : null,
+        maxOffset: Math.min(totalHarvestable, gainsLeft)
     };
 }
 
 /**
  * Generate tax-aware rebalancing plan
  * Instead of "sell X, buy Y", suggest optimal path
+ * Sells are taxed lot by lot (FIFO) when holdings carry open lots, and share one LTCG exemption
+ * and the losses brought forward from earlier years
  * @param {Array<Object>} currentHoldings
  * @param {Object} targetWeights - { symbol: targetWeight }
  * @param {number} currentPrices - { symbol: price }
+ * @param {Object} [options] - { saleDate = today, ltcgUsed = 0, totalIncome, carriedForward }
+ *   (see taxOnGains)
  * @returns {Object} - Rebalancing plan with tax implications
  */
-export function generateTaxAwareRebalancingPlan(currentHoldings, targetWeights, currentPrices) {
+export function generateTaxAwareRebalancingPlan(currentHoldings, targetWeights, currentPrices, options = {}) {
     const totalValue = currentHoldings.reduce((sum, h) => {
         return sum + (h.quantity * (currentPrices[h.symbol] || h.avgBuyPrice));
     }, 0);
@@ -202,6 +410,9 @@ export function generateTaxAwareRebalancingPlan(currentHoldings, targetWeights,
     const trades = [];
     let totalTaxIfExecutedNow = 0;
     let totalTaxIfWaitForLTCG = 0;
+    let ltcgUsed = options.ltcgUsed || 0;
+    let carriedForward = options.carriedForward || [];
+    let lossSetOff = 0;
 
     currentHoldings.forEach(holding => {
         const currentPrice = currentPrices[holding.symbol] || holding.avgBuyPrice;
@@ -220,17 +431,15 @@ export function generateTaxAwareRebalancingPlan(currentHoldings, targetWeights,
             const reduceValue = Math.abs(weightDiff / 100) * totalValue;
             const reduceQty = Math.floor(reduceValue / currentPrice);
 
-            const sellImpact = calculateSellImpact(holding, currentPrice, reduceQty);
+            const sellImpact = calculateSellImpact(holding, currentPrice, reduceQty, { ...options, ltcgUsed, carriedForward });
+            ltcgUsed += sellImpact.exemptionUsed;
+            carriedForward = sellImpact.carriedForwardLeft;
+            lossSetOff += sellImpact.lossSetOff.total;
 
             totalTaxIfExecutedNow += sellImpact.totalTax;
 
-            // Calculate tax if wait for LTCG
-            if (sellImpact.gainType === 'STCG' && sellImpact.capitalGain > 0) {
-                const ltcgTax = calculateTax(sellImpact.capitalGain, 'LTCG');
-                totalTaxIfWaitForLTCG += ltcgTax.totalTax;
-            } else {
-                totalTaxIfWaitForLTCG += sellImpact.totalTax;
-            }
+            // Tax if we wait until every lot sold is long-term
+            totalTaxIfWaitForLTCG += sellImpact.taxIfWaitForLTCG;
 
             trades.push({
                 action: 'SELL',
@@ -284,10 +493,9 @@ export function generateTaxAwareRebalancingPlan(currentHoldings, targetWeights,
         if (a.action === 'BUY' && b.action === 'SELL') return -1;
         if (a.action === 'SELL' && b.action === 'BUY') return 1;
         if (a.taxImpact && b.taxImpact) {
-            // Prefer selling LTCG over STCG
-            if (a.taxImpact.gainType !== b.taxImpact.gainType) {
-                return a.taxImpact.gainType === 'LTCG' ? -1 : 1;
-            }
+            // Prefer selling LTCG over mixed lots over STCG
+            const rank = { LTCG: 0, MIXED: 1, STCG: 2 };
+            return rank[a.taxImpact.gainType] - rank[b.taxImpact.gainType];
         }
         return 0;
     });
@@ -303,6 +511,8 @@ export function generateTaxAwareRebalancingPlan(currentHoldings, targetWeights,
             totalTaxIfExecutedNow,
             totalTaxIfWaitForLTCG,
             taxSavingsIfWait,
+            lossSetOff,
+            carriedForwardLeft: totalLosses(carriedForward),
             recommendation: taxSavingsIfWait > 5000
                 ? `Consider waiting for some holdings to become LTCG to save ₹${taxSavingsIfWait.toFixed(0)}`
                 : 'Execute rebalancing as planned'
@@ -316,6 +526,7 @@ export function generateTaxAwareRebalancingPlan(currentHoldings, targetWeights,
  */
 function generateAlternatives(trades) {
     const sellTrades = trades.filter(t => t.action === 'SELL');
+    const rules = getTaxRules();
 
     return [
         {
@@ -327,7 +538,7 @@ function generateAlternatives(trades) {
         {
             name: 'Wait for LTCG',
             description: 'Wait for holdings to become long-term before selling',
-            pros: ['Lower tax rate (10% vs 15%)', 'LTCG exemption available'],
+            pros: [`Lower tax rate (${formatRate(rules.ltcgRate)} vs ${formatRate(rules.stcgRate)})`, 'LTCG exemption available'],
             cons: ['Portfolio stays imbalanced', 'Market conditions may change']
         },
         {
@@ -340,11 +551,11 @@ function generateAlternatives(trades) {
 }
 
 /**
- * Calculate days until a holding becomes LTCG
+ * Calculate days until a holding becomes LTCG (see ltcgStartDate)
  */
 export function getDaysToLTCG(buyDate) {
-    const holdingDays = daysBetween(buyDate, new Date());
-    return Math.max(0, 365 - holdingDays);
+    const today = new Date().toISOString().split('T')[0];
+    return Math.max(0, daysBetween(today, ltcgStartDate(buyDate)));
 }
 
 /**
@@ -357,7 +568,7 @@ export function getLTCGCalendar(holdings) {
             symbol: h.symbol,
             tradingSymbol: h.tradingSymbol,
             buyDate: h.firstBuyDate,
-            ltcgDate: new Date(new Date(h.firstBuyDate).getTime() + 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+            ltcgDate: ltcgStartDate(h.firstBuyDate),
             daysRemaining: getDaysToLTCG(h.firstBuyDate),
             unrealizedGain: h.unrealizedGain || 0
         }))
@@ -365,9 +576,9 @@ export function getLTCGCalendar(holdings) {
 }
 
 export default {
-    TAX_RATES,
     getGainType,
     calculateTax,
+    taxOnGains,
     calculateSellImpact,
     findTaxLossHarvesting,
     generateTaxAwareRebalancingPlan,
@@ -0,0 +1,266 @@
+/**
+ * Tax Lot Ledger
+ *
+ * Capital gains on shares are computed lot by lot, first in first out:
+ * - Every BUY opens a lot; a BONUS allotment opens a lot at nil cost on its allotment date
+ * - Every SELL closes the oldest open lots first, and each matched piece is STCG or LTCG
+ *   by its own holding period
+ * - A SPLIT scales the open lots (quantity = new shares per old share) and keeps their
+ *   cost and buy dates; splits after 31 Jan 2018 also scale the lot's 31-Jan-2018 FMV
+ * - DIVIDEND rows don't touch the lots
+ * - Lots bought before 1 Feb 2018 use the Section 112A grandfathered cost when the
+ *   31-Jan-2018 FMV of the ISIN is known (see grandfathering.js)
+ *
+ * Rows come straight from the transactions table (004_portfolios_transactions.sql:
+ * snake_case, DECIMAL columns as strings) or from the broker CSV parsers (camelCase).
+ */
+
+import { getGainType, daysBetween, financialYear } from './taxRules.js';
+import { GRANDFATHERING_CUTOFF, getFmv2018, isGrandfathered, grandfatheredCost } from './grandfathering.js';
+
+// Transaction types of the transactions table
+export const TRANSACTION_TYPES = ['BUY', 'SELL', 'DIVIDEND', 'BONUS', 'SPLIT'];
+
+// Quantities are DECIMAL(15, 4): anything smaller is rounding noise
+const QUANTITY_EPSILON = 1e-6;
+
+/**
+ * YYYY-MM-DD of a transaction date
+ */
+function toDay(date) {
+    if (typeof date === 'string') return date.slice(0, 10);
+    return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Normalise a transactions row or a parsed broker transaction
+ * @param {Object} row - { id, symbol, trading_symbol | tradingSymbol, isin, transaction_type | type,
+ *   quantity, price, transaction_date | date, broker }
+ * @returns {Object} - { id, symbol, tradingSymbol, isin, type, quantity, price, date (YYYY-MM-DD), broker }
+ */
+export function normalizeTransaction(row) {
+    const type = String(row.transaction_type ?? row.type ?? '').toUpperCase();
+    if (!TRANSACTION_TYPES.includes(type)) {
+        throw new Error(`Unknown transaction type: ${type}. Use one of ${TRANSACTION_TYPES.join(', ')}`);
+    }
+
+    const date = row.transaction_date ?? row.date;
+    if (!date) {
+        throw new Error(`Transaction for ${row.symbol} has no date`);
+    }
+
+    return {
+        id: row.id ?? null,
+        symbol: row.symbol,
+        tradingSymbol: row.trading_symbol ?? row.tradingSymbol ?? row.symbol,
+        isin: row.isin ?? null,
+        type,
+        quantity: Number(row.quantity),
+        price: Number(row.price),
+        date: toDay(date),
+        broker: row.broker ?? null,
+    };
+}
+
+/**
+ * Match a sale against open lots, oldest first
+ * @param {Object[]} openLots - [{ id, buyDate, quantity, price, splitFactor? }] in buy order, where
+ *   splitFactor is the product of the splits since 31 Jan 2018
+ * @param {number} quantity - Shares sold
+ * @param {number} sellPrice - Price per share
+ * @param {Date|string} [sellDate=today]
+ * @param {Object} [options]
+ * @param {number|null} [options.fmv2018] - FMV per share on 31 Jan 2018 (before any later split)
+ * @returns {Object} - { matches: [{ lotId, buyDate, sellDate, quantity, buyPrice, costPrice,
+ *   sellPrice, costBasis, saleValue, gain, gainType, holdingDays, grandfathered, fmv2018 }],
+ *   remainingLots, unmatchedQuantity } where costPrice is the cost of acquisition per share
+ *   (grandfathered or actual); the input lots are not modified
+ */
+export function matchLotsFIFO(openLots, quantity, sellPrice, sellDate = new Date(), options = {}) {
+    const { fmv2018 = null } = options;
+    const sellDay = toDay(sellDate);
+    const matches = [];
+    const remainingLots = [];
+    let toSell = quantity;
+
+    openLots.forEach(lot => {
+        const take = Math.min(lot.quantity, Math.max(toSell, 0));
+        if (take > QUANTITY_EPSILON) {
+            const grandfathered = fmv2018 !== null && isGrandfathered(lot.buyDate, sellDay);
+            // FMV per share as the lot stands today (a 1:2 split after 31 Jan 2018 halves it)
+            const fmv = grandfathered ? fmv2018 / (lot.splitFactor || 1) : null;
+            const costPrice = grandfathered ? grandfatheredCost(lot.price, fmv, sellPrice) : lot.price;
+            matches.push({
+                lotId: lot.id,
+                buyDate: lot.buyDate,
+                sellDate: sellDay,
+                quantity: take,
+                buyPrice: lot.price,
+                costPrice,
+                sellPrice,
+                costBasis: take * costPrice,
+                saleValue: take * sellPrice,
+                gain: take * (sellPrice - costPrice),
+                gainType: getGainType(lot.buyDate, sellDay),
+                holdingDays: daysBetween(lot.buyDate, sellDay),
+                grandfathered,
+                fmv2018: fmv,
+            });
+            toSell -= take;
+        }
+        if (lot.quantity - take > QUANTITY_EPSILON) {
+            remainingLots.push({ ...lot, quantity: lot.quantity - take });
+        }
+    });
+
+    return {
+        matches,
+        remainingLots,
+        unmatchedQuantity: toSell > QUANTITY_EPSILON ? toSell : 0,
+    };
+}
+
+/**
+ * Build the FIFO lot ledger of every symbol from its transactions
+ * Same-day rows are applied buys first, so an intraday round trip never oversells
+ * @param {Object[]} transactions - Rows of the transactions table (any order)
+ * @param {Object} [options]
+ * @param {Object} [options.isins] - { [symbol]: ISIN } for rows without an isin (the transactions
+ *   table has none; stock_master does), used for the 31-Jan-2018 FMV lookup
+ * @returns {Object} - { [symbol]: { symbol, tradingSymbol, isin, openLots, realized, unmatchedSellQuantity,
+ *   missingIsin } } where realized holds the matches of every sale (see matchLotsFIFO) with its
+ *   saleId and broker, unmatchedSellQuantity the shares sold without a recorded buy (e.g. bought
+ *   before the imported history), and missingIsin is set when lots bought before 1 Feb 2018 have
+ *   no ISIN, so their 31-Jan-2018 FMV can't be looked up and the actual cost is used
+ */
+export function buildLotLedger(transactions, options = {}) {
+    const { isins = {} } = options;
+    const rows = transactions
+        .map(normalizeTransaction)
+        .map((tx, index) => ({ tx, index }))
+        .sort((a, b) => a.tx.date.localeCompare(b.tx.date)
+            || (a.tx.type === 'SELL') - (b.tx.type === 'SELL')
+            || a.index - b.index)
+        .map(({ tx }) => tx);
+
+    const ledger = {};
+
+    rows.forEach((tx, index) => {
+        const entry = ledger[tx.symbol] ??= {
+            symbol: tx.symbol,
+            tradingSymbol: tx.tradingSymbol,
+            isin: isins[tx.symbol] ?? null,
+            openLots: [],
+            realized: [],
+            unmatchedSellQuantity: 0,
+        };
+
+        entry.isin ??= tx.isin;
+
+        if (tx.type === 'BUY' || tx.type === 'BONUS') {
+            entry.openLots.push({
+                id: tx.id ?? `${tx.symbol}-${index}`,
+                buyDate: tx.date,
+                quantity: tx.quantity,
+                // Bonus shares have a nil cost of acquisition
+                price: tx.type === 'BONUS' ? 0 : tx.price,
+            });
+        } else if (tx.type === 'SELL') {
+            const { matches, remainingLots, unmatchedQuantity } = matchLotsFIFO(
+                entry.openLots, tx.quantity, tx.price, tx.date, { fmv2018: getFmv2018(entry.isin) }
+            );
+            const saleId = tx.id ?? `${tx.symbol}-${index}`;
+            entry.realized.push(...matches.map(m => ({ ...m, saleId, broker: tx.broker })));
+            entry.openLots = remainingLots;
+            entry.unmatchedSellQuantity += unmatchedQuantity;
+        } else if (tx.type === 'SPLIT') {
+            // The 31-Jan-2018 FMV was quoted after any earlier split, so only later ones adjust it
+            const fmvSplit = tx.date >= GRANDFATHERING_CUTOFF ? tx.quantity : 1;
+            entry.openLots = entry.openLots.map(lot => ({
+                ...lot,
+                quantity: lot.quantity * tx.quantity,
+                price: lot.price / tx.quantity,
+                splitFactor: (lot.splitFactor || 1) * fmvSplit,
+            }));
+        }
+    });
+
+    Object.values(ledger).forEach(entry => {
+        entry.missingIsin = !entry.isin && [...entry.openLots, ...entry.realized]
+            .some(lot => lot.buyDate < GRANDFATHERING_CUTOFF);
+    });
+
+    return ledger;
+}
+
+/**
+ * Current holdings (with their open lots) from a lot ledger
+ * @param {Object} ledger - From buildLotLedger
+ * @returns {Object[]} - [{ symbol, tradingSymbol, isin, quantity, avgBuyPrice, firstBuyDate, lots }]
+ */
+export function holdingsFromLedger(ledger) {
+    return Object.values(ledger)
+        .filter(entry => entry.openLots.length > 0)
+        .map(({ symbol, tradingSymbol, isin, openLots }) => {
+            const quantity = openLots.reduce((sum, lot) => sum + lot.quantity, 0);
+            const cost = openLots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+            return {
+                symbol,
+                tradingSymbol,
+                isin,
+                quantity,
+                avgBuyPrice: cost / quantity,
+                firstBuyDate: openLots[0].buyDate,
+                lots: openLots,
+            };
+        });
+}
+
+/**
+ * Net realized short- and long-term gains in a date range
+ * @param {Object} ledger - From buildLotLedger
+ * @param {Object} [range] - { from, to } YYYY-MM-DD sale dates, inclusive
+ * @returns {{ shortTerm: number, longTerm: number }} - Negative values are net losses
+ */
+export function realizedGains(ledger, range = {}) {
+    const { from = '0000-00-00', to = '9999-99-99' } = range;
+    const totals = { shortTerm: 0, longTerm: 0 };
+
+    Object.values(ledger).forEach(entry => {
+        entry.realized
+            .filter(m => m.sellDate >= from && m.sellDate <= to)
+            .forEach(m => {
+                totals[m.gainType === 'LTCG' ? 'longTerm' : 'shortTerm'] += m.gain;
+            });
+    });
+
+    return totals;
+}
+
+/**
+ * Net realized short- and long-term gains of every financial year with a sale
+ * @param {Object} ledger - From buildLotLedger
+ * @returns {Object} - { [financialYear]: { shortTerm, longTerm } }; negative values are net losses
+ */
+export function realizedGainsByYear(ledger) {
+    const years = {};
+
+    Object.values(ledger).forEach(entry => {
+        entry.realized.forEach(m => {
+            const totals = years[financialYear(m.sellDate)] ??= { shortTerm: 0, longTerm: 0 };
+            totals[m.gainType === 'LTCG' ? 'longTerm' : 'shortTerm'] += m.gain;
+        });
+    });
+
+    return years;
+}
+
+export default {
+    TRANSACTION_TYPES,
+    normalizeTransaction,
+    matchLotsFIFO,
+    buildLotLedger,
+    holdingsFromLedger,
+    realizedGains,
+    realizedGainsByYear,
+};
@@ -0,0 +1,200 @@
+/**
+ * Capital Gains Tax Rules
+ *
+ * Listed equity shares and equity mutual funds (STT paid), as data:
+ * - Rates (Section 111A STCG, Section 112A / 10(38) LTCG) change on the sale date a
+ *   budget takes effect, e.g. 23 Jul 2024
+ * - The LTCG exemption, cess and surcharge slabs apply to a whole financial year
+ *
+ * A new budget is a new row in CAPITAL_GAINS_RATES and/or FINANCIAL_YEAR_RULES;
+ * rows are looked up by the latest `from` date on or before the sale date.
+ */
+
+// Rates by sale date
+export const CAPITAL_GAINS_RATES = [
+    {
+        from: '2008-04-01',
+        label: 'Finance Act 2008 (LTCG exempt u/s 10(38))',
+        stcgRate: 0.15,
+        ltcgRate: 0,
+        ltcgHoldingMonths: 12,
+    },
+    {
+        from: '2018-04-01',
+        label: 'Budget 2018 (Section 112A)',
+        stcgRate: 0.15,
+        ltcgRate: 0.10,
+        ltcgHoldingMonths: 12,
+    },
+    {
+        from: '2024-07-23',
+        label: 'Budget 2024 (Finance (No. 2) Act 2024)',
+        stcgRate: 0.20,
+        ltcgRate: 0.125,
+        ltcgHoldingMonths: 12,
+    },
+];
+
+// Surcharge on total income; capital gains u/s 111A / 112A pay at most surchargeCap
+const SURCHARGE_SLABS = [
+    { above: 5000000, rate: 0.10 },     // > ₹50 lakh
+    { above: 10000000, rate: 0.15 },    // > ₹1 crore
+    { above: 20000000, rate: 0.25 },    // > ₹2 crore
+    { above: 50000000, rate: 0.37 },    // > ₹5 crore
+];
+
+// Exemption, cess and surcharge by financial year (from = 1 April of the FY)
+export const FINANCIAL_YEAR_RULES = [
+    {
+        from: '2008-04-01',
+        ltcgExemption: 0,
+        cess: 0.03,                     // Education + secondary & higher education cess
+        surchargeSlabs: [],
+        surchargeCap: 0,
+    },
+    {
+        from: '2018-04-01',
+        ltcgExemption: 100000,          // ₹1 lakh
+        cess: 0.04,                     // Health & education cess
+        surchargeSlabs: SURCHARGE_SLABS,
+        surchargeCap: 0.15,
+    },
+    {
+        from: '2024-04-01',
+        ltcgExemption: 125000,          // ₹1.25 lakh for the whole of FY 2024-25
+        cess: 0.04,
+        surchargeSlabs: SURCHARGE_SLABS,
+        surchargeCap: 0.15,
+    },
+];
+
+/**
+ * YYYY-MM-DD of a date (local calendar day)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function toDateString(date) {
+    if (typeof date === 'string') return date.slice(0, 10);
+    const d = new Date(date);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Latest row with from <= date
+ */
+function ruleOn(table, date, what) {
+    const day = toDateString(date);
+    const rule = table.filter(r => r.from <= day).pop();
+    if (!rule) {
+        throw new Error(`No ${what} for ${day}; rules start on ${table[0].from}`);
+    }
+    return rule;
+}
+
+/**
+ * Indian financial year (April - March) of a date
+ * @param {Date|string} date
+ * @returns {string} - e.g. 'FY2024-25'
+ */
+export function financialYear(date = new Date()) {
+    const [year, month] = toDateString(date).split('-').map(Number);
+    const start = month >= 4 ? year : year - 1;
+    return `FY${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * First and last day of a financial year
+ * @param {string} fy - e.g. 'FY2024-25'
+ * @returns {{ from: string, to: string }} - YYYY-MM-DD, inclusive
+ */
+export function financialYearRange(fy) {
+    const match = /^FY(\d{4})-\d{2}$/.exec(fy);
+    if (!match) {
+        throw new Error(`Invalid financial year: ${fy}. Use the form FY2024-25`);
+    }
+    const start = Number(match[1]);
+    return { from: `${start}-04-01`, to: `${start + 1}-03-31` };
+}
+
+/**
+ * Tax rules in force for a sale
+ * @param {Date|string} [saleDate=today]
+ * @returns {Object} - { saleDate, financialYear, label, stcgRate, ltcgRate, ltcgHoldingMonths,
+ *   ltcgExemption, cess, surchargeSlabs, surchargeCap }
+ */
+export function getTaxRules(saleDate = new Date()) {
+    const { from: ratesFrom, ...rates } = ruleOn(CAPITAL_GAINS_RATES, saleDate, 'capital gains rates');
+    const fy = financialYear(saleDate);
+    const { from: fyFrom, ...yearRules } = ruleOn(FINANCIAL_YEAR_RULES, `${fy.slice(2, 6)}-04-01`, 'financial year rules');
+
+    return {
+        saleDate: toDateString(saleDate),
+        financialYear: fy,
+        ratesFrom,
+        yearRulesFrom: fyFrom,
+        ...rates,
+        ...yearRules,
+    };
+}
+
+/**
+ * Calendar days between two dates
+ * @param {Date|string} date1
+ * @param {Date|string} date2
+ * @returns {number}
+ */
+export function daysBetween(date1, date2) {
+    const d1 = new Date(date1);
+    const d2 = new Date(date2);
+    return Math.floor((d2 - d1) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * First day a purchase counts as long-term: the day after the buy date plus ltcgHoldingMonths
+ * calendar months, which end on the month's last day when it is shorter (a 29 Feb 2024 buy
+ * completes 12 months on 28 Feb 2025 and is long-term from 1 Mar 2025)
+ * @param {Date|string} buyDate
+ * @param {Date|string} [saleDate=today] - Sale date whose holding period applies
+ * @returns {string} - YYYY-MM-DD
+ */
+export function ltcgStartDate(buyDate, saleDate = new Date()) {
+    const [year, month, day] = toDateString(buyDate).split('-').map(Number);
+    const end = new Date(Date.UTC(year, month - 1 + getTaxRules(saleDate).ltcgHoldingMonths, 1));
+    const monthDays = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 0)).getUTCDate();
+    end.setUTCDate(Math.min(day, monthDays) + 1);
+    return end.toISOString().split('T')[0];
+}
+
+/**
+ * Determine if gain is STCG or LTCG (long-term when held for more than 12 months)
+ * @param {Date|string} buyDate
+ * @param {Date|string} sellDate
+ * @returns {'STCG' | 'LTCG'}
+ */
+export function getGainType(buyDate, sellDate = new Date()) {
+    return toDateString(sellDate) >= ltcgStartDate(buyDate, sellDate) ? 'LTCG' : 'STCG';
+}
+
+/**
+ * Surcharge rate on capital gains tax for a total income
+ * @param {number} totalIncome - Total income for the year in ₹ (including the gains)
+ * @param {Object} rules - From getTaxRules
+ * @returns {number}
+ */
+export function surchargeRate(totalIncome, rules) {
+    const slab = rules.surchargeSlabs.filter(s => totalIncome > s.above).pop();
+    return slab ? Math.min(slab.rate, rules.surchargeCap) : 0;
+}
+
+export default {
+    CAPITAL_GAINS_RATES,
+    FINANCIAL_YEAR_RULES,
+    financialYear,
+    financialYearRange,
+    getTaxRules,
+    daysBetween,
+    ltcgStartDate,
+    getGainType,
+    surchargeRate,
+};
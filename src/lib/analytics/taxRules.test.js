@@ -0,0 +1,33 @@
+/**
+ * Capital Gains Tax Rules - holding period tests (node --test)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getGainType, ltcgStartDate } from './taxRules.js';
+import { getLTCGCalendar } from './taxAware.js';
+
+test('long-term only after more than 12 calendar months', () => {
+    assert.equal(getGainType('2022-06-15', '2023-06-15'), 'STCG');
+    assert.equal(getGainType('2022-06-15', '2023-06-16'), 'LTCG');
+});
+
+test('a year spanning 29 February is still 12 months, not 365 days', () => {
+    // 366 days, but exactly 12 months: not "more than 12 months"
+    assert.equal(getGainType('2023-03-01', '2024-03-01'), 'STCG');
+    assert.equal(getGainType('2023-03-01', '2024-03-02'), 'LTCG');
+    assert.equal(ltcgStartDate('2023-03-01'), '2024-03-02');
+});
+
+test('a 29 February purchase completes 12 months on 28 February', () => {
+    assert.equal(ltcgStartDate('2024-02-29'), '2025-03-01');
+    assert.equal(getGainType('2024-02-29', '2025-02-28'), 'STCG');
+    assert.equal(getGainType('2024-02-29', '2025-03-01'), 'LTCG');
+});
+
+test('the LTCG calendar lists the first long-term day', () => {
+    const buyDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const [entry] = getLTCGCalendar([{ symbol: 'INFY', firstBuyDate: buyDate }]);
+    assert.equal(entry.ltcgDate, ltcgStartDate(buyDate));
+    assert.equal(getGainType(buyDate, entry.ltcgDate), 'LTCG');
+});
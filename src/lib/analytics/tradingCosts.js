@@ -0,0 +1,215 @@
+/**
+ * Trading Cost Model
+ *
+ * Indian equity delivery trades pay:
+ * - Brokerage (broker-specific, often zero for delivery at discount brokers)
+ * - STT: 0.1% on buy and sell
+ * - Exchange transaction charges (NSE / BSE)
+ * - SEBI turnover fee: ₹10 per crore
+ * - GST: 18% on brokerage + exchange charges + SEBI fee + DP charges
+ * - Stamp duty: 0.015% on buy
+ * - DP charges: flat fee per scrip on each sell day
+ *
+ * Optional slippage uses the square-root market impact law with liquidity
+ * (average daily traded value, daily volatility) estimated from price/volume history.
+ */
+
+// Statutory charges for equity delivery (rates as a fraction of turnover)
+export const STATUTORY_CHARGES = {
+    STT: 0.001,                 // 0.1% on buy and sell
+    EXCHANGE: {
+        NSE: 0.0000297,         // 0.00297%
+        BSE: 0.0000375,         // 0.00375%
+    },
+    SEBI: 10 / 1e7,             // ₹10 per crore
+    STAMP_DUTY_BUY: 0.00015,    // 0.015% on buy only
+    GST: 0.18,                  // On brokerage, exchange, SEBI and DP charges
+};
+
+// Equity delivery brokerage and DP charges per broker
+export const BROKER_CHARGES = {
+    zerodha: { name: 'Zerodha', rate: 0, min: 0, max: 0, dp: 13.5 },
+    upstox: { name: 'Upstox', rate: 0.025, min: 0, max: 20, dp: 18.5 },
+    groww: { name: 'Groww', rate: 0.001, min: 5, max: 20, dp: 13.5 },
+    angelone: { name: 'Angel One', rate: 0.001, min: 5, max: 20, dp: 20 },
+};
+
+/**
+ * Supported brokers
+ * @type {string[]}
+ */
+export const BROKERS = Object.keys(BROKER_CHARGES);
+
+/**
+ * Brokerage for one order
+ * @param {number} value - Order value in ₹
+ * @param {string} [broker='zerodha']
+ * @returns {number}
+ */
+export function calculateBrokerage(value, broker = 'zerodha') {
+    const charges = BROKER_CHARGES[broker];
+    if (!charges) {
+        throw new Error(`Unknown broker: ${broker}. Use one of ${BROKERS.join(', ')}`);
+    }
+    if (value <= 0 || charges.max === 0) return 0;
+
+    return Math.min(Math.max(value * charges.rate, charges.min), charges.max, value);
+}
+
+/**
+ * Liquidity estimate from daily price rows (as stored in structura_price_cache)
+ * @param {Object[]} prices - [{ date, close, volume }] sorted by date
+ * @param {number} [lookback=20] - Trading days to average over
+ * @returns {{ adv: number, dailyVolatility: number }|null} - adv = average daily traded value in ₹,
+ *   or null when the rows carry no volume
+ */
+export function liquidityFromPrices(prices, lookback = 20) {
+    if (!prices || prices.length < 2) return null;
+
+    const recent = prices.slice(-(lookback + 1));
+    const traded = recent
+        .filter(p => p.volume > 0 && p.close > 0)
+        .map(p => p.close * p.volume);
+    if (traded.length === 0) return null;
+
+    const returns = [];
+    for (let i = 1; i < recent.length; i++) {
+        if (recent[i - 1].close > 0 && recent[i].close > 0) {
+            returns.push(recent[i].close / recent[i - 1].close - 1);
+        }
+    }
+    const avg = returns.reduce((a, b) => a + b, 0) / Math.max(returns.length, 1);
+    const variance = returns.reduce((sum, r) => sum + (r - avg) ** 2, 0) / Math.max(returns.length - 1, 1);
+
+    return {
+        adv: traded.reduce((a, b) => a + b, 0) / traded.length,
+        dailyVolatility: Math.sqrt(variance),
+    };
+}
+
+/**
+ * Slippage estimate: half the bid-ask spread plus square-root market impact
+ * impact = coefficient × dailyVolatility × sqrt(value / adv)
+ * @param {number} value - Trade value in ₹
+ * @param {Object|null} liquidity - From liquidityFromPrices
+ * @param {Object} [options]
+ * @param {number} [options.spreadBps=5] - Assumed bid-ask spread in basis points
+ * @param {number} [options.impactCoefficient=1]
+ * @returns {number} - Slippage in ₹
+ */
+export function estimateSlippage(value, liquidity, options = {}) {
+    const { spreadBps = 5, impactCoefficient = 1 } = options;
+    if (value <= 0) return 0;
+
+    let fraction = spreadBps / 2 / 10000;
+    if (liquidity?.adv > 0) {
+        fraction += impactCoefficient * (liquidity.dailyVolatility || 0) * Math.sqrt(value / liquidity.adv);
+    }
+
+    return value * fraction;
+}
+
+/**
+ * Full cost breakdown of one delivery trade
+ * @param {number} value - Trade value in ₹ (sign is ignored)
+ * @param {Object} [options]
+ * @param {string} [options.side='BUY'] - BUY or SELL
+ * @param {string} [options.broker='zerodha']
+ * @param {string} [options.exchange='NSE'] - NSE or BSE
+ * @param {Object|null} [options.liquidity=null] - From liquidityFromPrices
+ * @param {boolean} [options.slippage=true] - Include the slippage estimate
+ * @returns {Object} - { value, side, brokerage, stt, exchangeCharges, sebiFees, stampDuty,
+ *   dpCharges, gst, statutory, slippage, total, totalPct }
+ */
+export function estimateTradeCost(value, options = {}) {
+    const {
+        side = 'BUY',
+        broker = 'zerodha',
+        exchange = 'NSE',
+        liquidity = null,
+        slippage: includeSlippage = true,
+    } = options;
+
+    const exchangeRate = STATUTORY_CHARGES.EXCHANGE[exchange];
+    if (exchangeRate === undefined) {
+        throw new Error(`Unknown exchange: ${exchange}. Use NSE or BSE`);
+    }
+
+    const amount = Math.abs(value);
+    if (amount === 0) {
+        return {
+            value: 0, side, brokerage: 0, stt: 0, exchangeCharges: 0, sebiFees: 0,
+            stampDuty: 0, dpCharges: 0, gst: 0, statutory: 0, slippage: 0, total: 0, totalPct: 0,
+        };
+    }
+
+    const isSell = side === 'SELL';
+    const brokerage = calculateBrokerage(amount, broker);
+    const stt = amount * STATUTORY_CHARGES.STT;
+    const exchangeCharges = amount * exchangeRate;
+    const sebiFees = amount * STATUTORY_CHARGES.SEBI;
+    const stampDuty = isSell ? 0 : amount * STATUTORY_CHARGES.STAMP_DUTY_BUY;
+    const dpCharges = isSell ? BROKER_CHARGES[broker].dp : 0;
+    const gst = (brokerage + exchangeCharges + sebiFees + dpCharges) * STATUTORY_CHARGES.GST;
+    const statutory = stt + exchangeCharges + sebiFees + stampDuty + gst;
+    const slippage = includeSlippage ? estimateSlippage(amount, liquidity) : 0;
+    const total = brokerage + dpCharges + statutory + slippage;
+
+    return {
+        value: amount,
+        side,
+        brokerage,
+        stt,
+        exchangeCharges,
+        sebiFees,
+        stampDuty,
+        dpCharges,
+        gst,
+        statutory,
+        slippage,
+        total,
+        totalPct: (total / amount) * 100,
+    };
+}
+
+/**
+ * Cost of moving a portfolio from one set of holdings to another
+ * @param {number[]} fromValues - Current holdings in ₹
+ * @param {number[]} toValues - Target holdings in ₹
+ * @param {Object} [options] - estimateTradeCost options, plus:
+ * @param {Array<Object|null>} [options.liquidity] - Liquidity per asset, aligned with the values
+ * @returns {{ total: number, turnover: number, trades: Object[] }} - turnover = traded value in ₹
+ */
+export function estimateRebalancingCost(fromValues, toValues, options = {}) {
+    const { liquidity = [], ...tradeOptions } = options;
+    let total = 0;
+    let turnover = 0;
+    const trades = [];
+
+    toValues.forEach((target, i) => {
+        const delta = target - (fromValues[i] || 0);
+        if (Math.abs(delta) < 1e-9) return;
+
+        const cost = estimateTradeCost(delta, {
+            ...tradeOptions,
+            side: delta > 0 ? 'BUY' : 'SELL',
+            liquidity: liquidity[i] || null,
+        });
+        total += cost.total;
+        turnover += cost.value;
+        trades.push({ index: i, ...cost });
+    });
+
+    return { total, turnover, trades };
+}
+
+export default {
+    STATUTORY_CHARGES,
+    BROKER_CHARGES,
+    BROKERS,
+    calculateBrokerage,
+    liquidityFromPrices,
+    estimateSlippage,
+    estimateTradeCost,
+    estimateRebalancingCost,
+};
@@ -0,0 +1,87 @@
+/**
+ * HRP Analysis Module
+ * The full Dashboard analysis in one call - HRP weights, strategy backtests against
+ * a benchmark index and the walk-forward backtest - so the same code runs in the HRP worker
+ * and, where workers are unavailable, on the main thread
+ */
+
+import { runHRP, runBacktestComparison } from './index.js';
+import { runWalkForwardBacktest } from './walkForward.js';
+import { liquidityFromPrices } from '../analytics/tradingCosts.js';
+
+/**
+ * Benchmark simple returns on the HRP trading dates (null on dates the benchmark is missing,
+ * so relative metrics can leave them out rather than read them as flat days)
+ * @param {Object[]} benchmarkPrices - [{ date, close }]
+ * @param {string[]} dates - Trading date of each aligned return row
+ * @returns {(number|null)[]|null} - null when no date matches
+ */
+export function alignBenchmarkReturns(benchmarkPrices, dates) {
+    if (!benchmarkPrices || benchmarkPrices.length < 2 || !dates) return null;
+
+    const returnByDate = {};
+    for (let i = 1; i < benchmarkPrices.length; i++) {
+        const prevClose = benchmarkPrices[i - 1].close;
+        const currClose = benchmarkPrices[i].close;
+        if (prevClose > 0 && currClose > 0) {
+            returnByDate[benchmarkPrices[i].date] = (currClose / prevClose) - 1;
+        }
+    }
+
+    const aligned = dates.map(date => returnByDate[date] ?? null);
+    const matched = aligned.filter(r => r !== null).length;
+    console.log(`Benchmark alignment: ${matched}/${dates.length} dates matched`);
+    return matched > 0 ? aligned : null;
+}
+
+/**
+ * Run HRP, the backtest comparison and the walk-forward backtest
+ * @param {Object} priceData - { symbol: [{ date, close, volume }] }
+ * @param {Object[]|null} [benchmarkData=null] - Benchmark index prices (NIFTY 50 by default)
+ * @param {Object} [options] - runHRP options plus costModel, backtestMode, benchmarkName
+ *   and the walk-forward options (see runWalkForwardBacktest)
+ * @param {Function} [onProgress] - Called as ({ stage, progress }) with progress 0-1
+ * @returns {{ hrpResult: Object, backtestResult: Object, walkForwardResult: Object|null }}
+ */
+export function runAnalysis(priceData, benchmarkData = null, options = {}, onProgress = null) {
+    // HRP itself takes the first 70% of the progress bar
+    const hrpResult = runHRP(priceData, {
+        ...options,
+        onProgress: onProgress && (({ stage, progress }) => onProgress({ stage, progress: progress * 0.7 })),
+    });
+
+    onProgress?.({ stage: 'Backtesting strategies', progress: 0.7 });
+    const benchmarkReturns = alignBenchmarkReturns(benchmarkData, hrpResult.dates);
+
+    // Trading costs: slippage uses liquidity from each stock's price/volume history
+    const costModel = options.costModel
+        ? {
+            ...options.costModel,
+            liquidity: hrpResult.symbols.map(s => liquidityFromPrices(priceData[s])),
+        }
+        : null;
+
+    const backtestResult = runBacktestComparison(hrpResult, benchmarkReturns, {
+        costModel,
+        mode: options.backtestMode || 'daily',
+        benchmark: options.benchmarkName || 'NIFTY 50',
+        riskFreeRate: options.riskFreeRate,
+    });
+
+    // Out-of-sample walk-forward backtest (skipped when history is shorter than the lookback)
+    onProgress?.({ stage: 'Walk-forward backtest', progress: 0.85 });
+    let walkForwardResult = null;
+    try {
+        walkForwardResult = runWalkForwardBacktest(hrpResult, {
+            ...options,
+            costModel,
+            benchmarkReturns,
+            benchmarkName: options.benchmarkName || 'NIFTY 50',
+        });
+    } catch (wfErr) {
+        console.warn('Walk-forward backtest skipped:', wfErr.message);
+    }
+
+    onProgress?.({ stage: 'Done', progress: 1 });
+    return { hrpResult, backtestResult, walkForwardResult };
+}
@@ -3,7 +3,13 @@
  * Compare HRP vs Equal-Weight vs Benchmark returns
  */
 
-import { mean, std } from './correlation.js';
+import { mean, std, pearsonCorrelation } from './correlation.js';
+import { estimateRebalancingCost } from '../analytics/tradingCosts.js';
+
+/**
+ * Default capital used to turn weights into ₹ trades for the cost model
+ */
+export const DEFAULT_BACKTEST_CAPITAL = 1000000;
 
 /**
  * Calculate cumulative returns from daily returns
@@ -18,13 +24,113 @@ export function cumulativeReturns(returns) {
     return cumulative;
 }
 
+/**
+ * Supported rebalancing modes for static-weight backtests
+ * daily: back to target every day (fixed-weight returns); buy-and-hold: weights drift
+ * with prices; monthly / quarterly: back to target on the first trading day of each period
+ * @type {string[]}
+ */
+export const BACKTEST_MODES = ['daily', 'buy-and-hold', 'monthly', 'quarterly'];
+
+/**
+ * Display labels for backtest modes
+ */
+export const BACKTEST_MODE_LABELS = {
+    'daily': 'Daily rebalanced',
+    'buy-and-hold': 'Buy & hold',
+    'monthly': 'Monthly rebalanced',
+    'quarterly': 'Quarterly rebalanced',
+};
+
+/**
+ * Period key used to detect calendar rebalance dates
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} frequency - monthly or quarterly
+ * @returns {string}
+ */
+export function periodKey(date, frequency) {
+    const [year, month] = String(date).split('-');
+    if (frequency === 'quarterly') {
+        return `${year}-Q${Math.floor((Number(month) - 1) / 3) + 1}`;
+    }
+    return `${year}-${month}`;
+}
+
+/**
+ * Simulate holdings for fixed target weights under a rebalancing mode
+ * Day 0 always buys into the targets; costs (if any) are paid out of the portfolio
+ * @param {number[]} weights - Target weights
+ * @param {number[][]} returnsMatrix - Each row is a time period, each column is an asset
+ * @param {Object} [options]
+ * @param {string} [options.mode='daily'] - One of BACKTEST_MODES
+ * @param {string[]} [options.dates] - Row dates (required for monthly / quarterly)
+ * @param {Object} [options.costModel] - See runBacktest
+ * @returns {Object} - { returns, grossReturns, totalCost, turnover, rebalances, capital }
+ *   turnover is the traded value in ₹ when a cost model is given, else in units of starting capital
+ */
+export function simulatePortfolio(weights, returnsMatrix, options = {}) {
+    const { mode = 'daily', dates = [], costModel = null } = options;
+
+    if (!BACKTEST_MODES.includes(mode)) {
+        throw new Error(`Unknown backtest mode: ${mode}. Use one of ${BACKTEST_MODES.join(', ')}`);
+    }
+    if ((mode === 'monthly' || mode === 'quarterly') && dates.length < returnsMatrix.length) {
+        throw new Error(`The ${mode} backtest mode needs a date for every return row`);
+    }
+
+    const capital = costModel ? (costModel.capital ?? DEFAULT_BACKTEST_CAPITAL) : 1;
+    let holdings = weights.map(() => 0);
+    let totalCost = 0;
+    let turnover = 0;
+    let rebalances = 0;
+    const returns = [];
+    const grossReturns = [];
+
+    returnsMatrix.forEach((row, t) => {
+        const total = t === 0 ? capital : holdings.reduce((a, b) => a + b, 0);
+        const isRebalance = t === 0
+            || mode === 'daily'
+            || ((mode === 'monthly' || mode === 'quarterly') && periodKey(dates[t], mode) !== periodKey(dates[t - 1], mode));
+
+        let cost = 0;
+        if (isRebalance) {
+            const target = weights.map(w => w * total);
+            if (costModel) {
+                const trade = estimateRebalancingCost(holdings, target, costModel);
+                cost = trade.total;
+                turnover += trade.turnover;
+            } else {
+                turnover += target.reduce((sum, v, i) => sum + Math.abs(v - holdings[i]), 0);
+            }
+            holdings = weights.map(w => w * (total - cost));
+            totalCost += cost;
+            rebalances++;
+        }
+
+        const before = holdings.reduce((a, b) => a + b, 0);
+        holdings = holdings.map((v, i) => v * (1 + row[i]));
+        const after = holdings.reduce((a, b) => a + b, 0);
+        returns.push(after / (before + cost) - 1);
+        grossReturns.push(before > 0 ? after / before - 1 : 0);
+    });
+
+    return { returns, grossReturns, totalCost, turnover, rebalances, capital };
+}
+
 /**
  * Calculate portfolio returns given weights and asset returns
  * @param {number[]} weights
  * @param {number[][]} returnsMatrix - Each row is a time period, each column is an asset
+ * @param {Object} [options] - { mode = 'daily', dates } (see simulatePortfolio)
  * @returns {number[]} - Portfolio daily returns
  */
-export function portfolioReturns(weights, returnsMatrix) {
+export function portfolioReturns(weights, returnsMatrix, options = {}) {
+    const { mode = 'daily' } = options;
+    if (mode !== 'daily') {
+        return simulatePortfolio(weights, returnsMatrix, options).returns;
+    }
+
+    // Fixed weights every day, i.e. an implicit daily rebalance
     return returnsMatrix.map(row =>
         row.reduce((sum, r, i) => sum + weights[i] * r, 0)
     );
@@ -145,47 +251,421 @@ export function calmarRatio(cagr, maxDrawdown) {
 }
 
 /**
- * Run full backtest
+ * Standard normal quantile (Acklam's rational approximation, relative error < 1.2e-9)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number}
+ */
+function normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const pLow = 0.02425;
+
+    if (p < pLow || p > 1 - pLow) {
+        const q = Math.sqrt(-2 * Math.log(p < pLow ? p : 1 - p));
+        const x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+            / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        return p < pLow ? x : -x;
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+        / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Skewness and excess kurtosis of a return series (population moments)
+ * @param {number[]} returns
+ * @returns {{ skewness: number, kurtosis: number }} - kurtosis is excess kurtosis (0 for a normal)
+ */
+export function higherMoments(returns) {
+    const n = returns.length;
+    if (n < 3) return { skewness: 0, kurtosis: 0 };
+
+    const avg = mean(returns);
+    let m2 = 0;
+    let m3 = 0;
+    let m4 = 0;
+    for (const r of returns) {
+        const d = r - avg;
+        m2 += d * d;
+        m3 += d * d * d;
+        m4 += d * d * d * d;
+    }
+    m2 /= n;
+    m3 /= n;
+    m4 /= n;
+
+    if (m2 === 0) return { skewness: 0, kurtosis: 0 };
+    return { skewness: m3 / m2 ** 1.5, kurtosis: m4 / (m2 * m2) - 3 };
+}
+
+/**
+ * Historical Value at Risk and Conditional VaR (expected shortfall) of daily returns
+ * @param {number[]} returns - Daily returns
+ * @param {number} [confidence=0.95]
+ * @returns {{ var: number, cvar: number }} - Daily losses as positive fractions
+ */
+export function historicalVaR(returns, confidence = 0.95) {
+    if (returns.length === 0) return { var: 0, cvar: 0 };
+
+    const sorted = [...returns].sort((a, b) => a - b);
+    const tail = sorted.slice(0, Math.max(1, Math.ceil((1 - confidence) * sorted.length)));
+
+    return { var: -tail[tail.length - 1], cvar: -mean(tail) };
+}
+
+/**
+ * Cornish-Fisher (modified) VaR and CVaR: the normal quantile adjusted for the skewness
+ * and excess kurtosis of the returns (Favre & Galeano, 2002)
+ * CVaR averages the adjusted quantile over the tail
+ * @param {number[]} returns - Daily returns
+ * @param {number} [confidence=0.95]
+ * @returns {{ var: number, cvar: number }} - Daily losses as positive fractions
+ */
+export function cornishFisherVaR(returns, confidence = 0.95) {
+    if (returns.length < 3) return { var: 0, cvar: 0 };
+
+    const avg = mean(returns);
+    const sd = std(returns);
+    const { skewness: S, kurtosis: K } = higherMoments(returns);
+    const adjusted = z => z
+        + (z * z - 1) * S / 6
+        + (z ** 3 - 3 * z) * K / 24
+        - (2 * z ** 3 - 5 * z) * S * S / 36;
+
+    const alpha = 1 - confidence;
+    const steps = 200;
+    let tailSum = 0;
+    for (let i = 0; i < steps; i++) {
+        tailSum += adjusted(normalQuantile(alpha * (i + 0.5) / steps));
+    }
+
+    return {
+        var: -(avg + adjusted(normalQuantile(alpha)) * sd),
+        cvar: -(avg + (tailSum / steps) * sd),
+    };
+}
+
+/**
+ * Omega ratio: probability-weighted gains over losses relative to a threshold return
+ * @param {number[]} returns - Daily returns
+ * @param {number} [riskFreeRate=0.02] - Annual threshold (daily threshold = rate / tradingDays)
+ * @param {number} [tradingDays=252]
+ * @returns {number}
+ */
+export function omegaRatio(returns, riskFreeRate = 0.02, tradingDays = 252) {
+    const threshold = riskFreeRate / tradingDays;
+    let gains = 0;
+    let losses = 0;
+    for (const r of returns) {
+        if (r > threshold) gains += r - threshold;
+        else losses += threshold - r;
+    }
+
+    if (losses === 0) return gains > 0 ? Infinity : 0;
+    return gains / losses;
+}
+
+/**
+ * Ulcer index: root mean square of the percentage drawdown from the running peak
+ * @param {number[]} cumulativeReturns
+ * @returns {number} - In %
+ */
+export function ulcerIndex(cumulativeReturns) {
+    if (cumulativeReturns.length === 0) return 0;
+
+    let peak = cumulativeReturns[0];
+    let sumSquares = 0;
+    for (const value of cumulativeReturns) {
+        peak = Math.max(peak, value);
+        sumSquares += (100 * (value / peak - 1)) ** 2;
+    }
+    return Math.sqrt(sumSquares / cumulativeReturns.length);
+}
+
+/**
+ * Split an equity curve into drawdown episodes: from a peak, through the trough, back to
+ * a new high (recovery is null while still under water)
+ * Durations are in trading days; cumulative index i is the close of dates[i - 1]
+ * @param {number[]} cumulativeReturns - Starting at 1
+ * @param {string[]} [dates] - Date of each return
+ * @returns {Object[]} - [{ start, trough, recovery, depth (%), duration, recoveryDays }] in time order;
+ *   duration runs from the peak to the recovery (or the last day), recoveryDays from the trough
+ */
+export function drawdownEpisodes(cumulativeReturns, dates = []) {
+    const dateAt = i => dates[Math.max(i - 1, 0)] ?? null;
+    const last = cumulativeReturns.length - 1;
+    const episodes = [];
+    let peak = 0;
+    let current = null;
+
+    for (let i = 1; i <= last; i++) {
+        if (cumulativeReturns[i] >= cumulativeReturns[peak]) {
+            if (current) {
+                episodes.push({ ...current, recovery: i });
+                current = null;
+            }
+            peak = i;
+            continue;
+        }
+
+        const depth = 1 - cumulativeReturns[i] / cumulativeReturns[peak];
+        if (!current) {
+            current = { start: peak, trough: i, depth };
+        } else if (depth > current.depth) {
+            current.trough = i;
+            current.depth = depth;
+        }
+    }
+    if (current) episodes.push({ ...current, recovery: null });
+
+    return episodes.map(e => ({
+        start: dateAt(e.start),
+        trough: dateAt(e.trough),
+        recovery: e.recovery === null ? null : dateAt(e.recovery),
+        depth: e.depth * 100,
+        duration: (e.recovery ?? last) - e.start,
+        recoveryDays: e.recovery === null ? null : e.recovery - e.trough,
+    }));
+}
+
+/**
+ * Tail and drawdown metric keys reported by every backtest
+ * @type {string[]}
+ */
+export const RISK_METRICS = [
+    'historicalVar',
+    'historicalCvar',
+    'cornishFisherVar',
+    'cornishFisherCvar',
+    'omegaRatio',
+    'ulcerIndex',
+    'skewness',
+    'kurtosis',
+    'longestDrawdown',
+    'timeToRecovery',
+];
+
+/**
+ * Number of drawdown episodes kept on each backtest
+ */
+export const TOP_DRAWDOWNS = 5;
+
+/**
+ * Relative metric keys added by relativeMetrics / addRelativeMetrics
+ * @type {string[]}
+ */
+export const RELATIVE_METRICS = [
+    'beta',
+    'jensensAlpha',
+    'trackingError',
+    'informationRatio',
+    'upCapture',
+    'downCapture',
+    'benchmarkCorrelation',
+];
+
+/**
+ * Geometric mean return per period
+ * @param {number[]} returns
+ * @returns {number}
+ */
+function geometricMean(returns) {
+    if (returns.length === 0) return 0;
+    const logGrowth = returns.reduce((sum, r) => sum + Math.log1p(r), 0);
+    return Math.expm1(logGrowth / returns.length);
+}
+
+/**
+ * Benchmark-relative metrics of a return series
+ * @param {number[]} returns - Strategy daily returns
+ * @param {(number|null)[]} benchmarkReturns - Benchmark daily returns on the same dates; days
+ *   without a benchmark return (null) are left out
+ * @param {number} [riskFreeRate=0.02] - Annual risk-free rate
+ * @param {number} [tradingDays=252]
+ * @returns {Object} - { beta, jensensAlpha (% a year), trackingError (% a year), informationRatio,
+ *   upCapture (%), downCapture (%), benchmarkCorrelation }; capture ratios compare geometric mean
+ *   returns on the days the benchmark rose / fell
+ */
+export function relativeMetrics(returns, benchmarkReturns, riskFreeRate = 0.02, tradingDays = 252) {
+    const observed = returns
+        .map((_, t) => t)
+        .filter(t => t < benchmarkReturns.length && Number.isFinite(benchmarkReturns[t]));
+    const T = observed.length;
+    const r = observed.map(t => returns[t]);
+    const b = observed.map(t => benchmarkReturns[t]);
+    const dailyRf = riskFreeRate / tradingDays;
+
+    const meanR = mean(r);
+    const meanB = mean(b);
+    let covariance = 0;
+    let benchmarkVariance = 0;
+    for (let t = 0; t < T; t++) {
+        covariance += (r[t] - meanR) * (b[t] - meanB);
+        benchmarkVariance += (b[t] - meanB) ** 2;
+    }
+    const beta = benchmarkVariance > 0 ? covariance / benchmarkVariance : 0;
+
+    // Jensen's alpha: excess return not explained by beta exposure to the benchmark (CAPM)
+    const jensensAlpha = ((meanR - dailyRf) - beta * (meanB - dailyRf)) * tradingDays;
+
+    const active = r.map((rt, t) => rt - b[t]);
+    const trackingError = std(active) * Math.sqrt(tradingDays);
+    const informationRatio = trackingError > 0 ? (mean(active) * tradingDays) / trackingError : 0;
+
+    const capture = sign => {
+        const days = b.map((bt, t) => t).filter(t => sign * b[t] > 0);
+        const benchmarkMean = geometricMean(days.map(t => b[t]));
+        return benchmarkMean !== 0 ? (geometricMean(days.map(t => r[t])) / benchmarkMean) * 100 : 0;
+    };
+
+    return {
+        beta,
+        jensensAlpha: jensensAlpha * 100,
+        trackingError: trackingError * 100,
+        informationRatio,
+        upCapture: capture(1),
+        downCapture: capture(-1),
+        benchmarkCorrelation: pearsonCorrelation(r, b),
+    };
+}
+
+/**
+ * Add relative metrics against a benchmark to every backtest's metrics (in place)
+ * @param {Object[]} backtests
+ * @param {Object} benchmark - Benchmark backtest ({ name, returns })
+ * @param {number} [riskFreeRate=0.02]
+ * @param {(number|null)[]} [benchmarkReturns=benchmark.returns] - Benchmark returns with null on
+ *   missing days, when the benchmark backtest filled them in
+ * @returns {Object[]} - The same backtests; each also gets benchmark: name
+ */
+export function addRelativeMetrics(backtests, benchmark, riskFreeRate = 0.02, benchmarkReturns = benchmark.returns) {
+    backtests.forEach(bt => {
+        Object.assign(bt.metrics, relativeMetrics(bt.returns, benchmarkReturns, riskFreeRate));
+        bt.benchmark = benchmark.name;
+    });
+    return backtests;
+}
+
+/**
+ * Build a backtest result (metrics and equity curve) from portfolio daily returns
  * @param {Object} params
- * @param {number[]} params.weights - Portfolio weights
- * @param {number[][]} params.returnsMatrix - Daily returns matrix
- * @param {string[]} params.dates - Date strings
  * @param {string} params.name - Strategy name
- * @returns {Object} - Backtest results
+ * @param {number[]} params.returns - Portfolio daily returns
+ * @param {string[]} params.dates - Date strings
+ * @param {number[]} [params.weights] - Portfolio weights (for display)
+ * @param {number[]} [params.grossReturns] - Returns before trading costs (when returns are net)
+ * @param {Object} [params.costs] - { totalCost, turnover, capital } in ₹
+ * @returns {Object} - Backtest results; drawdowns holds the TOP_DRAWDOWNS deepest episodes
+ *   (see drawdownEpisodes)
  */
-export function runBacktest({ weights, returnsMatrix, dates, name }) {
-    const portReturns = portfolioReturns(weights, returnsMatrix);
-    const cumReturns = cumulativeReturns(portReturns);
+export function backtestFromReturns({ name, returns, dates, weights = null, grossReturns = null, costs = null }) {
+    const cumReturns = cumulativeReturns(returns);
 
     const dd = maxDrawdown(cumReturns);
     const cagrVal = cagr(cumReturns);
-    const vol = annualizedVolatility(portReturns);
-    const sharpe = sharpeRatio(portReturns);
-    const sortino = sortinoRatio(portReturns);
+    const vol = annualizedVolatility(returns);
+    const sharpe = sharpeRatio(returns);
+    const sortino = sortinoRatio(returns);
     const calmar = calmarRatio(cagrVal, dd.maxDrawdown);
+    const historical = historicalVaR(returns);
+    const cornishFisher = cornishFisherVaR(returns);
+    const episodes = drawdownEpisodes(cumReturns, dates);
+    const deepest = episodes.reduce((a, b) => (b.depth > a.depth ? b : a), episodes[0]);
+
+    const metrics = {
+        totalReturn: (cumReturns[cumReturns.length - 1] - 1) * 100,
+        cagr: cagrVal * 100,
+        volatility: vol * 100,
+        sharpeRatio: sharpe,
+        sortinoRatio: sortino,
+        maxDrawdown: dd.maxDrawdown * 100,
+        calmarRatio: calmar,
+        historicalVar: historical.var * 100,
+        historicalCvar: historical.cvar * 100,
+        cornishFisherVar: cornishFisher.var * 100,
+        cornishFisherCvar: cornishFisher.cvar * 100,
+        omegaRatio: omegaRatio(returns),
+        ulcerIndex: ulcerIndex(cumReturns),
+        ...higherMoments(returns),
+        longestDrawdown: episodes.reduce((max, e) => Math.max(max, e.duration), 0),
+        // Trading days from the max drawdown trough back to the old high (null = not yet recovered)
+        timeToRecovery: deepest ? deepest.recoveryDays : 0,
+    };
+
+    let costSummary = null;
+    if (grossReturns && costs) {
+        const grossCum = cumulativeReturns(grossReturns);
+        metrics.grossTotalReturn = (grossCum[grossCum.length - 1] - 1) * 100;
+        metrics.tradingCost = (costs.totalCost / costs.capital) * 100;
+        costSummary = {
+            ...costs,
+            totalCostPct: metrics.tradingCost,
+            grossTotalReturn: metrics.grossTotalReturn,
+            netTotalReturn: metrics.totalReturn,
+        };
+    }
 
     return {
         name,
         weights,
-        returns: portReturns,
+        returns,
+        grossReturns,
         cumulativeReturns: cumReturns,
         dates,
-        metrics: {
-            totalReturn: (cumReturns[cumReturns.length - 1] - 1) * 100,
-            cagr: cagrVal * 100,
-            volatility: vol * 100,
-            sharpeRatio: sharpe,
-            sortinoRatio: sortino,
-            maxDrawdown: dd.maxDrawdown * 100,
-            calmarRatio: calmar,
-        },
+        costs: costSummary,
+        metrics,
+        drawdowns: [...episodes].sort((a, b) => b.depth - a.depth).slice(0, TOP_DRAWDOWNS),
+    };
+}
+
+/**
+ * Run full backtest
+ * @param {Object} params
+ * @param {number[]} params.weights - Portfolio weights
+ * @param {number[][]} params.returnsMatrix - Daily returns matrix
+ * @param {string[]} params.dates - Date strings
+ * @param {string} params.name - Strategy name
+ * @param {string} [params.mode='daily'] - Rebalancing mode, one of BACKTEST_MODES
+ * @param {Object} [params.costModel] - Charge trading costs on every rebalance (including
+ *   the initial purchase): { capital = ₹10 lakh, broker, exchange, slippage, liquidity: []
+ *   aligned with weights }
+ * @returns {Object} - Backtest results (net of costs when a cost model is given)
+ */
+export function runBacktest({ weights, returnsMatrix, dates, name, mode = 'daily', costModel = null }) {
+    if (!costModel || returnsMatrix.length === 0) {
+        const portReturns = portfolioReturns(weights, returnsMatrix, { mode, dates });
+        return { ...backtestFromReturns({ name, returns: portReturns, dates, weights }), mode };
+    }
+
+    const sim = simulatePortfolio(weights, returnsMatrix, { mode, dates, costModel });
+
+    return {
+        ...backtestFromReturns({
+            name,
+            returns: sim.returns,
+            dates,
+            weights,
+            grossReturns: sim.grossReturns,
+            costs: {
+                totalCost: sim.totalCost,
+                turnover: sim.turnover,
+                capital: sim.capital,
+                rebalances: sim.rebalances,
+            },
+        }),
+        mode,
     };
 }
 
 /**
  * Compare multiple strategies
  * @param {Object[]} backtests - Array of backtest results
- * @returns {Object} - Comparison table
+ * @returns {Object} - Comparison table { [metric]: { [strategy]: value } }, plus
+ *   drawdowns: { [strategy]: top drawdown episodes }
  */
 export function compareStrategies(backtests) {
     const metrics = [
@@ -196,8 +676,15 @@ export function compareStrategies(backtests) {
         'sortinoRatio',
         'maxDrawdown',
         'calmarRatio',
+        ...RISK_METRICS,
     ];
 
+    // Cost metrics only exist for backtests run with a cost model, relative metrics
+    // only when there is a benchmark
+    ['grossTotalReturn', 'tradingCost', ...RELATIVE_METRICS].forEach(metric => {
+        if (backtests.some(bt => bt.metrics[metric] !== undefined)) metrics.push(metric);
+    });
+
     const comparison = {};
 
     metrics.forEach(metric => {
@@ -207,6 +694,8 @@ export function compareStrategies(backtests) {
         });
     });
 
+    comparison.drawdowns = Object.fromEntries(backtests.map(bt => [bt.name, bt.drawdowns || []]));
+
     return comparison;
 }
 
@@ -218,7 +707,7 @@ export function compareStrategies(backtests) {
 export function formatMetrics(backtest) {
     const { metrics } = backtest;
 
-    return [
+    const rows = [
         {
             name: 'Total Return',
             value: `${metrics.totalReturn.toFixed(2)}%`,
@@ -257,4 +746,134 @@ export function formatMetrics(backtest) {
             isPositive: metrics.calmarRatio > 0,
         },
     ];
+
+    if (metrics.historicalVar !== undefined) {
+        const days = value => (value === null ? 'Not recovered' : `${value} days`);
+        rows.push(
+            {
+                name: 'VaR (95%)',
+                value: `${metrics.historicalVar.toFixed(2)}%`,
+                isPositive: false,
+                isNegative: true,
+            },
+            {
+                name: 'CVaR (95%)',
+                value: `${metrics.historicalCvar.toFixed(2)}%`,
+                isPositive: false,
+                isNegative: true,
+            },
+            {
+                name: 'Modified VaR (95%)',
+                value: `${metrics.cornishFisherVar.toFixed(2)}%`,
+                isPositive: false,
+                isNegative: true,
+            },
+            {
+                name: 'Modified CVaR (95%)',
+                value: `${metrics.cornishFisherCvar.toFixed(2)}%`,
+                isPositive: false,
+                isNegative: true,
+            },
+            {
+                name: 'Omega Ratio',
+                value: metrics.omegaRatio.toFixed(2),
+                isPositive: metrics.omegaRatio > 1,
+                isNegative: metrics.omegaRatio < 1,
+            },
+            {
+                name: 'Ulcer Index',
+                value: metrics.ulcerIndex.toFixed(2),
+                isPositive: false,
+                isNeutral: true,
+            },
+            {
+                name: 'Skewness',
+                value: metrics.skewness.toFixed(2),
+                isPositive: metrics.skewness > 0,
+                isNegative: metrics.skewness < 0,
+            },
+            {
+                name: 'Excess Kurtosis',
+                value: metrics.kurtosis.toFixed(2),
+                isPositive: false,
+                isNeutral: true,
+            },
+            {
+                name: 'Longest Drawdown',
+                value: days(metrics.longestDrawdown),
+                isPositive: false,
+                isNeutral: true,
+            },
+            {
+                name: 'Time to Recovery',
+                value: days(metrics.timeToRecovery),
+                isPositive: false,
+                isNegative: metrics.timeToRecovery === null,
+            }
+        );
+    }
+
+    if (metrics.tradingCost !== undefined) {
+        rows.push(
+            {
+                name: 'Gross Return',
+                value: `${metrics.grossTotalReturn.toFixed(2)}%`,
+                isPositive: metrics.grossTotalReturn > 0,
+            },
+            {
+                name: 'Trading Costs',
+                value: `${metrics.tradingCost.toFixed(2)}%`,
+                isPositive: false,
+                isNegative: metrics.tradingCost > 0,
+            }
+        );
+    }
+
+    if (metrics.beta !== undefined) {
+        rows.push(
+            {
+                name: 'Beta',
+                value: metrics.beta.toFixed(2),
+                isPositive: false,
+                isNeutral: true,
+            },
+            {
+                name: "Jensen's Alpha",
+                value: `${metrics.jensensAlpha.toFixed(2)}%`,
+                isPositive: metrics.jensensAlpha > 0,
+                isNegative: metrics.jensensAlpha < 0,
+            },
+            {
+                name: 'Tracking Error',
+                value: `${metrics.trackingError.toFixed(2)}%`,
+                isPositive: false,
+                isNeutral: true,
+            },
+            {
+                name: 'Information Ratio',
+                value: metrics.informationRatio.toFixed(2),
+                isPositive: metrics.informationRatio > 0,
+                isNegative: metrics.informationRatio < 0,
+            },
+            {
+                name: 'Up Capture',
+                value: `${metrics.upCapture.toFixed(1)}%`,
+                isPositive: metrics.upCapture >= 100,
+            },
+            {
+                name: 'Down Capture',
+                value: `${metrics.downCapture.toFixed(1)}%`,
+                isPositive: metrics.downCapture < 100,
+                isNegative: metrics.downCapture > 100,
+            },
+            {
+                name: 'Benchmark Correlation',
+                value: metrics.benchmarkCorrelation.toFixed(2),
+                isPositive: false,
+                isNeutral: true,
+            }
+        );
+    }
+
+    return rows;
 }
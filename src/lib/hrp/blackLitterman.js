@@ -0,0 +1,178 @@
+/**
+ * Black-Litterman Module
+ * Blends equilibrium returns implied by a prior allocation (market-cap weights,
+ * or HRP weights when market caps are missing) with absolute or relative views,
+ * each held with a confidence level, into posterior returns and weights
+ * (He & Litterman, 1999; view uncertainty scaled by confidence as in Idzorek, 2005)
+ */
+
+import { solveLinearSystem, solveQP } from './optimizer.js';
+
+/**
+ * Supported view types
+ * absolute: the long leg returns `return` a year; relative: the long leg beats the short leg by `return`
+ * @type {string[]}
+ */
+export const VIEW_TYPES = ['absolute', 'relative'];
+
+/**
+ * Normalised market-cap weights
+ * @param {string[]} symbols
+ * @param {Object} marketCaps - { [symbol]: market cap (any unit, e.g. ₹ crore) }
+ * @returns {number[]|null} - null unless every symbol has a positive market cap
+ */
+export function marketCapWeights(symbols, marketCaps = {}) {
+    const caps = symbols.map(s => Number(marketCaps[s]));
+    if (caps.some(c => !(c > 0))) return null;
+
+    const total = caps.reduce((a, b) => a + b, 0);
+    return caps.map(c => c / total);
+}
+
+/**
+ * Equilibrium (reverse-optimised) returns pi = delta Σ w
+ * @param {number[][]} covMatrix - Per-period covariance
+ * @param {number[]} weights - Prior allocation
+ * @param {number} [riskAversion=2.5]
+ * @returns {number[]} - Per-period returns
+ */
+export function equilibriumReturns(covMatrix, weights, riskAversion = 2.5) {
+    return covMatrix.map(row => riskAversion * row.reduce((sum, c, j) => sum + c * weights[j], 0));
+}
+
+/**
+ * Asset weights of one view leg: a symbol, or every asset of a sector (market-cap
+ * weighted when caps are known, otherwise equal)
+ * @returns {number[]|null}
+ */
+function legWeights(leg, symbols, sectors, marketCaps) {
+    const n = symbols.length;
+    const index = symbols.indexOf(leg);
+    if (index >= 0) return symbols.map((_, i) => (i === index ? 1 : 0));
+
+    const members = symbols.map((s, i) => i).filter(i => sectors[symbols[i]] === leg);
+    if (members.length === 0) return null;
+
+    const caps = members.map(i => Number(marketCaps[symbols[i]]) || 0);
+    const capTotal = caps.reduce((a, b) => a + b, 0);
+    const p = Array(n).fill(0);
+    members.forEach((i, k) => {
+        p[i] = capTotal > 0 ? caps[k] / capTotal : 1 / members.length;
+    });
+    return p;
+}
+
+/**
+ * Pick matrix P and view returns Q from view specs
+ * @param {Object[]} views - [{ type, long, short, return, confidence }]; long / short are a
+ *   symbol or a sector name, return is annual (0.03 = 3%), confidence is 0-1
+ * @param {string[]} symbols
+ * @param {Object} [options]
+ * @param {Object} [options.sectors] - { [symbol]: sector }
+ * @param {Object} [options.marketCaps] - { [symbol]: market cap }
+ * @param {number} [options.periodsPerYear=252]
+ * @returns {{ P: number[][], Q: number[], views: Object[] }} - Q is per period; views that refer
+ *   to no asset in the portfolio are skipped
+ */
+export function buildViews(views, symbols, options = {}) {
+    const { sectors = {}, marketCaps = {}, periodsPerYear = 252 } = options;
+    const P = [];
+    const Q = [];
+    const used = [];
+
+    views.forEach(view => {
+        const { type = 'absolute', long, short = null } = view;
+        if (!VIEW_TYPES.includes(type)) {
+            throw new Error(`Unknown view type: ${type}. Use one of ${VIEW_TYPES.join(', ')}`);
+        }
+        if (!Number.isFinite(view.return)) {
+            throw new Error(`View on ${long} needs a numeric return`);
+        }
+
+        const longLeg = legWeights(long, symbols, sectors, marketCaps);
+        const shortLeg = type === 'relative' ? legWeights(short, symbols, sectors, marketCaps) : null;
+        if (!longLeg || (type === 'relative' && !shortLeg)) return;
+
+        P.push(longLeg.map((w, i) => w - (shortLeg ? shortLeg[i] : 0)));
+        Q.push(view.return / periodsPerYear);
+        used.push(view);
+    });
+
+    return { P, Q, views: used };
+}
+
+/**
+ * Black-Litterman posterior returns and long-only weights
+ * @param {number[][]} covMatrix - Per-period covariance
+ * @param {Object} options
+ * @param {string[]} options.symbols
+ * @param {number[]} options.priorWeights - Allocation the equilibrium returns are implied from
+ * @param {Object[]} [options.views=[]] - See buildViews
+ * @param {Object} [options.sectors] - { [symbol]: sector } for sector views
+ * @param {Object} [options.marketCaps] - Weights the assets inside a sector view
+ * @param {number} [options.tau=0.05] - Uncertainty of the prior relative to the covariance
+ * @param {number} [options.riskAversion=2.5]
+ * @param {number} [options.periodsPerYear=252]
+ * @returns {Object} - { weights, impliedReturns, posteriorReturns, views, tau, riskAversion };
+ *   returns are annualised, views carry their prior and posterior implied view returns
+ */
+export function blackLitterman(covMatrix, options) {
+    const {
+        symbols,
+        priorWeights,
+        views = [],
+        sectors = {},
+        marketCaps = {},
+        tau = 0.05,
+        riskAversion = 2.5,
+        periodsPerYear = 252,
+    } = options;
+    const n = covMatrix.length;
+
+    const pi = equilibriumReturns(covMatrix, priorWeights, riskAversion);
+    const { P, Q, views: usedViews } = buildViews(views, symbols, { sectors, marketCaps, periodsPerYear });
+    const k = P.length;
+
+    let posterior = pi;
+    if (k > 0) {
+        // tau Σ P' (n x k) and the view covariance P tau Σ P' (k x k)
+        const tauSigmaP = covMatrix.map(row => P.map(p => tau * row.reduce((sum, c, j) => sum + c * p[j], 0)));
+        const viewCov = P.map(p => P.map((_, b) => p.reduce((sum, pa, i) => sum + pa * tauSigmaP[i][b], 0)));
+
+        // Omega is diagonal: view variance scaled by (1 - c) / c, so confidence 1 means no doubt
+        const omega = usedViews.map((view, a) => {
+            const c = Math.min(Math.max(view.confidence ?? 0.5, 0.01), 0.999);
+            return viewCov[a][a] * (1 - c) / c;
+        });
+        const M = viewCov.map((row, a) => row.map((v, b) => (a === b ? v + omega[a] : v)));
+
+        // mu = pi + tau Σ P' (P tau Σ P' + Omega)^-1 (Q - P pi)
+        const surprise = P.map((p, a) => Q[a] - p.reduce((sum, pa, i) => sum + pa * pi[i], 0));
+        const adjustment = solveLinearSystem(M, surprise);
+        if (!adjustment) {
+            throw new Error('Views are linearly dependent - remove a duplicate or combine them');
+        }
+        posterior = pi.map((p, i) => p + tauSigmaP[i].reduce((sum, t, a) => sum + t * adjustment[a], 0));
+    }
+
+    // Long-only mean-variance weights for the posterior: min 0.5 w'Σw - mu'w / delta, sum(w) = 1.
+    // With no views this gives back the prior allocation.
+    const { weights } = n === 1
+        ? { weights: [1] }
+        : solveQP({ Q: covMatrix, c: posterior.map(mu => -mu / riskAversion) });
+
+    const viewReturn = (p, returns) => p.reduce((sum, pa, i) => sum + pa * returns[i], 0) * periodsPerYear;
+
+    return {
+        weights,
+        impliedReturns: pi.map(r => r * periodsPerYear),
+        posteriorReturns: posterior.map(r => r * periodsPerYear),
+        views: usedViews.map((view, a) => ({
+            ...view,
+            priorReturn: viewReturn(P[a], pi),
+            posteriorReturn: viewReturn(P[a], posterior),
+        })),
+        tau,
+        riskAversion,
+    };
+}
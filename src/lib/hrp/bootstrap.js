@@ -0,0 +1,208 @@
+/**
+ * HRP Bootstrap Module
+ * Moving-block bootstrap of the returns matrix to measure how stable HRP
+ * weights and cluster assignments are. Blocks keep short-range dependence
+ * (volatility clustering) that an i.i.d. row bootstrap would destroy.
+ */
+
+import { calculateCovarianceMatrix, calculateCorrelationMatrix } from './correlation.js';
+import { estimateCovariance, covarianceToCorrelation } from './estimators.js';
+import { clusteringDistance } from './dependence.js';
+import { denoiseCorrelation } from './denoise.js';
+import { hierarchicalCluster, getQuasiDiagonalOrder, buildClusterTree } from './clustering.js';
+import { recursiveBisection, treeBisection } from './weights.js';
+import { constrainedBisection, hasWeightConstraints } from './constraints.js';
+import { largestGapClusterCount, clustersForCount } from './herc.js';
+
+/**
+ * Seeded uniform random generator (mulberry32), so resampled results are reproducible
+ * @param {number} seed
+ * @returns {Function} - () => number in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Row indices for one moving-block bootstrap sample
+ * @param {number} T - Number of rows
+ * @param {number} blockSize
+ * @param {Function} random - () => [0, 1)
+ * @returns {number[]}
+ */
+export function blockBootstrapIndices(T, blockSize, random = Math.random) {
+    const size = Math.max(1, Math.min(blockSize, T));
+    const indices = [];
+    while (indices.length < T) {
+        const start = Math.floor(random() * (T - size + 1));
+        for (let k = 0; k < size && indices.length < T; k++) {
+            indices.push(start + k);
+        }
+    }
+    return indices;
+}
+
+/**
+ * Percentile with linear interpolation
+ * @param {number[]} sorted - Ascending values
+ * @param {number} p - 0-1
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * HRP weights and linkage for one returns sample, following runHRP's pipeline
+ * (covariance estimator, denoising, clustering distance, bisection and weight constraints)
+ * @param {Object} aligned - { symbols, matrix } log returns
+ * @param {Object} options - As in runHRP
+ * @returns {{ weights: number[], linkage: Object[], covariance: number[][] }}
+ */
+export function estimateHRP(aligned, options = {}) {
+    const {
+        linkage: linkageMethod = 'single',
+        covarianceEstimator = 'sample',
+        halfLife = 60,
+        denoise = null,
+        bisection = 'classic',
+        constraints = null,
+    } = options;
+    const { symbols, matrix } = aligned;
+    const n = symbols.length;
+
+    let covariance = covarianceEstimator === 'sample'
+        ? calculateCovarianceMatrix(aligned).matrix
+        : estimateCovariance(aligned, { estimator: covarianceEstimator, halfLife }).matrix;
+    let clusteringCorrelation = covarianceEstimator === 'sample'
+        ? calculateCorrelationMatrix(aligned).matrix
+        : covarianceToCorrelation(covariance);
+
+    if (denoise) {
+        const denoised = denoiseCorrelation(clusteringCorrelation, matrix.length, denoise);
+        const vols = covariance.map((row, i) => Math.sqrt(row[i]));
+        covariance = denoised.matrix.map((row, i) => row.map((c, j) => c * vols[i] * vols[j]));
+        clusteringCorrelation = denoised.detoned ?? denoised.matrix;
+    }
+
+    const linkage = hierarchicalCluster(clusteringDistance(clusteringCorrelation, aligned, options).distance, linkageMethod);
+    const bisect = bisection === 'tree'
+        ? bounds => treeBisection(covariance, buildClusterTree(linkage, n), bounds)
+        : bounds => recursiveBisection(covariance, getQuasiDiagonalOrder(linkage, n), bounds);
+
+    const weights = hasWeightConstraints(constraints)
+        ? constrainedBisection(bisect, symbols, constraints).weights
+        : bisect(null);
+
+    return { weights, linkage, covariance };
+}
+
+/**
+ * Relabel cluster ids by first appearance so equal partitions compare equal
+ * @param {number[]} clusters
+ * @returns {number[]}
+ */
+function canonicalClusters(clusters) {
+    const labels = new Map();
+    return clusters.map(c => {
+        if (!labels.has(c)) labels.set(c, labels.size);
+        return labels.get(c);
+    });
+}
+
+/**
+ * Block-bootstrap distribution of HRP weights and cluster assignments
+ * @param {Object} alignedLogReturns - { symbols: [], matrix: [[]] }
+ * @param {Object} [options] - HRP options as in runHRP (linkage, correlationMethod, distance,
+ *   covarianceEstimator, halfLife, denoise, bisection, constraints), plus:
+ * @param {number} [options.iterations=200] - Number of bootstrap samples
+ * @param {number} [options.blockSize] - Rows per block (default: cube root of T, at least 5)
+ * @param {number} [options.nClusters] - Clusters to cut each dendrogram into (default:
+ *   largest merge-height gap of the full-sample dendrogram)
+ * @param {number} [options.seed=42] - Random seed
+ * @returns {Object} - { iterations, blockSize, nClusters, weights, coAssignment, partitions }
+ *   weights: [{ symbol, mean, std, median, p5, p95 }]; coAssignment[i][j] = share of samples
+ *   with i and j in the same cluster; partitions: most frequent cluster assignments
+ */
+export function bootstrapHRP(alignedLogReturns, options = {}) {
+    const { symbols, matrix } = alignedLogReturns;
+    const T = matrix.length;
+    const n = symbols.length;
+    const {
+        iterations = 200,
+        blockSize = Math.max(5, Math.round(Math.cbrt(T))),
+        seed = 42,
+    } = options;
+
+    if (n < 2 || T < 2) {
+        throw new Error('Bootstrap needs at least 2 assets and 2 periods');
+    }
+    if (!(iterations >= 1)) {
+        throw new Error(`Bootstrap iterations must be at least 1 (got ${iterations})`);
+    }
+
+    const nClusters = options.nClusters
+        ?? largestGapClusterCount(estimateHRP(alignedLogReturns, options).linkage, n);
+
+    const random = createRandom(seed);
+    const samples = symbols.map(() => []);
+    const coCounts = symbols.map(() => Array(n).fill(0));
+    const partitionCounts = new Map();
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const rows = blockBootstrapIndices(T, blockSize, random).map(t => matrix[t]);
+        const { weights, linkage } = estimateHRP({ symbols, matrix: rows }, options);
+        weights.forEach((w, i) => samples[i].push(w));
+
+        const clusters = canonicalClusters(clustersForCount(linkage, n, nClusters));
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                if (clusters[i] === clusters[j]) coCounts[i][j]++;
+            }
+        }
+        const key = clusters.join(',');
+        partitionCounts.set(key, (partitionCounts.get(key) || 0) + 1);
+    }
+
+    const weights = samples.map((values, i) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        const avg = values.reduce((a, b) => a + b, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / Math.max(values.length - 1, 1);
+        return {
+            symbol: symbols[i],
+            mean: avg,
+            std: Math.sqrt(variance),
+            median: percentile(sorted, 0.5),
+            p5: percentile(sorted, 0.05),
+            p95: percentile(sorted, 0.95),
+        };
+    });
+
+    const partitions = [...partitionCounts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([key, count]) => ({
+            clusters: key.split(',').map(Number),
+            frequency: count / iterations,
+        }));
+
+    return {
+        iterations,
+        blockSize,
+        nClusters,
+        weights,
+        coAssignment: coCounts.map(row => row.map(c => c / iterations)),
+        partitions,
+    };
+}
@@ -0,0 +1,249 @@
+/**
+ * Cluster Count Module
+ * Picks how many clusters the dendrogram really has (silhouette score or
+ * gap statistic) and labels each cluster by its members and dominant sector,
+ * so a portfolio reads as a handful of risk buckets instead of a list of tickers
+ */
+
+import { hierarchicalCluster } from './clustering.js';
+import { clustersForCount } from './herc.js';
+import { createRandom } from './bootstrap.js';
+
+/**
+ * Supported cluster-count selection methods
+ * @type {string[]}
+ */
+export const CLUSTER_COUNT_METHODS = ['silhouette', 'gap'];
+
+/**
+ * Mean silhouette width of a partition (Rousseeuw, 1987)
+ * s(i) = (b - a) / max(a, b) with a = mean distance to its own cluster and b = mean distance
+ * to the nearest other cluster; singletons score 0
+ * @param {number[][]} distMatrix
+ * @param {number[]} clusters - Cluster id per item
+ * @returns {number} - Between -1 and 1, higher = better separated
+ */
+export function silhouetteScore(distMatrix, clusters) {
+    const n = clusters.length;
+    const ids = [...new Set(clusters)];
+    if (ids.length < 2 || ids.length >= n) return 0;
+
+    const sizes = Object.fromEntries(ids.map(id => [id, clusters.filter(c => c === id).length]));
+    let total = 0;
+
+    for (let i = 0; i < n; i++) {
+        if (sizes[clusters[i]] === 1) continue;
+
+        const sums = Object.fromEntries(ids.map(id => [id, 0]));
+        for (let j = 0; j < n; j++) {
+            if (j !== i) sums[clusters[j]] += distMatrix[i][j];
+        }
+
+        const a = sums[clusters[i]] / (sizes[clusters[i]] - 1);
+        const b = Math.min(...ids.filter(id => id !== clusters[i]).map(id => sums[id] / sizes[id]));
+        const denom = Math.max(a, b);
+        total += denom > 0 ? (b - a) / denom : 0;
+    }
+
+    return total / n;
+}
+
+/**
+ * Pooled within-cluster dispersion W_k = sum over clusters of D_r / (2 n_r), where D_r is
+ * the sum of squared pairwise distances inside cluster r
+ * @param {number[][]} distMatrix
+ * @param {number[]} clusters
+ * @returns {number}
+ */
+function withinDispersion(distMatrix, clusters) {
+    const totals = {};
+    const sizes = {};
+    clusters.forEach((c, i) => {
+        sizes[c] = (sizes[c] || 0) + 1;
+        clusters.forEach((d, j) => {
+            if (c === d) totals[c] = (totals[c] || 0) + distMatrix[i][j] ** 2;
+        });
+    });
+
+    return Object.keys(totals).reduce((sum, c) => sum + totals[c] / (2 * sizes[c]), 0);
+}
+
+/**
+ * Returns with each asset's history shuffled independently: same marginal distributions,
+ * no cross-sectional structure (the null reference for the gap statistic)
+ * @param {Object} alignedReturns - { symbols, matrix }
+ * @param {Function} random - () => [0, 1)
+ * @returns {Object} - { symbols, matrix }
+ */
+function shuffledReturns({ symbols, matrix }, random) {
+    const T = matrix.length;
+    const columns = symbols.map((_, i) => {
+        const column = matrix.map(row => row[i]);
+        for (let t = T - 1; t > 0; t--) {
+            const s = Math.floor(random() * (t + 1));
+            [column[t], column[s]] = [column[s], column[t]];
+        }
+        return column;
+    });
+
+    return { symbols, matrix: matrix.map((_, t) => columns.map(col => col[t])) };
+}
+
+/**
+ * Gap statistic (Tibshirani, Walther & Hastie, 2001) for k = 1..maxClusters
+ * Gap(k) = mean(log W*_k) - log W_k over reference datasets built by shuffling every
+ * asset's returns in time and clustering them with the same distance and linkage
+ * @param {number[][]} distMatrix
+ * @param {Object[]} linkage - Linkage of distMatrix
+ * @param {Object} alignedReturns - { symbols, matrix } the distances were estimated from
+ * @param {Object} options
+ * @param {Function} options.distanceFn - alignedReturns => distance matrix (same pipeline as distMatrix)
+ * @param {string} [options.linkageMethod='single']
+ * @param {number} [options.maxClusters=10]
+ * @param {number} [options.references=10] - Number of reference datasets
+ * @param {number} [options.seed=7]
+ * @returns {Object[]} - [{ k, gap, std }] where std already includes the sqrt(1 + 1/B) factor
+ */
+export function gapStatistic(distMatrix, linkage, alignedReturns, options) {
+    const {
+        distanceFn,
+        linkageMethod = 'single',
+        maxClusters = 10,
+        references = 10,
+        seed = 7,
+    } = options;
+    const n = distMatrix.length;
+    const K = Math.max(1, Math.min(maxClusters, n - 1));
+    const logW = (dist, link, k) => Math.log(Math.max(withinDispersion(dist, clustersForCount(link, n, k)), 1e-12));
+
+    const random = createRandom(seed);
+    const referenceLogW = Array.from({ length: references }, () => {
+        const reference = shuffledReturns(alignedReturns, random);
+        const refDist = distanceFn(reference);
+        const refLinkage = hierarchicalCluster(refDist, linkageMethod);
+        return Array.from({ length: K }, (_, k) => logW(refDist, refLinkage, k + 1));
+    });
+
+    return Array.from({ length: K }, (_, idx) => {
+        const k = idx + 1;
+        const refs = referenceLogW.map(r => r[idx]);
+        const avg = refs.reduce((a, b) => a + b, 0) / references;
+        const sd = Math.sqrt(refs.reduce((sum, v) => sum + (v - avg) ** 2, 0) / references);
+        return {
+            k,
+            gap: avg - logW(distMatrix, linkage, k),
+            std: sd * Math.sqrt(1 + 1 / references),
+        };
+    });
+}
+
+/**
+ * Pick the number of clusters in a dendrogram
+ * silhouette: the k in 2..maxClusters with the highest mean silhouette width;
+ * gap: the smallest k with Gap(k) >= Gap(k + 1) - s(k + 1)
+ * @param {number[][]} distMatrix
+ * @param {Object[]} linkage
+ * @param {Object} [options]
+ * @param {string} [options.method='silhouette'] - silhouette or gap
+ * @param {number} [options.maxClusters=10]
+ * @param {Object} [options.alignedReturns] - Required for gap (see gapStatistic)
+ * @param {Function} [options.distanceFn] - Required for gap (see gapStatistic)
+ * @param {string} [options.linkageMethod] - Linkage used for the gap references
+ * @param {number} [options.references] - Gap reference datasets
+ * @returns {{ count: number, method: string, scores: Object[] }} - scores: [{ k, silhouette, gap?, gapStd? }]
+ *   (silhouette is null for k = 1)
+ */
+export function optimalClusterCount(distMatrix, linkage, options = {}) {
+    const { method = 'silhouette', maxClusters = 10 } = options;
+    if (!CLUSTER_COUNT_METHODS.includes(method)) {
+        throw new Error(`Unknown cluster count method: ${method}. Use one of ${CLUSTER_COUNT_METHODS.join(', ')}`);
+    }
+
+    const n = distMatrix.length;
+    if (n < 3 || linkage.length === 0) {
+        return { count: Math.min(n, 1), method, scores: [] };
+    }
+
+    const K = Math.max(2, Math.min(maxClusters, n - 1));
+    const scores = Array.from({ length: K }, (_, idx) => {
+        const k = idx + 1;
+        return { k, silhouette: k === 1 ? null : silhouetteScore(distMatrix, clustersForCount(linkage, n, k)) };
+    });
+
+    if (method === 'gap') {
+        if (!options.alignedReturns || !options.distanceFn) {
+            throw new Error('Gap statistic needs the aligned returns and a distance function');
+        }
+        const gaps = gapStatistic(distMatrix, linkage, options.alignedReturns, { ...options, maxClusters: K });
+        gaps.forEach((g, idx) => {
+            scores[idx].gap = g.gap;
+            scores[idx].gapStd = g.std;
+        });
+
+        const pick = gaps.find((g, idx) => idx + 1 < gaps.length && g.gap >= gaps[idx + 1].gap - gaps[idx + 1].std);
+        return { count: pick ? pick.k : K, method, scores };
+    }
+
+    const best = scores.slice(1).reduce((a, b) => (b.silhouette > a.silhouette ? b : a));
+    return { count: best.k, method, scores };
+}
+
+/**
+ * Name clusters after their members' dominant sector
+ * Clusters are numbered in the given display order (e.g. the quasi-diagonal order), so
+ * cluster 0 is the first block of the heatmap
+ * @param {number[]} clusters - Cluster id per asset
+ * @param {string[]} symbols
+ * @param {Object} [options]
+ * @param {Object} [options.sectors] - { [symbol]: sector }
+ * @param {number[]} [options.order] - Display order of asset indices
+ * @param {number[]} [options.weights] - Portfolio weights per asset
+ * @param {number[]} [options.riskContribution] - Risk shares per asset
+ * @returns {{ assignments: number[], groups: Object[] }} - groups: [{ id, name, members,
+ *   dominantSector, sectorShare, weight, riskContribution }]
+ */
+export function labelClusters(clusters, symbols, options = {}) {
+    const {
+        sectors = {},
+        order = symbols.map((_, i) => i),
+        weights = null,
+        riskContribution = null,
+    } = options;
+
+    // Renumber by first appearance in display order
+    const ids = new Map();
+    order.forEach(i => {
+        if (!ids.has(clusters[i])) ids.set(clusters[i], ids.size);
+    });
+    const assignments = clusters.map(c => ids.get(c));
+
+    const groups = [...ids.values()].map(id => {
+        const members = order.filter(i => assignments[i] === id);
+        const counts = {};
+        members.forEach(i => {
+            const sector = sectors[symbols[i]] || 'Other';
+            counts[sector] = (counts[sector] || 0) + 1;
+        });
+        const [dominantSector, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        const sectorShare = count / members.length;
+
+        return {
+            id,
+            name: sectorShare > 0.5 || members.length === 1 ? dominantSector : `${dominantSector}-led mix`,
+            members: members.map(i => symbols[i]),
+            dominantSector,
+            sectorShare,
+            weight: weights ? members.reduce((sum, i) => sum + weights[i], 0) : null,
+            riskContribution: riskContribution ? members.reduce((sum, i) => sum + riskContribution[i], 0) : null,
+        };
+    });
+
+    // Keep names unique: "IT", "IT 2", ...
+    const seen = {};
+    groups.forEach(g => {
+        seen[g.name] = (seen[g.name] || 0) + 1;
+        if (seen[g.name] > 1) g.name = `${g.name} ${seen[g.name]}`;
+    });
+
+    return { assignments, groups };
+}
@@ -1,111 +1,226 @@
 /**
  * HRP Hierarchical Clustering Module
- * Implements single-linkage clustering and quasi-diagonalization
+ * Implements O(n²) agglomerative clustering (single, average, complete, Ward)
+ * and quasi-diagonalization
  */
 
 /**
- * Find minimum distance pair in distance matrix
- * @param {number[][]} distMatrix
- * @param {Set} activeClusters
- * @returns {{ i: number, j: number, dist: number }}
+ * Lance-Williams update rules for each supported linkage method.
+ * Each returns the distance from the merged cluster (i ∪ j) to cluster k.
+ * Ward assumes Euclidean-embeddable distances, which the correlation
+ * distance sqrt(0.5 * (1 - rho)) satisfies.
  */
-function findMinDistance(distMatrix, activeClusters) {
-    let minDist = Infinity;
-    let minI = -1;
-    let minJ = -1;
-
-    const active = Array.from(activeClusters);
-    for (let a = 0; a < active.length; a++) {
-        for (let b = a + 1; b < active.length; b++) {
-            const i = active[a];
-            const j = active[b];
-            if (distMatrix[i][j] < minDist) {
-                minDist = distMatrix[i][j];
-                minI = i;
-                minJ = j;
-            }
-        }
-    }
+const LINKAGE_UPDATES = {
+    single: (dik, djk) => Math.min(dik, djk),
+    complete: (dik, djk) => Math.max(dik, djk),
+    average: (dik, djk, dij, ni, nj) => (ni * dik + nj * djk) / (ni + nj),
+    ward: (dik, djk, dij, ni, nj, nk) => Math.sqrt(Math.max(0,
+        ((ni + nk) * dik * dik + (nj + nk) * djk * djk - nk * dij * dij) / (ni + nj + nk)
+    )),
+};
 
-    return { i: minI, j: minJ, dist: minDist };
+/**
+ * Supported linkage methods for hierarchicalCluster
+ * @type {string[]}
+ */
+export const LINKAGE_METHODS = Object.keys(LINKAGE_UPDATES);
+
+/**
+ * Index of pair (i, j), i != j, in a condensed (upper-triangle, row-major) distance array
+ * @param {number} n
+ * @param {number} i
+ * @param {number} j
+ * @returns {number}
+ */
+export function condensedIndex(n, i, j) {
+    if (i > j) [i, j] = [j, i];
+    return n * i - (i * (i + 1)) / 2 + j - i - 1;
 }
 
 /**
- * Perform hierarchical clustering (single linkage)
- * @param {number[][]} distMatrix - Distance matrix
- * @returns {Object[]} - Linkage matrix: [{ i, j, dist, size }]
+ * Pack the upper triangle of a square distance matrix into a Float64Array
+ * (n(n-1)/2 entries instead of n² nested arrays)
+ * @param {number[][]} distMatrix
+ * @returns {Float64Array}
  */
-export function hierarchicalCluster(distMatrix) {
+export function toCondensed(distMatrix) {
     const n = distMatrix.length;
-    if (n <= 1) return [];
-
-    // Deep copy distance matrix
-    const dist = distMatrix.map(row => [...row]);
-
-    // Track active clusters
-    const activeClusters = new Set(Array.from({ length: n }, (_, i) => i));
+    const condensed = new Float64Array((n * (n - 1)) / 2);
+    let k = 0;
+    for (let i = 0; i < n; i++) {
+        const row = distMatrix[i];
+        for (let j = i + 1; j < n; j++) {
+            condensed[k++] = row[j];
+        }
+    }
+    return condensed;
+}
 
-    // Track cluster sizes
-    const clusterSizes = Array(2 * n - 1).fill(1);
+/**
+ * Turn merges between "slots" (a merged cluster keeps the slot of one of its leaves) into a
+ * linkage matrix: sort by distance and relabel clusters as n, n + 1, ... in merge order
+ * @param {Object[]} merges - [{ a, b, dist }] with a, b leaf slots
+ * @param {number} n
+ * @returns {Object[]} - [{ i, j, dist, size }]
+ */
+function labelMerges(merges, n) {
+    // Stable sort keeps the discovery order among equal distances
+    const sorted = merges
+        .map((m, order) => ({ ...m, order }))
+        .sort((x, y) => x.dist - y.dist || x.order - y.order);
+
+    // Union-find over cluster labels; every slot is a leaf of the cluster it holds
+    const parent = new Int32Array(2 * n - 1).fill(-1);
+    const size = new Float64Array(2 * n - 1).fill(1);
+    const find = x => {
+        let root = x;
+        while (parent[root] >= 0) root = parent[root];
+        while (parent[x] >= 0) {
+            const next = parent[x];
+            parent[x] = root;
+            x = next;
+        }
+        return root;
+    };
+
+    return sorted.map(({ a, b, dist }, k) => {
+        const ra = find(a);
+        const rb = find(b);
+        const label = n + k;
+        parent[ra] = label;
+        parent[rb] = label;
+        size[label] = size[ra] + size[rb];
+        return { i: Math.min(ra, rb), j: Math.max(ra, rb), dist, size: size[label] };
+    });
+}
 
-    // Track cluster members for each cluster ID
-    const clusterMembers = Array.from({ length: n }, (_, i) => [i]);
+/**
+ * Single linkage as a minimum spanning tree (Prim's algorithm, O(n²) time, O(n) extra memory)
+ * @param {Float64Array} dist - Condensed distances
+ * @param {number} n
+ * @returns {Object[]} - Merges between leaf slots
+ */
+function minimumSpanningMerges(dist, n) {
+    const inTree = new Uint8Array(n);
+    const best = new Float64Array(n).fill(Infinity);
+    const merges = [];
 
-    const linkage = [];
-    let nextCluster = n;
+    let current = 0;
+    for (let step = 0; step < n - 1; step++) {
+        inTree[current] = 1;
+        let next = -1;
+        let nextDist = Infinity;
 
-    while (activeClusters.size > 1) {
-        // Find closest pair
-        const { i, j, dist: d } = findMinDistance(dist, activeClusters);
+        for (let k = 0; k < n; k++) {
+            if (inTree[k]) continue;
+            const d = dist[condensedIndex(n, current, k)];
+            if (d < best[k]) best[k] = d;
+            if (best[k] < nextDist) {
+                nextDist = best[k];
+                next = k;
+            }
+        }
 
-        if (i === -1 || j === -1) break;
+        merges.push({ a: current, b: next, dist: nextDist });
+        current = next;
+    }
 
-        // Record linkage
-        linkage.push({
-            i: Math.min(i, j),
-            j: Math.max(i, j),
-            dist: d,
-            size: clusterSizes[i] + clusterSizes[j],
-        });
+    // Prim's edges connect the new vertex to the tree; the tree side is relabelled later,
+    // so any vertex already in the tree serves as its slot
+    return merges;
+}
 
-        // Merge clusters: update distance matrix with single linkage (minimum)
-        const newCluster = nextCluster++;
-        clusterSizes[newCluster] = clusterSizes[i] + clusterSizes[j];
-        clusterMembers[newCluster] = [...(clusterMembers[i] || [i]), ...(clusterMembers[j] || [j])];
+/**
+ * Reducible linkages (average, complete, Ward) with the nearest-neighbour chain algorithm:
+ * O(n²) time on the condensed matrix, updated in place with the Lance-Williams rule
+ * @param {Float64Array} dist - Condensed distances (overwritten)
+ * @param {number} n
+ * @param {Function} update - Lance-Williams update
+ * @returns {Object[]} - Merges between leaf slots
+ */
+function nearestNeighbourChainMerges(dist, n, update) {
+    const size = new Float64Array(n).fill(1);
+    const chain = new Int32Array(n);
+    let chainLength = 0;
+    const merges = [];
+
+    for (let step = 0; step < n - 1; step++) {
+        if (chainLength === 0) {
+            chain[chainLength++] = size.findIndex(s => s > 0);
+        }
 
-        // Add new row/column for the merged cluster
-        const newRow = [];
-        for (let k = 0; k < dist.length; k++) {
-            if (k === i || k === j) {
-                newRow.push(Infinity);
+        let x;
+        let y;
+        let minDist;
+        // Grow the chain until two clusters are each other's nearest neighbour
+        for (;;) {
+            x = chain[chainLength - 1];
+            if (chainLength > 1) {
+                y = chain[chainLength - 2];
+                minDist = dist[condensedIndex(n, x, y)];
             } else {
-                // Single linkage: take minimum distance
-                newRow.push(Math.min(dist[i][k], dist[j][k]));
+                y = -1;
+                minDist = Infinity;
+            }
+
+            for (let k = 0; k < n; k++) {
+                if (size[k] === 0 || k === x) continue;
+                const d = dist[condensedIndex(n, x, k)];
+                if (d < minDist) {
+                    minDist = d;
+                    y = k;
+                }
             }
-        }
-        newRow.push(0); // Distance to self
 
-        // Update matrix
-        dist.push(newRow);
-        for (let k = 0; k < dist.length - 1; k++) {
-            dist[k].push(newRow[k]);
+            if (chainLength > 1 && y === chain[chainLength - 2]) break;
+            chain[chainLength++] = y;
         }
+        chainLength -= 2;
+
+        // Merge x into y's slot
+        const nx = size[x];
+        const ny = size[y];
+        merges.push({ a: x, b: y, dist: minDist });
+        size[x] = 0;
+        size[y] = nx + ny;
 
-        // Mark old clusters as merged
-        for (let k = 0; k < dist.length; k++) {
-            dist[i][k] = Infinity;
-            dist[k][i] = Infinity;
-            dist[j][k] = Infinity;
-            dist[k][j] = Infinity;
+        for (let k = 0; k < n; k++) {
+            if (size[k] === 0 || k === y) continue;
+            const xk = condensedIndex(n, x, k);
+            const yk = condensedIndex(n, y, k);
+            dist[yk] = update(dist[xk], dist[yk], minDist, nx, ny, size[k]);
         }
+    }
+
+    return merges;
+}
 
-        // Update active clusters
-        activeClusters.delete(i);
-        activeClusters.delete(j);
-        activeClusters.add(newCluster);
+/**
+ * Perform agglomerative hierarchical clustering in O(n²) time on a condensed Float64Array:
+ * single linkage via a minimum spanning tree, the others via nearest-neighbour chains
+ * @param {number[][]|Float64Array} distMatrix - Square distance matrix, or condensed distances
+ *   (see toCondensed)
+ * @param {string} [method='single'] - Linkage method: single, average, complete or ward
+ * @returns {Object[]} - Linkage matrix: [{ i, j, dist, size }], merges sorted by distance,
+ *   merged cluster k has id n + k
+ */
+export function hierarchicalCluster(distMatrix, method = 'single') {
+    const update = LINKAGE_UPDATES[method];
+    if (!update) {
+        throw new Error(`Unknown linkage method: ${method}. Use one of ${LINKAGE_METHODS.join(', ')}`);
     }
 
-    return linkage;
+    const dist = distMatrix instanceof Float64Array
+        ? Float64Array.from(distMatrix)
+        : toCondensed(distMatrix);
+    const n = Math.round((1 + Math.sqrt(1 + 8 * dist.length)) / 2);
+    if (n <= 1 || dist.length === 0) return [];
+
+    const merges = method === 'single'
+        ? minimumSpanningMerges(dist, n)
+        : nearestNeighbourChainMerges(dist, n, update);
+
+    return labelMerges(merges, n);
 }
 
 /**
@@ -137,6 +252,7 @@ export function buildClusterTree(linkage, n) {
             right: j,
             dist,
             items: [...leftItems, ...rightItems],
+            children: [nodes[i], nodes[j]],
         };
     }
 
@@ -228,19 +344,33 @@ export function linkageToHierarchy(linkage, symbols) {
  * @returns {number[]} - Cluster assignment for each item
  */
 export function getClustersAtThreshold(linkage, n, threshold) {
+    const merges = linkage.findIndex(link => link.dist > threshold);
+    return getClustersAfterMerges(linkage, n, merges === -1 ? linkage.length : merges);
+}
+
+/**
+ * Get cluster assignments after replaying the first merges of the linkage
+ * Unlike a height threshold this stays exact when several merges share a height
+ * @param {Object[]} linkage
+ * @param {number} n
+ * @param {number} merges - Number of merges to apply (n - merges clusters)
+ * @returns {number[]} - Cluster assignment for each item
+ */
+export function getClustersAfterMerges(linkage, n, merges) {
     const assignments = Array.from({ length: n }, (_, i) => i);
 
-    for (const { i, j, dist } of linkage) {
-        if (dist > threshold) break;
+    // Leaf items of every cluster id (leaves 0..n-1, merged clusters n + k)
+    const members = Array.from({ length: n }, (_, i) => [i]);
 
-        // Merge: assign all items in cluster j to cluster i
-        const targetCluster = assignments[i < n ? i : assignments.findIndex(a => a === i)];
-        const sourceCluster = assignments[j < n ? j : assignments.findIndex(a => a === j)];
+    for (let k = 0; k < Math.min(merges, linkage.length); k++) {
+        const { i, j } = linkage[k];
 
-        for (let k = 0; k < n; k++) {
-            if (assignments[k] === sourceCluster) {
-                assignments[k] = targetCluster;
-            }
+        members[n + k] = [...members[i], ...members[j]];
+
+        // Merge: assign all items in cluster j to cluster i
+        const targetCluster = assignments[members[i][0]];
+        for (const item of members[j]) {
+            assignments[item] = targetCluster;
         }
     }
 
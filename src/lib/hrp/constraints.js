@@ -0,0 +1,161 @@
+/**
+ * HRP Weight Constraints Module
+ * Per-asset min/max bounds and sector caps for constrained HRP.
+ * Asset bounds are enforced inside the bisection; sector caps are turned into
+ * tighter asset upper bounds and the bisection is re-run until every cap holds.
+ * Caps that can't be met together with the asset bounds are rejected up front.
+ */
+
+const TOLERANCE = 1e-9;
+
+/**
+ * Build per-asset lower/upper bound arrays from a constraints spec
+ * @param {string[]} symbols
+ * @param {Object} constraints
+ * @param {number} [constraints.minWeight=0] - Default minimum weight per asset (0-1)
+ * @param {number} [constraints.maxWeight=1] - Default maximum weight per asset (0-1)
+ * @param {Object} [constraints.assetBounds] - { [symbol]: { min, max } } overrides
+ * @returns {{ lower: number[], upper: number[] }}
+ */
+export function resolveWeightBounds(symbols, constraints = {}) {
+    const { minWeight = 0, maxWeight = 1, assetBounds = {} } = constraints;
+
+    const lower = symbols.map(s => assetBounds[s]?.min ?? minWeight);
+    const upper = symbols.map(s => assetBounds[s]?.max ?? maxWeight);
+
+    symbols.forEach((s, i) => {
+        if (lower[i] < 0 || upper[i] > 1 || lower[i] > upper[i]) {
+            throw new Error(`Invalid weight bounds for ${s}: [${lower[i]}, ${upper[i]}]`);
+        }
+    });
+
+    const sumLower = lower.reduce((a, b) => a + b, 0);
+    const sumUpper = upper.reduce((a, b) => a + b, 0);
+    if (sumLower > 1 + TOLERANCE) {
+        throw new Error(`Minimum weights add up to ${(sumLower * 100).toFixed(1)}%, more than 100%`);
+    }
+    if (sumUpper < 1 - TOLERANCE) {
+        throw new Error(`Maximum weights add up to ${(sumUpper * 100).toFixed(1)}%, less than 100%`);
+    }
+
+    return { lower, upper };
+}
+
+/**
+ * Check whether a constraints spec actually restricts anything
+ * @param {Object|null} constraints
+ * @returns {boolean}
+ */
+export function hasWeightConstraints(constraints) {
+    if (!constraints) return false;
+    const { minWeight = 0, maxWeight = 1, assetBounds = {}, sectorCaps = {} } = constraints;
+    return minWeight > 0 || maxWeight < 1
+        || Object.keys(assetBounds).length > 0
+        || Object.keys(sectorCaps).length > 0;
+}
+
+/**
+ * Run a bounded bisection and enforce sector caps
+ * @param {Function} bisect - (bounds) => weights, e.g. b => recursiveBisection(cov, order, b)
+ * @param {string[]} symbols
+ * @param {Object} constraints - See resolveWeightBounds, plus:
+ * @param {Object} [constraints.sectorCaps] - { [sector]: maxWeight }
+ * @param {Object} [constraints.sectors] - { [symbol]: sector }
+ * @param {number} [maxIterations=25]
+ * @returns {Object} - { weights, lower, upper, binding, sectorWeights }
+ *   binding lists every active constraint: { symbol, type: 'min' | 'max' | 'sector', limit, sector }
+ */
+export function constrainedBisection(bisect, symbols, constraints = {}, maxIterations = 25) {
+    const { sectorCaps = {}, sectors = {} } = constraints;
+    const { lower, upper } = resolveWeightBounds(symbols, constraints);
+    const assetUpper = [...upper];
+    const sectorOf = symbols.map(s => sectors[s] || 'Other');
+
+    // Sector caps must leave room for every asset's minimum weight
+    Object.entries(sectorCaps).forEach(([sector, cap]) => {
+        const minInSector = symbols.reduce((sum, _, i) => sum + (sectorOf[i] === sector ? lower[i] : 0), 0);
+        if (minInSector > cap + TOLERANCE) {
+            throw new Error(`Sector cap for ${sector} (${(cap * 100).toFixed(1)}%) is below its minimum weights`);
+        }
+    });
+
+    const sumSectors = weights => {
+        const totals = {};
+        weights.forEach((w, i) => { totals[sectorOf[i]] = (totals[sectorOf[i]] || 0) + w; });
+        return totals;
+    };
+    const breachedCaps = weights => {
+        const totals = sumSectors(weights);
+        return Object.entries(sectorCaps).filter(([sector, cap]) => (totals[sector] || 0) > cap + TOLERANCE);
+    };
+
+    // Each sector can hold at most min(cap, its assets' maximums); together that must reach 100%
+    const sectorUpper = sumSectors(assetUpper);
+    const sectorLower = sumSectors(lower);
+    const capacity = Object.entries(sectorUpper)
+        .reduce((sum, [sector, room]) => sum + Math.min(room, sectorCaps[sector] ?? Infinity), 0);
+    if (capacity < 1 - TOLERANCE) {
+        throw new Error(
+            `Sector caps and maximum weights allow only ${(capacity * 100).toFixed(1)}% in total; `
+            + 'raise a sector cap or the maximum weight'
+        );
+    }
+
+    let weights = bisect({ lower, upper });
+    for (let iter = 0; iter < maxIterations; iter++) {
+        const breached = breachedCaps(weights);
+        if (breached.length === 0) break;
+        const totals = sumSectors(weights);
+
+        // Scale the breaching sector's asset caps down to the sector cap
+        breached.forEach(([sector, cap]) => {
+            const scale = cap / totals[sector];
+            symbols.forEach((_, i) => {
+                if (sectorOf[i] === sector) {
+                    upper[i] = Math.max(lower[i], Math.min(upper[i], weights[i] * scale));
+                }
+            });
+        });
+
+        // Tightening squeezed out 100%: fall back to the proportional caps below
+        if (upper.reduce((a, b) => a + b, 0) < 1 - TOLERANCE) break;
+
+        weights = bisect({ lower, upper });
+    }
+
+    // Not converged: share each over-full sector's cap across its assets in proportion to
+    // their room above the minimum, so no bisection can breach it (feasible by the check above)
+    if (breachedCaps(weights).length > 0) {
+        symbols.forEach((_, i) => {
+            const sector = sectorOf[i];
+            const cap = sectorCaps[sector];
+            upper[i] = cap !== undefined && sectorUpper[sector] > cap
+                ? lower[i] + (assetUpper[i] - lower[i])
+                    * (cap - sectorLower[sector]) / (sectorUpper[sector] - sectorLower[sector])
+                : assetUpper[i];
+        });
+        weights = bisect({ lower, upper });
+
+        const breached = breachedCaps(weights);
+        if (breached.length > 0) {
+            throw new Error(`Could not hold sector ${breached.map(([sector]) => sector).join(', ')} to its cap`);
+        }
+    }
+
+    const sectorWeights = sumSectors(weights);
+    const binding = [];
+    symbols.forEach((symbol, i) => {
+        const w = weights[i];
+        const sector = sectorOf[i];
+        const cap = sectorCaps[sector];
+        if (lower[i] > 0 && w <= lower[i] + TOLERANCE) {
+            binding.push({ symbol, type: 'min', limit: lower[i], sector });
+        } else if (cap !== undefined && sectorWeights[sector] >= cap - 1e-6 && upper[i] < assetUpper[i]) {
+            binding.push({ symbol, type: 'sector', limit: cap, sector });
+        } else if (assetUpper[i] < 1 && w >= assetUpper[i] - TOLERANCE) {
+            binding.push({ symbol, type: 'max', limit: assetUpper[i], sector });
+        }
+    });
+
+    return { weights, lower, upper, binding, sectorWeights };
+}
@@ -72,16 +72,178 @@ export function calculateSimpleReturns(priceData) {
     return returns;
 }
 
+/**
+ * Calculate dated returns from price data, for calendar alignment with alignReturns
+ * @param {Object} priceData - { symbol: [{ date, close }] }
+ * @param {string} [kind='log'] - log or simple
+ * @returns {Object} - { symbol: [{ date, value }] } (date = the day the return is realised)
+ */
+export function calculateDatedReturns(priceData, kind = 'log') {
+    const returns = {};
+
+    if (!priceData || typeof priceData !== 'object') {
+        console.warn('calculateDatedReturns: priceData is null or not an object');
+        return returns;
+    }
+
+    Object.entries(priceData).forEach(([symbol, prices]) => {
+        returns[symbol] = [];
+        if (!prices || prices.length < 2) return;
+
+        const sorted = [...prices].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+        for (let i = 1; i < sorted.length; i++) {
+            const prevClose = sorted[i - 1].close;
+            const currClose = sorted[i].close;
+            if (prevClose > 0 && currClose > 0 && sorted[i].date !== sorted[i - 1].date) {
+                returns[symbol].push({
+                    date: sorted[i].date,
+                    value: kind === 'simple' ? (currClose / prevClose) - 1 : Math.log(currClose / prevClose),
+                });
+            }
+        }
+    });
+
+    return returns;
+}
+
+/**
+ * Supported date joins for alignReturns
+ * @type {string[]}
+ */
+export const ALIGNMENT_JOINS = ['inner', 'outer'];
+
+/**
+ * Supported gap handling for alignReturns (outer join)
+ * drop: remove dates where any asset is missing; ffill: forward-fill prices, i.e. a zero
+ * return on the missing day (the next return spans the gap); pairwise: zero-filled matrix
+ * plus an observed mask so correlations and every covariance estimator use pairwise-complete days
+ * @type {string[]}
+ */
+export const GAP_METHODS = ['drop', 'ffill', 'pairwise'];
+
+/**
+ * Per-symbol data quality against the aligned calendar
+ * @param {string} symbol
+ * @param {Object[]} series - [{ date, value }]
+ * @param {string[]} calendar - Union of dates in the alignment window
+ * @returns {Object}
+ */
+function dataQuality(symbol, series, calendar) {
+    const have = new Set(series.map(r => r.date));
+    let missing = 0;
+    let longestGap = 0;
+    let run = 0;
+    calendar.forEach(date => {
+        if (have.has(date)) {
+            run = 0;
+        } else {
+            missing++;
+            run++;
+            longestGap = Math.max(longestGap, run);
+        }
+    });
+
+    return {
+        symbol,
+        firstDate: series[0]?.date ?? null,
+        lastDate: series[series.length - 1]?.date ?? null,
+        observations: series.length,
+        missing,
+        missingPct: calendar.length > 0 ? (missing / calendar.length) * 100 : 0,
+        longestGap,
+        zeroReturnDays: series.filter(r => r.value === 0).length,
+    };
+}
+
 /**
  * Align returns to common date period
- * Filters out stocks with insufficient data (< 50% of max) to avoid truncation issues
- * @param {Object} returns - { symbol: [returns] }
+ * Filters out stocks with insufficient data (< 50% of max) to avoid truncation issues.
+ * Dated returns ({ date, value } from calculateDatedReturns) are joined on the calendar;
+ * plain number arrays fall back to trimming every series to its last N points.
+ * @param {Object} returns - { symbol: [{ date, value }] } or { symbol: [returns] }
  * @param {number} [minRatio=0.5] - Minimum data ratio relative to max length
+ * @param {Object} [options]
+ * @param {string} [options.join='outer'] - inner (dates every asset traded) or outer (every
+ *   trading date between the latest first date and the earliest last date)
+ * @param {string} [options.gaps='ffill'] - drop, ffill or pairwise (outer join only)
+ * @returns {Object} - { symbols: [], matrix: [[]], excludedSymbols: [], dates: [], observed,
+ *   quality: [], join, gaps }; observed is a boolean matrix for pairwise gaps, else null
+ */
+export function alignReturns(returns, minRatio = 0.5, options = {}) {
+    const { join = 'outer', gaps = 'ffill' } = options;
+
+    if (!ALIGNMENT_JOINS.includes(join)) {
+        throw new Error(`Unknown join: ${join}. Use one of ${ALIGNMENT_JOINS.join(', ')}`);
+    }
+    if (!GAP_METHODS.includes(gaps)) {
+        throw new Error(`Unknown gap handling: ${gaps}. Use one of ${GAP_METHODS.join(', ')}`);
+    }
+
+    const allSymbols = Object.keys(returns);
+    const empty = { symbols: [], matrix: [], excludedSymbols: [], dates: [], observed: null, quality: [], join, gaps };
+    if (allSymbols.length === 0) return empty;
+
+    const isDated = allSymbols.some(s => typeof returns[s][0] === 'object' && returns[s][0] !== null);
+    if (!isDated) return { ...empty, ...alignByPosition(returns, minRatio) };
+
+    // Get lengths for all symbols
+    const lengths = allSymbols.map(s => ({ symbol: s, length: returns[s].length }));
+    const maxLength = Math.max(...lengths.map(l => l.length));
+    const minRequired = Math.floor(maxLength * minRatio);
+
+    const includedSymbols = [];
+    const excludedSymbols = [];
+    lengths.forEach(({ symbol, length }) => {
+        if (length >= minRequired && length > 0) {
+            includedSymbols.push(symbol);
+        } else {
+            excludedSymbols.push({ symbol, length, required: minRequired });
+        }
+    });
+
+    if (excludedSymbols.length > 0) {
+        console.warn(`⚠ Excluded ${excludedSymbols.length} stocks with insufficient data for selected range:`,
+            excludedSymbols.map(e => `${e.symbol}(${e.length}/${e.required})`).join(', '));
+    }
+
+    if (includedSymbols.length === 0) return { ...empty, excludedSymbols };
+
+    // Alignment window: where every included asset has started and not yet ended
+    const windowStart = includedSymbols.map(s => returns[s][0].date).sort().pop();
+    const windowEnd = includedSymbols.map(s => returns[s][returns[s].length - 1].date).sort()[0];
+
+    const byDate = includedSymbols.map(s => new Map(
+        returns[s].filter(r => r.date >= windowStart && r.date <= windowEnd).map(r => [r.date, r.value])
+    ));
+    const calendar = [...new Set(byDate.flatMap(m => [...m.keys()]))].sort();
+
+    const dates = calendar.filter(date => {
+        const complete = byDate.every(m => m.has(date));
+        return complete || (join === 'outer' && gaps !== 'drop');
+    });
+
+    const matrix = dates.map(date => byDate.map(m => m.get(date) ?? 0));
+    const observed = gaps === 'pairwise' && join === 'outer'
+        ? dates.map(date => byDate.map(m => m.has(date)))
+        : null;
+
+    const quality = includedSymbols.map((s, i) =>
+        dataQuality(s, returns[s].filter(r => byDate[i].has(r.date)), calendar)
+    );
+
+    console.log(`📊 Aligning ${includedSymbols.length} stocks on ${dates.length} dates (${join} join, ${gaps})`);
+
+    return { symbols: includedSymbols, matrix, excludedSymbols, dates, observed, quality, join, gaps };
+}
+
+/**
+ * Align undated returns by position (last N points of every series)
+ * @param {Object} returns - { symbol: [returns] }
+ * @param {number} minRatio
  * @returns {Object} - { symbols: [], matrix: [[]], excludedSymbols: [] }
  */
-export function alignReturns(returns, minRatio = 0.5) {
+function alignByPosition(returns, minRatio) {
     const allSymbols = Object.keys(returns);
-    if (allSymbols.length === 0) return { symbols: [], matrix: [], excludedSymbols: [] };
 
     // Get lengths for all symbols
     const lengths = allSymbols.map(s => ({ symbol: s, length: returns[s].length }));
@@ -183,36 +345,103 @@ export function pearsonCorrelation(x, y) {
     return numerator / denominator;
 }
 
+/**
+ * Keep only the periods where both assets were observed (pairwise-complete)
+ * @param {number[]} x
+ * @param {number[]} y
+ * @param {boolean[]} ox - Observed flags for x
+ * @param {boolean[]} oy - Observed flags for y
+ * @returns {number[][]} - [x', y']
+ */
+function pairwiseComplete(x, y, ox, oy) {
+    const px = [];
+    const py = [];
+    for (let t = 0; t < x.length; t++) {
+        if (ox[t] && oy[t]) {
+            px.push(x[t]);
+            py.push(y[t]);
+        }
+    }
+    return [px, py];
+}
+
+/**
+ * Demeaned returns of each asset as contiguous Float64Array columns
+ * @param {number[][]} matrix - T x n returns
+ * @param {number} n
+ * @returns {Float64Array[]}
+ */
+function demeanedColumns(matrix, n) {
+    const T = matrix.length;
+    return Array.from({ length: n }, (_, i) => {
+        const column = new Float64Array(T);
+        let sum = 0;
+        for (let t = 0; t < T; t++) {
+            column[t] = matrix[t][i];
+            sum += column[t];
+        }
+        const mu = sum / T;
+        for (let t = 0; t < T; t++) column[t] -= mu;
+        return column;
+    });
+}
+
+/**
+ * Dot product of two equal-length Float64Arrays
+ * @param {Float64Array} x
+ * @param {Float64Array} y
+ * @returns {number}
+ */
+function dot(x, y) {
+    let sum = 0;
+    for (let t = 0; t < x.length; t++) sum += x[t] * y[t];
+    return sum;
+}
+
 /**
  * Calculate correlation matrix from returns matrix
- * @param {Object} alignedReturns - { symbols: [], matrix: [[]] }
+ * Honours an observed mask from alignReturns (pairwise-complete correlations)
+ * @param {Object} alignedReturns - { symbols: [], matrix: [[]], observed? }
  * @returns {Object} - { symbols: [], matrix: [[]] }
  */
 export function calculateCorrelationMatrix(alignedReturns) {
-    const { symbols, matrix } = alignedReturns;
+    const { symbols, matrix, observed = null } = alignedReturns;
     const n = symbols.length;
 
     if (n === 0 || matrix.length === 0) {
         return { symbols: [], matrix: [] };
     }
 
-    // Transpose to get returns by asset
-    const assetReturns = symbols.map((_, i) => matrix.map(row => row[i]));
+    if (observed) {
+        // Transpose to get returns by asset
+        const assetReturns = symbols.map((_, i) => matrix.map(row => row[i]));
+        const assetObserved = symbols.map((_, i) => observed.map(row => row[i]));
+
+        const corrMatrix = symbols.map(() => Array(n).fill(1));
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const corr = pearsonCorrelation(
+                    ...pairwiseComplete(assetReturns[i], assetReturns[j], assetObserved[i], assetObserved[j])
+                );
+                corrMatrix[i][j] = corr;
+                corrMatrix[j][i] = corr;
+            }
+        }
+        return { symbols, matrix: corrMatrix };
+    }
+
+    // Dot products of demeaned Float64Array columns
+    const columns = demeanedColumns(matrix, n);
+    const norms = columns.map(col => Math.sqrt(dot(col, col)));
 
-    // Calculate correlation matrix
-    const corrMatrix = [];
+    const corrMatrix = symbols.map(() => Array(n).fill(1));
     for (let i = 0; i < n; i++) {
-        const row = [];
-        for (let j = 0; j < n; j++) {
-            if (i === j) {
-                row.push(1);
-            } else if (j < i) {
-                row.push(corrMatrix[j][i]); // Symmetric
-            } else {
-                row.push(pearsonCorrelation(assetReturns[i], assetReturns[j]));
-            }
+        for (let j = i + 1; j < n; j++) {
+            const denominator = norms[i] * norms[j];
+            const corr = denominator === 0 ? 0 : dot(columns[i], columns[j]) / denominator;
+            corrMatrix[i][j] = corr;
+            corrMatrix[j][i] = corr;
         }
-        corrMatrix.push(row);
     }
 
     return { symbols, matrix: corrMatrix };
@@ -220,11 +449,13 @@ export function calculateCorrelationMatrix(alignedReturns) {
 
 /**
  * Calculate covariance matrix from returns matrix
- * @param {Object} alignedReturns - { symbols: [], matrix: [[]] }
+ * Honours an observed mask from alignReturns (pairwise-complete covariances,
+ * which are not guaranteed to be positive semi-definite)
+ * @param {Object} alignedReturns - { symbols: [], matrix: [[]], observed? }
  * @returns {Object} - { symbols: [], matrix: [[]] }
  */
 export function calculateCovarianceMatrix(alignedReturns) {
-    const { symbols, matrix } = alignedReturns;
+    const { symbols, matrix, observed = null } = alignedReturns;
     const n = symbols.length;
     const T = matrix.length;
 
@@ -232,28 +463,35 @@ export function calculateCovarianceMatrix(alignedReturns) {
         return { symbols: [], matrix: [] };
     }
 
-    // Transpose to get returns by asset
-    const assetReturns = symbols.map((_, i) => matrix.map(row => row[i]));
-
-    // Calculate means
-    const means = assetReturns.map(returns => mean(returns));
+    if (observed) {
+        // Transpose to get returns by asset
+        const assetReturns = symbols.map((_, i) => matrix.map(row => row[i]));
+        const assetObserved = symbols.map((_, i) => observed.map(row => row[i]));
+        const covMatrix = symbols.map(() => Array(n).fill(0));
+        for (let i = 0; i < n; i++) {
+            for (let j = i; j < n; j++) {
+                const [x, y] = pairwiseComplete(assetReturns[i], assetReturns[j], assetObserved[i], assetObserved[j]);
+                const mx = mean(x);
+                const my = mean(y);
+                const cov = x.length > 1
+                    ? x.reduce((sum, xt, t) => sum + (xt - mx) * (y[t] - my), 0) / (x.length - 1)
+                    : 0;
+                covMatrix[i][j] = cov;
+                covMatrix[j][i] = cov;
+            }
+        }
+        return { symbols, matrix: covMatrix };
+    }
 
-    // Calculate covariance matrix
-    const covMatrix = [];
+    // Dot products of demeaned Float64Array columns
+    const columns = demeanedColumns(matrix, n);
+    const covMatrix = symbols.map(() => Array(n).fill(0));
     for (let i = 0; i < n; i++) {
-        const row = [];
-        for (let j = 0; j < n; j++) {
-            if (j < i) {
-                row.push(covMatrix[j][i]); // Symmetric
-            } else {
-                let cov = 0;
-                for (let t = 0; t < T; t++) {
-                    cov += (assetReturns[i][t] - means[i]) * (assetReturns[j][t] - means[j]);
-                }
-                row.push(cov / (T - 1));
-            }
+        for (let j = i; j < n; j++) {
+            const cov = dot(columns[i], columns[j]) / (T - 1);
+            covMatrix[i][j] = cov;
+            covMatrix[j][i] = cov;
         }
-        covMatrix.push(row);
     }
 
     return { symbols, matrix: covMatrix };
@@ -0,0 +1,185 @@
+/**
+ * HRP Correlation Denoising Module
+ * Random-matrix (Marchenko-Pastur) denoising and detoning of correlation matrices
+ * following Lopez de Prado, "Machine Learning for Asset Managers" (2020), ch. 2
+ */
+
+import { symmetricEigen, fromEigen } from './linalg.js';
+
+/**
+ * Supported noise-eigenvalue replacement methods
+ * @type {string[]}
+ */
+export const DENOISE_METHODS = ['constant-residual', 'targeted-shrinkage'];
+
+/**
+ * Marchenko-Pastur probability density
+ * @param {number} variance - Noise variance sigma²
+ * @param {number} q - T / N ratio
+ * @param {number} [points=100] - Number of evaluation points
+ * @returns {{ x: number, y: number }[]} - Density over [lambdaMin, lambdaMax]
+ */
+export function marchenkoPasturPdf(variance, q, points = 100) {
+    const lambdaMin = variance * Math.pow(1 - Math.sqrt(1 / q), 2);
+    const lambdaMax = variance * Math.pow(1 + Math.sqrt(1 / q), 2);
+    const step = (lambdaMax - lambdaMin) / (points - 1);
+
+    return Array.from({ length: points }, (_, k) => {
+        const x = lambdaMin + k * step;
+        const inside = (lambdaMax - x) * (x - lambdaMin);
+        const y = x > 0 && inside > 0
+            ? (q / (2 * Math.PI * variance * x)) * Math.sqrt(inside)
+            : 0;
+        return { x, y };
+    });
+}
+
+/**
+ * Gaussian kernel density estimate of a sample at the given points
+ * @param {number[]} sample
+ * @param {number[]} at
+ * @param {number} bandwidth
+ * @returns {number[]}
+ */
+function kernelDensity(sample, at, bandwidth) {
+    const norm = 1 / (sample.length * bandwidth * Math.sqrt(2 * Math.PI));
+    return at.map(x =>
+        norm * sample.reduce((sum, s) => {
+            const z = (x - s) / bandwidth;
+            return sum + Math.exp(-0.5 * z * z);
+        }, 0)
+    );
+}
+
+/**
+ * Fit the Marchenko-Pastur noise variance to an eigenvalue spectrum
+ * Minimises the squared error between the MP density and a KDE of the eigenvalues
+ * (golden-section search over sigma² in (0, 1))
+ * @param {number[]} eigenvalues
+ * @param {number} q - T / N ratio
+ * @param {number} [bandwidth=0.01] - KDE bandwidth
+ * @returns {number} - Fitted noise variance
+ */
+export function fitMarchenkoPastur(eigenvalues, q, bandwidth = 0.01) {
+    const sse = variance => {
+        const pdf = marchenkoPasturPdf(variance, q);
+        const kde = kernelDensity(eigenvalues, pdf.map(p => p.x), bandwidth);
+        return pdf.reduce((sum, p, k) => sum + Math.pow(p.y - kde[k], 2), 0);
+    };
+
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lo = 1e-5;
+    let hi = 1 - 1e-5;
+    let c = hi - ratio * (hi - lo);
+    let d = lo + ratio * (hi - lo);
+    let fc = sse(c);
+    let fd = sse(d);
+
+    for (let iter = 0; iter < 60 && hi - lo > 1e-6; iter++) {
+        if (fc < fd) {
+            hi = d;
+            d = c;
+            fd = fc;
+            c = hi - ratio * (hi - lo);
+            fc = sse(c);
+        } else {
+            lo = c;
+            c = d;
+            fc = fd;
+            d = lo + ratio * (hi - lo);
+            fd = sse(d);
+        }
+    }
+
+    return (lo + hi) / 2;
+}
+
+/**
+ * Rescale a covariance-like matrix to unit diagonal
+ * @param {number[][]} matrix
+ * @returns {number[][]}
+ */
+function toCorrelation(matrix) {
+    const d = matrix.map((row, i) => Math.sqrt(Math.max(row[i], 1e-12)));
+    return matrix.map((row, i) =>
+        row.map((c, j) => (i === j ? 1 : Math.max(-1, Math.min(1, c / (d[i] * d[j])))))
+    );
+}
+
+/**
+ * Denoise (and optionally detone) a correlation matrix
+ * @param {number[][]} corrMatrix - Correlation matrix (N x N)
+ * @param {number} observations - Number of return observations T
+ * @param {Object} [options]
+ * @param {string} [options.method='constant-residual'] - constant-residual or targeted-shrinkage
+ * @param {number} [options.alpha=0] - Targeted shrinkage weight kept on noise off-diagonals
+ * @param {boolean} [options.detone=false] - Remove the market (first) component
+ * @param {number} [options.bandwidth=0.01] - KDE bandwidth for the MP fit
+ * @returns {Object} - { matrix, detoned, spectrum }
+ *   matrix is the denoised correlation; detoned is the detoned version (or null);
+ *   spectrum holds eigenvalues, the fitted MP band and density for plotting
+ */
+export function denoiseCorrelation(corrMatrix, observations, options = {}) {
+    const {
+        method = 'constant-residual',
+        alpha = 0,
+        detone = false,
+        bandwidth = 0.01,
+    } = options;
+
+    if (!DENOISE_METHODS.includes(method)) {
+        throw new Error(`Unknown denoise method: ${method}. Use one of ${DENOISE_METHODS.join(', ')}`);
+    }
+
+    const n = corrMatrix.length;
+    const q = observations / n;
+    const { values, vectors } = symmetricEigen(corrMatrix);
+
+    const variance = fitMarchenkoPastur(values, q, bandwidth);
+    const lambdaMax = variance * Math.pow(1 + Math.sqrt(1 / q), 2);
+    const lambdaMin = variance * Math.pow(1 - Math.sqrt(1 / q), 2);
+
+    // Signal eigenvalues sit above the MP upper edge; always keep at least the market mode
+    const nFactors = Math.max(1, values.filter(v => v > lambdaMax).length);
+
+    let denoised;
+    if (method === 'constant-residual') {
+        // Replace noise eigenvalues by their average, preserving the trace
+        const noise = values.slice(nFactors);
+        const noiseMean = noise.length > 0 ? noise.reduce((a, b) => a + b, 0) / noise.length : 0;
+        const newValues = values.map((v, k) => (k < nFactors ? v : noiseMean));
+        denoised = toCorrelation(fromEigen(newValues, vectors, n));
+    } else {
+        // Shrink only the noise component towards its diagonal
+        const signal = fromEigen(values.slice(0, nFactors), vectors.slice(0, nFactors), n);
+        const noise = fromEigen(values.slice(nFactors), vectors.slice(nFactors), n);
+        denoised = signal.map((row, i) =>
+            row.map((s, j) => s + (i === j ? noise[i][j] : alpha * noise[i][j]))
+        );
+    }
+
+    let detoned = null;
+    if (detone) {
+        // Remove the market component from the denoised matrix; the result is
+        // singular, so it is only suitable for clustering, not for allocation
+        const { values: dv, vectors: dvec } = symmetricEigen(denoised);
+        const market = fromEigen(dv.slice(0, 1), dvec.slice(0, 1), n);
+        detoned = toCorrelation(denoised.map((row, i) => row.map((c, j) => c - market[i][j])));
+    }
+
+    return {
+        matrix: denoised,
+        detoned,
+        spectrum: {
+            eigenvalues: values,
+            variance,
+            q,
+            lambdaMin,
+            lambdaMax,
+            nFactors,
+            method,
+            detoned: detone,
+            mpDensity: marchenkoPasturPdf(variance, q),
+        },
+    };
+}
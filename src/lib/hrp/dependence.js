@@ -0,0 +1,324 @@
+/**
+ * HRP Dependence Module
+ * Alternatives to Pearson correlation for clustering (rank, downside and
+ * tail dependence) and distance metrics beyond sqrt(0.5 * (1 - rho))
+ */
+
+import { mean, pearsonCorrelation } from './correlation.js';
+
+/**
+ * Supported dependence measures
+ * @type {string[]}
+ */
+export const CORRELATION_METHODS = ['pearson', 'spearman', 'kendall', 'semi', 'lower-tail'];
+
+/**
+ * Display labels for dependence measures
+ */
+export const CORRELATION_LABELS = {
+    'pearson': 'Pearson',
+    'spearman': 'Spearman',
+    'kendall': 'Kendall tau',
+    'semi': 'Downside',
+    'lower-tail': 'Lower tail',
+};
+
+/**
+ * Supported distance metrics
+ * correlation: sqrt(0.5 * (1 - rho)); angular: arccos(rho) / pi; absolute: sqrt(1 - |rho|)
+ * (strong negative dependence counts as close); variation-of-information: normalised
+ * variation of information of the binned returns
+ * @type {string[]}
+ */
+export const DISTANCE_METHODS = ['correlation', 'angular', 'absolute', 'variation-of-information'];
+
+/**
+ * Ranks with ties given their average rank (1-based)
+ * @param {number[]} x
+ * @returns {number[]}
+ */
+export function rank(x) {
+    const order = x.map((v, i) => i).sort((a, b) => x[a] - x[b]);
+    const ranks = Array(x.length);
+    let i = 0;
+    while (i < order.length) {
+        let j = i;
+        while (j + 1 < order.length && x[order[j + 1]] === x[order[i]]) j++;
+        const avg = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) ranks[order[k]] = avg;
+        i = j + 1;
+    }
+    return ranks;
+}
+
+/**
+ * Spearman rank correlation
+ * @param {number[]} x
+ * @param {number[]} y
+ * @returns {number}
+ */
+export function spearmanCorrelation(x, y) {
+    const n = Math.min(x.length, y.length);
+    if (n < 2) return 0;
+    return pearsonCorrelation(rank(x.slice(0, n)), rank(y.slice(0, n)));
+}
+
+/**
+ * Kendall tau-b (tie-adjusted), O(n^2)
+ * @param {number[]} x
+ * @param {number[]} y
+ * @returns {number}
+ */
+export function kendallTau(x, y) {
+    const n = Math.min(x.length, y.length);
+    if (n < 2) return 0;
+
+    let concordant = 0;
+    let discordant = 0;
+    let tiesX = 0;
+    let tiesY = 0;
+    for (let i = 0; i < n - 1; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const dx = Math.sign(x[i] - x[j]);
+            const dy = Math.sign(y[i] - y[j]);
+            if (dx === 0 && dy === 0) continue;
+            if (dx === 0) tiesX++;
+            else if (dy === 0) tiesY++;
+            else if (dx === dy) concordant++;
+            else discordant++;
+        }
+    }
+
+    const denom = Math.sqrt((concordant + discordant + tiesX) * (concordant + discordant + tiesY));
+    return denom === 0 ? 0 : (concordant - discordant) / denom;
+}
+
+/**
+ * Downside (semi) correlation: Pearson correlation on the days both returns are below their mean
+ * @param {number[]} x
+ * @param {number[]} y
+ * @param {number} [minObservations=10] - Fewer joint down days than this gives 0
+ * @returns {number}
+ */
+export function semiCorrelation(x, y, minObservations = 10) {
+    const n = Math.min(x.length, y.length);
+    const mx = mean(x.slice(0, n));
+    const my = mean(y.slice(0, n));
+
+    const dx = [];
+    const dy = [];
+    for (let t = 0; t < n; t++) {
+        if (x[t] < mx && y[t] < my) {
+            dx.push(x[t]);
+            dy.push(y[t]);
+        }
+    }
+
+    return dx.length < Math.max(minObservations, 2) ? 0 : pearsonCorrelation(dx, dy);
+}
+
+/**
+ * Empirical lower-tail dependence: P(U <= q, V <= q) / q on rank-transformed returns
+ * 0 = crashes are unrelated, 1 = every crash day of one is a crash day of the other
+ * @param {number[]} x
+ * @param {number[]} y
+ * @param {number} [quantile=0.1]
+ * @returns {number}
+ */
+export function lowerTailDependence(x, y, quantile = 0.1) {
+    const n = Math.min(x.length, y.length);
+    if (n < 2) return 0;
+
+    const rx = rank(x.slice(0, n));
+    const ry = rank(y.slice(0, n));
+    const cutoff = quantile * n;
+
+    let joint = 0;
+    for (let t = 0; t < n; t++) {
+        if (rx[t] <= cutoff && ry[t] <= cutoff) joint++;
+    }
+
+    return Math.min(1, joint / Math.max(cutoff, 1));
+}
+
+/**
+ * Pairwise dependence function for a method
+ * @param {string} method
+ * @param {Object} options - { tailQuantile }
+ * @returns {Function} - (x, y) => number
+ */
+function dependenceFunction(method, { tailQuantile = 0.1 } = {}) {
+    switch (method) {
+        case 'spearman': return spearmanCorrelation;
+        case 'kendall': return kendallTau;
+        case 'semi': return (x, y) => semiCorrelation(x, y);
+        case 'lower-tail': return (x, y) => lowerTailDependence(x, y, tailQuantile);
+        default: return pearsonCorrelation;
+    }
+}
+
+/**
+ * Returns of assets i and j on the days both were observed (all days without a mask)
+ * @param {number[][]} assetReturns - Return series per asset
+ * @param {boolean[][]|null} observed - Observed mask from alignReturns (rows = days)
+ * @param {number} i
+ * @param {number} j
+ * @returns {number[][]} - [x, y]
+ */
+function pairwiseObserved(assetReturns, observed, i, j) {
+    if (!observed) return [assetReturns[i], assetReturns[j]];
+    const keep = observed.map(row => row[i] && row[j]);
+    return [assetReturns[i].filter((_, t) => keep[t]), assetReturns[j].filter((_, t) => keep[t])];
+}
+
+/**
+ * Dependence matrix from aligned returns
+ * Honours an observed mask from alignReturns (pairwise-complete days)
+ * @param {Object} alignedReturns - { symbols: [], matrix: [[]], observed? }
+ * @param {string} [method='pearson'] - One of CORRELATION_METHODS
+ * @param {Object} [options]
+ * @param {number} [options.tailQuantile=0.1] - Tail cut-off for lower-tail dependence
+ * @returns {Object} - { symbols: [], matrix: [[]], method }
+ */
+export function dependenceMatrix(alignedReturns, method = 'pearson', options = {}) {
+    if (!CORRELATION_METHODS.includes(method)) {
+        throw new Error(`Unknown correlation method: ${method}. Use one of ${CORRELATION_METHODS.join(', ')}`);
+    }
+
+    const { symbols, matrix, observed = null } = alignedReturns;
+    const n = symbols.length;
+    const measure = dependenceFunction(method, options);
+    const assetReturns = symbols.map((_, i) => matrix.map(row => row[i]));
+
+    const result = symbols.map(() => Array(n).fill(1));
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const value = measure(...pairwiseObserved(assetReturns, observed, i, j));
+            result[i][j] = value;
+            result[j][i] = value;
+        }
+    }
+
+    return { symbols, matrix: result, method };
+}
+
+/**
+ * Entropy (nats) of a discrete distribution given counts
+ * @param {number[]} counts
+ * @param {number} total
+ * @returns {number}
+ */
+function entropy(counts, total) {
+    return counts.reduce((h, c) => (c > 0 ? h - (c / total) * Math.log(c / total) : h), 0);
+}
+
+/**
+ * Normalised variation of information between two return series
+ * VI = H(X) + H(Y) - 2 I(X, Y), divided by the joint entropy H(X, Y), so 0 = identical
+ * information and 1 = independent. Bin count follows Hacine-Gharbi & Ravier (2018)
+ * for the joint case, using the pair's correlation.
+ * @param {number[]} x
+ * @param {number[]} y
+ * @param {number} [correlation] - Pearson correlation of x and y (computed if omitted)
+ * @returns {number}
+ */
+export function variationOfInformation(x, y, correlation = null) {
+    const n = Math.min(x.length, y.length);
+    if (n < 2) return 1;
+
+    const rho = Math.min(Math.abs(correlation ?? pearsonCorrelation(x, y)), 0.999999);
+    const bins = Math.max(2, Math.round(
+        Math.SQRT1_2 * Math.sqrt(1 + Math.sqrt(1 + 24 * n / (1 - rho * rho)))
+    ));
+
+    const toBins = series => {
+        const values = series.slice(0, n);
+        const lo = Math.min(...values);
+        const width = (Math.max(...values) - lo) / bins || 1;
+        return values.map(v => Math.min(bins - 1, Math.floor((v - lo) / width)));
+    };
+    const bx = toBins(x);
+    const by = toBins(y);
+
+    const countX = Array(bins).fill(0);
+    const countY = Array(bins).fill(0);
+    const joint = Array(bins * bins).fill(0);
+    for (let t = 0; t < n; t++) {
+        countX[bx[t]]++;
+        countY[by[t]]++;
+        joint[bx[t] * bins + by[t]]++;
+    }
+
+    const hx = entropy(countX, n);
+    const hy = entropy(countY, n);
+    const hxy = entropy(joint, n);
+    if (hxy === 0) return 0;
+
+    const mutualInformation = hx + hy - hxy;
+    return Math.max(0, Math.min(1, (hx + hy - 2 * mutualInformation) / hxy));
+}
+
+/**
+ * Distance matrix for clustering
+ * @param {number[][]} corrMatrix - Dependence / correlation matrix
+ * @param {string} [method='correlation'] - One of DISTANCE_METHODS
+ * @param {Object} [alignedReturns] - { symbols, matrix, observed? } (required for
+ *   variation-of-information, which is computed from the pairwise-observed returns rather than
+ *   from corrMatrix)
+ * @returns {number[][]}
+ */
+export function dependenceToDistance(corrMatrix, method = 'correlation', alignedReturns = null) {
+    if (!DISTANCE_METHODS.includes(method)) {
+        throw new Error(`Unknown distance method: ${method}. Use one of ${DISTANCE_METHODS.join(', ')}`);
+    }
+
+    const clamp = rho => Math.max(-1, Math.min(1, rho));
+
+    if (method === 'variation-of-information') {
+        if (!alignedReturns) {
+            throw new Error('Variation-of-information distance needs the aligned returns');
+        }
+        const { symbols, matrix, observed = null } = alignedReturns;
+        const assetReturns = symbols.map((_, i) => matrix.map(row => row[i]));
+        const result = corrMatrix.map(row => row.map(() => 0));
+        for (let i = 0; i < result.length; i++) {
+            for (let j = i + 1; j < result.length; j++) {
+                const value = variationOfInformation(...pairwiseObserved(assetReturns, observed, i, j));
+                result[i][j] = value;
+                result[j][i] = value;
+            }
+        }
+        return result;
+    }
+
+    return corrMatrix.map((row, i) => row.map((value, j) => {
+        if (i === j) return 0;
+        const rho = clamp(value);
+        if (method === 'angular') return Math.acos(rho) / Math.PI;
+        if (method === 'absolute') return Math.sqrt(1 - Math.abs(rho));
+        return Math.sqrt(0.5 * (1 - rho));
+    }));
+}
+
+/**
+ * Clustering distance matrix for the configured dependence measure and distance
+ * @param {number[][]} correlation - Pearson (possibly denoised) correlation, used as-is for 'pearson'
+ * @param {Object} alignedReturns - { symbols, matrix, observed? } the correlation was estimated from
+ * @param {Object} [options]
+ * @param {string} [options.correlationMethod='pearson'] - One of CORRELATION_METHODS
+ * @param {string} [options.distance='correlation'] - One of DISTANCE_METHODS
+ * @param {number} [options.tailQuantile=0.1]
+ * @returns {{ dependence: number[][], distance: number[][] }}
+ */
+export function clusteringDistance(correlation, alignedReturns, options = {}) {
+    const { correlationMethod = 'pearson', distance = 'correlation', tailQuantile = 0.1 } = options;
+
+    const dependence = correlationMethod === 'pearson'
+        ? correlation
+        : dependenceMatrix(alignedReturns, correlationMethod, { tailQuantile }).matrix;
+
+    return {
+        dependence,
+        distance: dependenceToDistance(dependence, distance, alignedReturns),
+    };
+}
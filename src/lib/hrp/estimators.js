@@ -0,0 +1,277 @@
+/**
+ * HRP Covariance Estimators Module
+ * Pluggable covariance estimators for noisy, short samples:
+ * sample, Ledoit-Wolf shrinkage, Oracle Approximating Shrinkage (OAS)
+ * and exponentially weighted (EWMA) covariance
+ *
+ * Every estimator honours the observed mask of a pairwise alignment: each moment uses only
+ * the days both assets traded, so zero-filled gap days don't shrink variances.
+ */
+
+import { mean, calculateCovarianceMatrix } from './correlation.js';
+
+/**
+ * Supported covariance estimators for estimateCovariance
+ * @type {string[]}
+ */
+export const COVARIANCE_ESTIMATORS = ['sample', 'ledoit-wolf', 'oas', 'ewma'];
+
+/**
+ * Demean each column of a returns matrix over the days the asset was observed
+ * @param {number[][]} matrix - Rows are time periods, columns are assets
+ * @param {boolean[][]|null} [observed=null] - Observed mask from alignReturns
+ * @returns {number[][]} - Centered matrix, 0 on unobserved days
+ */
+function centerColumns(matrix, observed = null) {
+    const n = matrix[0].length;
+    const seen = (t, i) => !observed || observed[t][i];
+    const means = Array.from({ length: n }, (_, i) => mean(
+        matrix.filter((_, t) => seen(t, i)).map(row => row[i])
+    ));
+    return matrix.map((row, t) => row.map((r, i) => (seen(t, i) ? r - means[i] : 0)));
+}
+
+/**
+ * Number of days each pair of assets was both observed
+ * @param {number[][]} matrix
+ * @param {boolean[][]|null} [observed=null]
+ * @returns {number[][]}
+ */
+function pairCounts(matrix, observed = null) {
+    const n = matrix[0].length;
+    if (!observed) return Array.from({ length: n }, () => Array(n).fill(matrix.length));
+
+    const counts = Array.from({ length: n }, () => Array(n).fill(0));
+    for (const row of observed) {
+        for (let i = 0; i < n; i++) {
+            if (!row[i]) continue;
+            for (let j = i; j < n; j++) {
+                if (row[j]) counts[i][j]++;
+            }
+        }
+    }
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < i; j++) counts[i][j] = counts[j][i];
+    }
+    return counts;
+}
+
+/**
+ * Maximum-likelihood covariance (divides by the pair's observation count) of a centered matrix
+ * @param {number[][]} centered - Centered matrix, 0 on unobserved days
+ * @param {number[][]} counts - From pairCounts
+ * @returns {number[][]}
+ */
+function mleCovariance(centered, counts) {
+    const n = centered[0].length;
+    const cov = Array.from({ length: n }, () => Array(n).fill(0));
+
+    for (const row of centered) {
+        for (let i = 0; i < n; i++) {
+            for (let j = i; j < n; j++) {
+                cov[i][j] += row[i] * row[j];
+            }
+        }
+    }
+
+    for (let i = 0; i < n; i++) {
+        for (let j = i; j < n; j++) {
+            cov[i][j] = counts[i][j] > 0 ? cov[i][j] / counts[i][j] : 0;
+            cov[j][i] = cov[i][j];
+        }
+    }
+
+    return cov;
+}
+
+/**
+ * Shrink a covariance matrix towards the scaled identity mu * I
+ * @param {number[][]} cov
+ * @param {number} shrinkage - Intensity in [0, 1]
+ * @returns {number[][]}
+ */
+function shrinkToIdentity(cov, shrinkage) {
+    const n = cov.length;
+    const mu = cov.reduce((sum, row, i) => sum + row[i], 0) / n;
+
+    return cov.map((row, i) =>
+        row.map((c, j) => (1 - shrinkage) * c + (i === j ? shrinkage * mu : 0))
+    );
+}
+
+/**
+ * Ledoit-Wolf shrinkage towards the scaled identity
+ * Ledoit & Wolf (2004), "A well-conditioned estimator for large-dimensional covariance matrices"
+ * @param {number[][]} matrix - Returns matrix (rows = periods, columns = assets)
+ * @param {boolean[][]|null} [observed=null] - Observed mask from alignReturns
+ * @returns {{ matrix: number[][], shrinkage: number }}
+ */
+export function ledoitWolfCovariance(matrix, observed = null) {
+    const centered = centerColumns(matrix, observed);
+    const counts = pairCounts(matrix, observed);
+    const S = mleCovariance(centered, counts);
+    const n = S.length;
+    const mu = S.reduce((sum, row, i) => sum + row[i], 0) / n;
+
+    // d² = ||S - mu*I||², distance of the sample covariance from the target
+    let d2 = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            const diff = S[i][j] - (i === j ? mu : 0);
+            d2 += diff * diff;
+        }
+    }
+
+    // b̄² = Σ_ij (1/T_ij²) Σ_t (x_ti x_tj - S_ij)² over the T_ij days the pair was observed
+    // (with no gaps, (Σ_t ||x_t||⁴ - T ||S||²) / T²)
+    let bBar2 = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            if (counts[i][j] === 0) continue;
+            let sumSq = 0;
+            for (const row of centered) {
+                const p = row[i] * row[j];
+                sumSq += p * p;
+            }
+            bBar2 += (sumSq - counts[i][j] * S[i][j] * S[i][j]) / (counts[i][j] * counts[i][j]);
+        }
+    }
+    const b2 = Math.min(Math.max(0, bBar2), d2);
+
+    const shrinkage = d2 === 0 ? 1 : b2 / d2;
+
+    return { matrix: shrinkToIdentity(S, shrinkage), shrinkage };
+}
+
+/**
+ * Oracle Approximating Shrinkage towards the scaled identity
+ * Chen, Wiesel, Eldar & Hero (2010), "Shrinkage algorithms for MMSE covariance estimation"
+ * With gaps the sample size is the mean number of days the pairs were observed
+ * @param {number[][]} matrix - Returns matrix (rows = periods, columns = assets)
+ * @param {boolean[][]|null} [observed=null] - Observed mask from alignReturns
+ * @returns {{ matrix: number[][], shrinkage: number }}
+ */
+export function oasCovariance(matrix, observed = null) {
+    const counts = pairCounts(matrix, observed);
+    const S = mleCovariance(centerColumns(matrix, observed), counts);
+    const n = S.length;
+    const T = counts.flat().reduce((a, b) => a + b, 0) / (n * n);
+    const mu = S.reduce((sum, row, i) => sum + row[i], 0) / n;
+
+    // alpha = mean of squared entries of S
+    let alpha = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            alpha += S[i][j] * S[i][j];
+        }
+    }
+    alpha /= n * n;
+
+    const numerator = alpha + mu * mu;
+    const denominator = (T + 1) * (alpha - (mu * mu) / n);
+    const shrinkage = denominator === 0 ? 1 : Math.min(numerator / denominator, 1);
+
+    return { matrix: shrinkToIdentity(S, shrinkage), shrinkage };
+}
+
+/**
+ * Exponentially weighted covariance
+ * Weight of observation t (0 = oldest) is lambda^(T-1-t), with lambda = 0.5^(1/halfLife);
+ * with gaps each pair renormalises the weights over the days both assets were observed
+ * @param {number[][]} matrix - Returns matrix (rows = periods, columns = assets)
+ * @param {number} [halfLife=60] - Half-life in trading days
+ * @param {boolean[][]|null} [observed=null] - Observed mask from alignReturns
+ * @returns {{ matrix: number[][], effectiveObservations: number }}
+ */
+export function ewmaCovariance(matrix, halfLife = 60, observed = null) {
+    if (!(halfLife > 0)) {
+        throw new Error('EWMA half-life must be a positive number of days');
+    }
+
+    const T = matrix.length;
+    const n = matrix[0].length;
+    const lambda = Math.pow(0.5, 1 / halfLife);
+    const rawWeights = matrix.map((_, t) => Math.pow(lambda, T - 1 - t));
+
+    const cov = Array.from({ length: n }, () => Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = i; j < n; j++) {
+            const days = observed
+                ? rawWeights.map((_, t) => t).filter(t => observed[t][i] && observed[t][j])
+                : rawWeights.map((_, t) => t);
+            const weightSum = days.reduce((sum, t) => sum + rawWeights[t], 0);
+            if (weightSum === 0) continue;
+            const weights = days.map(t => rawWeights[t] / weightSum);
+
+            // Weighted means and covariance over the pair's days
+            const mi = days.reduce((sum, t, k) => sum + weights[k] * matrix[t][i], 0);
+            const mj = days.reduce((sum, t, k) => sum + weights[k] * matrix[t][j], 0);
+            const c = days.reduce((sum, t, k) => sum + weights[k] * (matrix[t][i] - mi) * (matrix[t][j] - mj), 0);
+
+            // Unbiased weighted covariance (reduces to T-1 normalisation for equal weights)
+            const correction = 1 - weights.reduce((sum, w) => sum + w * w, 0);
+            cov[i][j] = correction > 0 ? c / correction : c;
+            cov[j][i] = cov[i][j];
+        }
+    }
+
+    const weightSum = rawWeights.reduce((a, b) => a + b, 0);
+    const sumSqWeights = rawWeights.reduce((sum, w) => sum + (w / weightSum) ** 2, 0);
+    return { matrix: cov, effectiveObservations: 1 / sumSqWeights };
+}
+
+/**
+ * Convert a covariance matrix to a correlation matrix
+ * @param {number[][]} covMatrix
+ * @returns {number[][]}
+ */
+export function covarianceToCorrelation(covMatrix) {
+    const vols = covMatrix.map((row, i) => Math.sqrt(Math.max(row[i], 0)));
+
+    return covMatrix.map((row, i) =>
+        row.map((c, j) => {
+            if (i === j) return 1;
+            const denom = vols[i] * vols[j];
+            if (denom === 0) return 0;
+            return Math.max(-1, Math.min(1, c / denom));
+        })
+    );
+}
+
+/**
+ * Estimate covariance with a pluggable estimator
+ * @param {Object} alignedReturns - { symbols: [], matrix: [[]], observed? }
+ * @param {Object} [options]
+ * @param {string} [options.estimator='sample'] - sample, ledoit-wolf, oas or ewma
+ * @param {number} [options.halfLife=60] - EWMA half-life in trading days
+ * @returns {Object} - { symbols, matrix, estimator, shrinkage, halfLife, effectiveObservations }
+ */
+export function estimateCovariance(alignedReturns, options = {}) {
+    const { estimator = 'sample', halfLife = 60 } = options;
+    const { symbols, matrix, observed = null } = alignedReturns;
+
+    if (!COVARIANCE_ESTIMATORS.includes(estimator)) {
+        throw new Error(`Unknown covariance estimator: ${estimator}. Use one of ${COVARIANCE_ESTIMATORS.join(', ')}`);
+    }
+
+    if (symbols.length === 0 || matrix.length < 2) {
+        return { symbols: [], matrix: [], estimator, shrinkage: 0 };
+    }
+
+    switch (estimator) {
+        case 'ledoit-wolf': {
+            const { matrix: cov, shrinkage } = ledoitWolfCovariance(matrix, observed);
+            return { symbols, matrix: cov, estimator, shrinkage };
+        }
+        case 'oas': {
+            const { matrix: cov, shrinkage } = oasCovariance(matrix, observed);
+            return { symbols, matrix: cov, estimator, shrinkage };
+        }
+        case 'ewma': {
+            const { matrix: cov, effectiveObservations } = ewmaCovariance(matrix, halfLife, observed);
+            return { symbols, matrix: cov, estimator, shrinkage: 0, halfLife, effectiveObservations };
+        }
+        default:
+            return { ...calculateCovarianceMatrix(alignedReturns), estimator, shrinkage: 0 };
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * HERC Allocation Module
+ * Hierarchical Equal Risk Contribution (Raffinot, 2018): cut the dendrogram into
+ * a small number of clusters, split risk top-down across the tree, then use
+ * naive risk parity within each cluster
+ */
+
+import { buildClusterTree, getClustersAfterMerges } from './clustering.js';
+
+/**
+ * Supported HERC risk measures
+ * @type {string[]}
+ */
+export const HERC_RISK_MEASURES = ['variance', 'std', 'cvar', 'cdar'];
+
+/**
+ * Portfolio returns for a subset of assets
+ * @param {number[][]} returnsMatrix
+ * @param {number[]} indices
+ * @param {number[]} weights - Weights aligned with indices
+ * @returns {number[]}
+ */
+function subsetReturns(returnsMatrix, indices, weights) {
+    return returnsMatrix.map(row =>
+        indices.reduce((sum, idx, k) => sum + weights[k] * row[idx], 0)
+    );
+}
+
+/**
+ * Historical conditional value at risk (expected shortfall) of a return series
+ * @param {number[]} returns
+ * @param {number} alpha - Tail probability, e.g. 0.05
+ * @returns {number} - Positive loss number
+ */
+function conditionalValueAtRisk(returns, alpha) {
+    const sorted = [...returns].sort((a, b) => a - b);
+    const tail = Math.max(1, Math.ceil(alpha * sorted.length));
+    const avg = sorted.slice(0, tail).reduce((a, b) => a + b, 0) / tail;
+    return -avg;
+}
+
+/**
+ * Conditional drawdown at risk: mean of the worst alpha-fraction of drawdowns
+ * @param {number[]} returns
+ * @param {number} alpha
+ * @returns {number}
+ */
+function conditionalDrawdownAtRisk(returns, alpha) {
+    let wealth = 1;
+    let peak = 1;
+    const drawdowns = returns.map(r => {
+        wealth *= 1 + r;
+        peak = Math.max(peak, wealth);
+        return 1 - wealth / peak;
+    });
+
+    const sorted = drawdowns.sort((a, b) => b - a);
+    const tail = Math.max(1, Math.ceil(alpha * sorted.length));
+    return sorted.slice(0, tail).reduce((a, b) => a + b, 0) / tail;
+}
+
+/**
+ * Risk of a weighted subset of assets under the chosen measure
+ * @param {Object} ctx - { covMatrix, returnsMatrix, riskMeasure, alpha }
+ * @param {number[]} indices
+ * @param {number[]} weights - Weights aligned with indices
+ * @returns {number} - Strictly positive risk
+ */
+function clusterRisk({ covMatrix, returnsMatrix, riskMeasure, alpha }, indices, weights) {
+    let risk;
+
+    if (riskMeasure === 'variance' || riskMeasure === 'std') {
+        let variance = 0;
+        for (let a = 0; a < indices.length; a++) {
+            for (let b = 0; b < indices.length; b++) {
+                variance += weights[a] * weights[b] * covMatrix[indices[a]][indices[b]];
+            }
+        }
+        risk = riskMeasure === 'std' ? Math.sqrt(Math.max(variance, 0)) : variance;
+    } else {
+        const returns = subsetReturns(returnsMatrix, indices, weights);
+        risk = riskMeasure === 'cvar'
+            ? conditionalValueAtRisk(returns, alpha)
+            : conditionalDrawdownAtRisk(returns, alpha);
+    }
+
+    return Math.max(risk, 1e-10);
+}
+
+/**
+ * Naive risk parity within a set of assets (weights proportional to 1 / risk)
+ * @param {Object} ctx
+ * @param {number[]} indices
+ * @returns {number[]} - Weights aligned with indices
+ */
+function naiveRiskParity(ctx, indices) {
+    const invRisk = indices.map(idx => 1 / clusterRisk(ctx, [idx], [1]));
+    const sum = invRisk.reduce((a, b) => a + b, 0);
+    return invRisk.map(w => w / sum);
+}
+
+/**
+ * Pick the number of clusters at the largest jump between consecutive merge heights
+ * @param {Object[]} linkage
+ * @param {number} n
+ * @returns {number}
+ */
+export function largestGapClusterCount(linkage, n) {
+    if (n <= 2 || linkage.length < 2) return Math.min(n, 2);
+
+    let bestGap = -Infinity;
+    let bestMerges = 1;
+    for (let m = 0; m < linkage.length - 1; m++) {
+        const gap = linkage[m + 1].dist - linkage[m].dist;
+        if (gap > bestGap) {
+            bestGap = gap;
+            bestMerges = m + 1;
+        }
+    }
+
+    return n - bestMerges;
+}
+
+/**
+ * Cluster assignments for exactly k clusters (first n - k merges)
+ * @param {Object[]} linkage
+ * @param {number} n
+ * @param {number} k
+ * @returns {number[]}
+ */
+export function clustersForCount(linkage, n, k) {
+    return getClustersAfterMerges(linkage, n, n - Math.max(1, Math.min(k, n)));
+}
+
+/**
+ * Hierarchical Equal Risk Contribution weights
+ * @param {number[][]} covMatrix - Covariance matrix
+ * @param {number[][]} returnsMatrix - Daily returns (rows = periods), used for CVaR / CDaR
+ * @param {Object[]} linkage - Linkage from hierarchicalCluster
+ * @param {Object} [options]
+ * @param {string} [options.riskMeasure='variance'] - variance, std, cvar or cdar
+ * @param {number} [options.nClusters] - Fixed cluster count (default: largest merge-height gap)
+ * @param {number} [options.alpha=0.05] - Tail probability for CVaR / CDaR
+ * @returns {Object} - { weights, nClusters, clusters, riskMeasure }
+ */
+export function hercWeights(covMatrix, returnsMatrix, linkage, options = {}) {
+    const { riskMeasure = 'variance', nClusters = null, alpha = 0.05 } = options;
+
+    if (!HERC_RISK_MEASURES.includes(riskMeasure)) {
+        throw new Error(`Unknown HERC risk measure: ${riskMeasure}. Use one of ${HERC_RISK_MEASURES.join(', ')}`);
+    }
+
+    const n = covMatrix.length;
+    if (n === 0) return { weights: [], nClusters: 0, clusters: [], riskMeasure };
+    if (n === 1 || linkage.length === 0) {
+        return { weights: Array(n).fill(1 / n), nClusters: 1, clusters: Array(n).fill(0), riskMeasure };
+    }
+
+    const ctx = { covMatrix, returnsMatrix, riskMeasure, alpha };
+    const k = nClusters ?? largestGapClusterCount(linkage, n);
+    const clusters = clustersForCount(linkage, n, k);
+    const weights = Array(n).fill(1);
+
+    // Top-down: split between branches until a node lies inside a single cluster
+    const stack = [buildClusterTree(linkage, n)];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        const isSingleCluster = node.items.every(i => clusters[i] === clusters[node.items[0]]);
+
+        if (node.isLeaf || !node.children || isSingleCluster) {
+            // Within-cluster naive risk parity
+            const inner = naiveRiskParity(ctx, node.items);
+            node.items.forEach((idx, a) => { weights[idx] *= inner[a]; });
+            continue;
+        }
+
+        const [left, right] = node.children;
+        const leftRisk = clusterRisk(ctx, left.items, naiveRiskParity(ctx, left.items));
+        const rightRisk = clusterRisk(ctx, right.items, naiveRiskParity(ctx, right.items));
+        const leftAlloc = rightRisk / (leftRisk + rightRisk);
+
+        left.items.forEach(i => { weights[i] *= leftAlloc; });
+        right.items.forEach(i => { weights[i] *= 1 - leftAlloc; });
+
+        stack.push(left, right);
+    }
+
+    const sum = weights.reduce((a, b) => a + b, 0);
+
+    return {
+        weights: weights.map(w => w / sum),
+        nClusters: new Set(clusters).size,
+        clusters,
+        riskMeasure,
+    };
+}
@@ -4,110 +4,405 @@
  */
 
 import {
-    calculateLogReturns,
-    calculateSimpleReturns,
+    calculateDatedReturns,
     alignReturns,
     calculateCorrelationMatrix,
     calculateCovarianceMatrix,
-    correlationToDistance,
+    mean,
 } from './correlation.js';
 
+import {
+    estimateCovariance,
+    covarianceToCorrelation,
+} from './estimators.js';
+
+import { denoiseCorrelation } from './denoise.js';
+
 import {
     hierarchicalCluster,
     getQuasiDiagonalOrder,
     linkageToHierarchy,
+    buildClusterTree,
 } from './clustering.js';
 
 import {
     recursiveBisection,
+    treeBisection,
     equalWeights,
     inverseVolatilityWeights,
     formatWeights,
     riskContribution,
 } from './weights.js';
 
+import { constrainedBisection, hasWeightConstraints, resolveWeightBounds } from './constraints.js';
+import { hercWeights, clustersForCount } from './herc.js';
+import { ncoWeights } from './nco.js';
+import { efficientFrontier, portfolioPoint } from './optimizer.js';
+import { resolveRiskBudgets, riskBudgetWeights } from './riskBudget.js';
+import { blackLitterman as blackLittermanModel, marketCapWeights } from './blackLitterman.js';
+import { bootstrapHRP } from './bootstrap.js';
+import { clusteringDistance } from './dependence.js';
+import { optimalClusterCount, labelClusters } from './clusterCount.js';
+
 import {
     runBacktest,
     compareStrategies,
+    BACKTEST_MODES,
+    BACKTEST_MODE_LABELS,
+    addRelativeMetrics,
 } from './backtest.js';
 
+// Backtest names of the bisection variants
+const BISECTION_LABELS = {
+    classic: 'HRP (Classic)',
+    tree: 'HRP (Tree)',
+};
+
 /**
  * Run full HRP analysis
  * @param {Object} priceData - { symbol: [{ date, close }] }
+ * @param {Object} [options]
+ * @param {string} [options.linkage='single'] - Linkage method (single, average, complete, ward)
+ * @param {Object} [options.alignment] - Calendar alignment of returns, see alignReturns:
+ *   { join: 'inner' | 'outer', gaps: 'drop' | 'ffill' | 'pairwise' } (default outer / ffill)
+ * @param {string} [options.correlationMethod='pearson'] - Dependence measure for clustering
+ *   (pearson, spearman, kendall, semi, lower-tail); bisection always uses the covariance
+ * @param {string} [options.distance='correlation'] - Distance metric (correlation, angular,
+ *   absolute, variation-of-information)
+ * @param {number} [options.tailQuantile=0.1] - Tail cut-off for lower-tail dependence
+ * @param {string} [options.covarianceEstimator='sample'] - sample, ledoit-wolf, oas or ewma
+ * @param {number} [options.halfLife=60] - EWMA half-life in trading days
+ * @param {Object|null} [options.denoise=null] - Marchenko-Pastur denoising, e.g.
+ *   { method: 'constant-residual' | 'targeted-shrinkage', alpha, detone }
+ * @param {string} [options.bisection='classic'] - classic (midpoint of quasi-diagonal order)
+ *   or tree (split along dendrogram branches); the other variant is returned alongside
+ * @param {string} [options.hercRiskMeasure='variance'] - HERC risk measure (variance, std, cvar, cdar)
+ * @param {number} [options.hercClusters] - Fixed HERC cluster count (default: automatic)
+ * @param {string} [options.ncoObjective='min-variance'] - NCO objective (min-variance, max-sharpe)
+ * @param {number} [options.riskFreeRate=0.02] - Annual risk-free rate for max-Sharpe
+ * @param {Object|null} [options.constraints=null] - HRP weight constraints
+ *   { minWeight, maxWeight, assetBounds: { [symbol]: { min, max } }, sectorCaps, sectors }
+ * @param {Object|null} [options.bootstrap=null] - Block-bootstrap confidence intervals for the
+ *   HRP weights, e.g. { iterations: 200, blockSize, seed } (see bootstrapHRP)
+ * @param {Object|null} [options.riskBudget=null] - Risk budgets for the risk budgeting portfolio
+ *   { assetBudgets, sectorBudgets, sectors } (see resolveRiskBudgets); default equal risk contribution
+ * @param {Object|null} [options.blackLitterman=null] - Black-Litterman views on the equilibrium
+ *   { marketCaps: { [symbol]: ₹ crore }, views, sectors, tau, riskAversion } (see blackLitterman);
+ *   the prior is market-cap weighted, or the HRP allocation when any market cap is missing
+ * @param {string} [options.clusterSelection='silhouette'] - How many clusters the dendrogram is cut
+ *   into for the named risk buckets: silhouette or gap (gap statistic)
+ * @param {number} [options.nClusters] - Fixed number of risk buckets (skips the selection)
+ * @param {Object} [options.sectors] - { [symbol]: sector } used to name the risk buckets
+ * @param {Function} [options.onProgress] - Called as ({ stage, progress }) with progress 0-1
+ *   before each step (used by the HRP worker)
  * @returns {Object} - Complete HRP results
  */
-export function runHRP(priceData) {
-    // Step 1: Calculate LOG returns for correlation/covariance (standard practice)
-    const logReturns = calculateLogReturns(priceData);
-    const alignedLogReturns = alignReturns(logReturns);
-    const { symbols, matrix: logReturnsMatrix } = alignedLogReturns;
+export function runHRP(priceData, options = {}) {
+    const {
+        linkage: linkageMethod = 'single',
+        alignment = {},
+        correlationMethod = 'pearson',
+        distance = 'correlation',
+        tailQuantile = 0.1,
+        covarianceEstimator = 'sample',
+        halfLife = 60,
+        denoise = null,
+        bisection = 'classic',
+        hercRiskMeasure = 'variance',
+        hercClusters = null,
+        ncoObjective = 'min-variance',
+        riskFreeRate = 0.02,
+        constraints = null,
+        bootstrap = null,
+        riskBudget = null,
+        blackLitterman = null,
+        clusterSelection = 'silhouette',
+        nClusters = null,
+        sectors = {},
+        onProgress = null,
+    } = options;
+    const report = (stage, progress) => onProgress?.({ stage, progress });
+
+    if (!BISECTION_LABELS[bisection]) {
+        throw new Error(`Unknown bisection mode: ${bisection}. Use classic or tree`);
+    }
+
+    report('Aligning returns', 0);
+
+    // Step 1: Calculate LOG returns for correlation/covariance (standard practice),
+    // aligned on trading dates so every row compares the same day across assets
+    const logReturns = calculateDatedReturns(priceData, 'log');
+    const alignedLogReturns = alignReturns(logReturns, 0.5, alignment);
+    const { symbols, matrix: logReturnsMatrix, dates } = alignedLogReturns;
 
     if (symbols.length < 2) {
         throw new Error('Need at least 2 assets for HRP analysis');
     }
 
     // Step 1b: Calculate SIMPLE returns for backtest display (what users expect)
-    const simpleReturns = calculateSimpleReturns(priceData);
-    const alignedSimpleReturns = alignReturns(simpleReturns);
+    const simpleReturns = calculateDatedReturns(priceData, 'simple');
+    const alignedSimpleReturns = alignReturns(simpleReturns, 0.5, alignment);
     const { matrix: simpleReturnsMatrix } = alignedSimpleReturns;
 
+    report('Estimating covariance', 0.1);
+
     // Step 2: Calculate correlation and covariance from LOG returns (standard for HRP)
-    const correlation = calculateCorrelationMatrix(alignedLogReturns);
-    const covariance = calculateCovarianceMatrix(alignedLogReturns);
+    // Non-sample estimators derive correlation from the estimated covariance so
+    // clustering and bisection see the same (shrunk / weighted) structure
+    const covariance = covarianceEstimator === 'sample'
+        ? { ...calculateCovarianceMatrix(alignedLogReturns), estimator: 'sample', shrinkage: 0 }
+        : estimateCovariance(alignedLogReturns, { estimator: covarianceEstimator, halfLife });
+    let correlation = covarianceEstimator === 'sample'
+        ? calculateCorrelationMatrix(alignedLogReturns)
+        : { symbols, matrix: covarianceToCorrelation(covariance.matrix) };
 
-    // Step 3: Convert correlation to distance
-    const distanceMatrix = correlationToDistance(correlation.matrix);
+    // Step 2b: Optional random-matrix denoising. The denoised correlation is
+    // mapped back to a covariance with the original volatilities; a detoned
+    // matrix (market mode removed) is only used for clustering
+    let denoising = null;
+    let clusteringCorrelation = correlation.matrix;
+    if (denoise) {
+        const denoised = denoiseCorrelation(correlation.matrix, logReturnsMatrix.length, denoise);
+        const vols = covariance.matrix.map((row, i) => Math.sqrt(row[i]));
+
+        correlation = { symbols, matrix: denoised.matrix };
+        covariance.matrix = denoised.matrix.map((row, i) =>
+            row.map((c, j) => c * vols[i] * vols[j])
+        );
+        clusteringCorrelation = denoised.detoned ?? denoised.matrix;
+        denoising = denoised.spectrum;
+    }
+
+    report('Clustering', 0.25);
+
+    // Step 3: Convert correlation (or a rank / downside / tail dependence measure) to distance
+    const { dependence: dependenceValues, distance: distanceMatrix } = clusteringDistance(
+        clusteringCorrelation, alignedLogReturns, { correlationMethod, distance, tailQuantile }
+    );
 
     // Step 4: Hierarchical clustering
-    const linkage = hierarchicalCluster(distanceMatrix);
+    const linkage = hierarchicalCluster(distanceMatrix, linkageMethod);
 
     // Step 5: Get quasi-diagonal order
     const sortOrder = getQuasiDiagonalOrder(linkage, symbols.length);
 
-    // Step 6: Recursive bisection for weights
-    const hrpWeights = recursiveBisection(covariance.matrix, sortOrder);
+    report('Allocating weights', 0.35);
+
+    // Step 6: Recursive bisection for weights (both variants, selected one is "hrp").
+    // Weight bounds are enforced inside each split (constrained HRP)
+    const tree = buildClusterTree(linkage, symbols.length);
+    const classicBisect = bounds => recursiveBisection(covariance.matrix, sortOrder, bounds);
+    const treeBisect = bounds => treeBisection(covariance.matrix, tree, bounds);
+
+    let constraintReport = null;
+    let classicWeights;
+    let treeWeights;
+    if (hasWeightConstraints(constraints)) {
+        const classic = constrainedBisection(classicBisect, symbols, constraints);
+        const treeBased = constrainedBisection(treeBisect, symbols, constraints);
+        const selected = bisection === 'tree' ? treeBased : classic;
+
+        classicWeights = classic.weights;
+        treeWeights = treeBased.weights;
+        constraintReport = {
+            binding: selected.binding,
+            sectorWeights: selected.sectorWeights,
+        };
+    } else {
+        classicWeights = classicBisect(null);
+        treeWeights = treeBisect(null);
+    }
+    const hrpWeights = bisection === 'tree' ? treeWeights : classicWeights;
     const eqWeights = equalWeights(symbols.length);
     const ivWeights = inverseVolatilityWeights(covariance.matrix);
 
+    // Step 6b: HERC allocation on the same tree (CVaR / CDaR use simple returns)
+    const herc = hercWeights(covariance.matrix, simpleReturnsMatrix, linkage, {
+        riskMeasure: hercRiskMeasure,
+        nClusters: hercClusters,
+    });
+
+    // Step 6c: Nested Clustered Optimization on the same clusters
+    const expectedReturns = symbols.map((_, i) => mean(simpleReturnsMatrix.map(row => row[i])));
+    const nco = ncoWeights(covariance.matrix, linkage, {
+        objective: ncoObjective,
+        expectedReturns,
+        riskFreeRate: riskFreeRate / 252,
+    });
+
+    if (bootstrap) report('Bootstrapping', 0.45);
+
+    // Step 6d: Optional resampling - how stable are the HRP weights and clusters?
+    const bootstrapResult = bootstrap
+        ? bootstrapHRP(alignedLogReturns, {
+            linkage: linkageMethod,
+            correlationMethod,
+            distance,
+            tailQuantile,
+            covarianceEstimator,
+            halfLife,
+            denoise,
+            bisection,
+            constraints,
+            ...bootstrap,
+        })
+        : null;
+
+    report('Risk budgeting', 0.6);
+
+    // Step 6e: Risk budgeting (equal risk contribution unless budgets are given)
+    const riskBudgets = resolveRiskBudgets(symbols, riskBudget || {});
+    const budgeted = riskBudgetWeights(covariance.matrix, riskBudgets);
+    const isRiskParity = riskBudgets.every(b => Math.abs(b - 1 / symbols.length) < 1e-12);
+
+    // Step 6f: Optional Black-Litterman posterior from the market-cap (or HRP) prior and views
+    let blResult = null;
+    if (blackLitterman) {
+        const capWeights = marketCapWeights(symbols, blackLitterman.marketCaps);
+        blResult = {
+            prior: capWeights ? 'market-cap' : 'hrp',
+            priorWeights: capWeights || hrpWeights,
+            ...blackLittermanModel(covariance.matrix, {
+                ...blackLitterman,
+                symbols,
+                priorWeights: capWeights || hrpWeights,
+            }),
+        };
+    }
+
+    report('Efficient frontier', 0.7);
+
+    // Step 6g: Mean-variance efficient frontier (asset bounds only), with every allocation placed on it
+    const frontier = efficientFrontier(covariance.matrix, expectedReturns, {
+        riskFreeRate,
+        bounds: hasWeightConstraints(constraints) ? resolveWeightBounds(symbols, constraints) : {},
+    });
+    const placePortfolio = (name, weights) => ({
+        name,
+        ...portfolioPoint(weights, covariance.matrix, expectedReturns, { riskFreeRate }),
+    });
+
     // Step 7: Calculate risk contributions
     const hrpRiskContrib = riskContribution(hrpWeights, covariance.matrix);
 
     // Step 8: Build hierarchy for visualization
     const hierarchy = linkageToHierarchy(linkage, symbols);
 
-    // Step 9: Get dates from price data (use the aligned length, get from stock with most data)
-    const alignedLength = simpleReturnsMatrix.length;
-
-    // Find a stock with data length >= alignedLength
-    let dateSource = symbols[0];
-    for (const sym of symbols) {
-        if (priceData[sym]?.length >= alignedLength + 1) {
-            dateSource = sym;
-            break;
-        }
-    }
+    report('Finding risk buckets', 0.9);
 
-    // Get dates from the last 'alignedLength' days of data
-    const allDates = priceData[dateSource]?.map(p => p.date) || [];
-    const dates = allDates.slice(allDates.length - alignedLength - 1); // Include offset for returns calculation
+    // Step 9: Cut the dendrogram into named risk buckets. Gap references re-run the
+    // dependence / distance pipeline on time-shuffled returns (no denoising)
+    const clusterCount = optimalClusterCount(distanceMatrix, linkage, {
+        method: clusterSelection,
+        alignedReturns: alignedLogReturns,
+        distanceFn: reference => clusteringDistance(
+            calculateCorrelationMatrix(reference).matrix, reference, { correlationMethod, distance, tailQuantile }
+        ).distance,
+        linkageMethod,
+    });
+    const bucketCount = nClusters
+        ? Math.min(Math.max(Math.round(nClusters), 1), symbols.length)
+        : clusterCount.count;
+    const buckets = labelClusters(clustersForCount(linkage, symbols.length, bucketCount), symbols, {
+        sectors,
+        order: sortOrder,
+        weights: hrpWeights,
+        riskContribution: hrpRiskContrib,
+    });
 
     return {
         symbols,
         correlation: correlation.matrix,
         covariance: covariance.matrix,
+        covarianceEstimator: {
+            method: covariance.estimator,
+            shrinkage: covariance.shrinkage,
+            halfLife: covariance.halfLife ?? null,
+            effectiveObservations: covariance.effectiveObservations ?? alignedLogReturns.matrix.length,
+        },
+        denoising,
+        dependence: {
+            method: correlationMethod,
+            distance,
+            matrix: dependenceValues,
+        },
         distanceMatrix,
         linkage,
+        linkageMethod,
+        bisection,
+        constraints: constraintReport,
+        bootstrap: bootstrapResult,
+        herc: {
+            riskMeasure: herc.riskMeasure,
+            nClusters: herc.nClusters,
+            clusters: herc.clusters,
+        },
+        nco: {
+            objective: nco.objective,
+            nClusters: nco.nClusters,
+            clusters: nco.clusters,
+        },
         sortOrder,
         hierarchy,
+        clusters: {
+            method: nClusters ? 'fixed' : clusterCount.method,
+            count: bucketCount,
+            scores: clusterCount.scores,
+            assignments: buckets.assignments,
+            groups: buckets.groups,
+        },
         weights: {
             hrp: formatWeights(hrpWeights, symbols),
             equalWeight: formatWeights(eqWeights, symbols),
             inverseVol: formatWeights(ivWeights, symbols),
+            herc: formatWeights(herc.weights, symbols),
+            nco: formatWeights(nco.weights, symbols),
+            riskBudget: formatWeights(budgeted.weights, symbols),
+            ...(blResult && { blackLitterman: formatWeights(blResult.weights, symbols) }),
+            hrpClassic: formatWeights(classicWeights, symbols),
+            hrpTree: formatWeights(treeWeights, symbols),
         },
         rawWeights: {
             hrp: hrpWeights,
             equalWeight: eqWeights,
             inverseVol: ivWeights,
+            herc: herc.weights,
+            nco: nco.weights,
+            riskBudget: budgeted.weights,
+            ...(blResult && { blackLitterman: blResult.weights }),
+            hrpClassic: classicWeights,
+            hrpTree: treeWeights,
+        },
+        riskBudget: {
+            name: isRiskParity ? 'Risk Parity' : 'Risk Budget',
+            targets: riskBudgets,
+            realized: riskContribution(budgeted.weights, covariance.matrix),
+            converged: budgeted.converged,
+            iterations: budgeted.iterations,
+        },
+        blackLitterman: blResult && {
+            prior: blResult.prior,
+            priorWeights: blResult.priorWeights,
+            impliedReturns: blResult.impliedReturns,
+            posteriorReturns: blResult.posteriorReturns,
+            views: blResult.views,
+            tau: blResult.tau,
+            riskAversion: blResult.riskAversion,
+        },
+        frontier: {
+            points: frontier.frontier.map(p => ({ return: p.return, volatility: p.volatility, sharpe: p.sharpe })),
+            minVariance: frontier.minVariance,
+            maxSharpe: frontier.maxSharpe,
+            portfolios: [
+                placePortfolio('HRP', hrpWeights),
+                placePortfolio('Equal Weight', eqWeights),
+                placePortfolio('Inverse Volatility', ivWeights),
+                placePortfolio(isRiskParity ? 'Risk Parity' : 'Risk Budget', budgeted.weights),
+            ],
+            assets: symbols.map((symbol, i) => placePortfolio(
+                symbol, symbols.map((_, j) => (i === j ? 1 : 0))
+            )),
+            riskFreeRate,
         },
         riskContribution: hrpRiskContrib.map((rc, i) => ({
             symbol: symbols[i],
@@ -116,18 +411,34 @@ export function runHRP(priceData) {
         })),
         // Use SIMPLE returns for backtest (correct for cumulative return calculation)
         returnsMatrix: simpleReturnsMatrix,
-        dates: dates.slice(1), // Skip first date (no return for first day)
+        dates, // Trading date of each aligned return row
+        dataQuality: {
+            join: alignedLogReturns.join,
+            gaps: alignedLogReturns.gaps,
+            symbols: alignedLogReturns.quality,
+            excludedSymbols: alignedLogReturns.excludedSymbols,
+        },
     };
 }
 
 /**
  * Run backtest comparison
  * @param {Object} hrpResult - Result from runHRP
- * @param {number[]} niftyReturns - Optional NIFTY 50 index daily returns
- * @returns {Object} - Backtest comparison
+ * @param {(number|null)[]} benchmarkReturns - Optional benchmark index daily returns on the HRP dates
+ *   (null on dates the benchmark is missing)
+ * @param {Object} [options]
+ * @param {Object} [options.costModel] - Trading cost model for the portfolio strategies
+ *   (see runBacktest); the benchmark is always gross
+ * @param {string} [options.mode='daily'] - Rebalancing mode for the portfolio strategies
+ *   (daily, buy-and-hold, monthly, quarterly)
+ * @param {string} [options.benchmark='NIFTY 50'] - Benchmark name
+ * @param {number} [options.riskFreeRate=0.02] - Annual risk-free rate for Jensen's alpha
+ * @returns {Object} - Backtest comparison; with a benchmark every backtest carries relative
+ *   metrics (beta, alpha, tracking error, ...); modeComparison holds HRP under every mode
  */
-export function runBacktestComparison(hrpResult, niftyReturns = null) {
-    const { rawWeights, returnsMatrix, dates, symbols } = hrpResult;
+export function runBacktestComparison(hrpResult, benchmarkReturns = null, options = {}) {
+    const { rawWeights, returnsMatrix, dates, symbols, bisection = 'classic' } = hrpResult;
+    const { costModel = null, mode = 'daily', benchmark = 'NIFTY 50', riskFreeRate = 0.02 } = options;
 
     // Run backtests with SIMPLE returns (correct for cumulative formula)
     const hrpBacktest = runBacktest({
@@ -135,6 +446,8 @@ export function runBacktestComparison(hrpResult, niftyReturns = null) {
         returnsMatrix,
         dates,
         name: 'HRP',
+        mode,
+        costModel,
     });
 
     const eqBacktest = runBacktest({
@@ -142,6 +455,8 @@ export function runBacktestComparison(hrpResult, niftyReturns = null) {
         returnsMatrix,
         dates,
         name: 'Equal Weight',
+        mode,
+        costModel,
     });
 
     const ivBacktest = runBacktest({
@@ -149,30 +464,117 @@ export function runBacktestComparison(hrpResult, niftyReturns = null) {
         returnsMatrix,
         dates,
         name: 'Inverse Volatility',
+        mode,
+        costModel,
     });
 
     const backtests = [hrpBacktest, eqBacktest, ivBacktest];
 
-    // Add NIFTY 50 benchmark if returns available
-    if (niftyReturns && niftyReturns.length > 0) {
-        // NIFTY 50 is a single-asset "strategy" with 100% weight
-        const niftyBacktest = runBacktest({
+    if (rawWeights.herc) {
+        backtests.push(runBacktest({
+            weights: rawWeights.herc,
+            returnsMatrix,
+            dates,
+            name: 'HERC',
+            mode,
+            costModel,
+        }));
+    }
+
+    if (rawWeights.nco) {
+        backtests.push(runBacktest({
+            weights: rawWeights.nco,
+            returnsMatrix,
+            dates,
+            name: 'NCO',
+            mode,
+            costModel,
+        }));
+    }
+
+    if (rawWeights.riskBudget) {
+        backtests.push(runBacktest({
+            weights: rawWeights.riskBudget,
+            returnsMatrix,
+            dates,
+            name: hrpResult.riskBudget?.name || 'Risk Parity',
+            mode,
+            costModel,
+        }));
+    }
+
+    if (rawWeights.blackLitterman) {
+        backtests.push(runBacktest({
+            weights: rawWeights.blackLitterman,
+            returnsMatrix,
+            dates,
+            name: 'Black-Litterman',
+            mode,
+            costModel,
+        }));
+    }
+
+    // Show the other bisection variant alongside for comparison
+    const altBisection = bisection === 'tree' ? 'classic' : 'tree';
+    const altKey = altBisection === 'tree' ? 'hrpTree' : 'hrpClassic';
+    if (rawWeights[altKey]) {
+        backtests.push(runBacktest({
+            weights: rawWeights[altKey],
+            returnsMatrix,
+            dates,
+            name: BISECTION_LABELS[altBisection],
+            mode,
+            costModel,
+        }));
+    }
+
+    // Add the benchmark if returns available, and measure every strategy against it
+    if (benchmarkReturns && benchmarkReturns.length > 0) {
+        // The benchmark is a single-asset "strategy" with 100% weight; its curve stays flat on
+        // days it has no data, which the relative metrics leave out
+        const benchmarkBacktest = runBacktest({
             weights: [1],
-            returnsMatrix: niftyReturns.map(r => [r]),  // Convert to matrix format
-            dates: dates.slice(0, niftyReturns.length),
-            name: 'NIFTY 50',
+            returnsMatrix: benchmarkReturns.map(r => [r ?? 0]),  // Convert to matrix format
+            dates: dates.slice(0, benchmarkReturns.length),
+            name: benchmark,
         });
-        backtests.push(niftyBacktest);
+        backtests.push(benchmarkBacktest);
+        addRelativeMetrics(backtests, benchmarkBacktest, riskFreeRate, benchmarkReturns);
     }
 
+    // Same HRP weights under every rebalancing mode, to show what daily rebalancing assumes
+    const modeComparison = BACKTEST_MODES.map(m => runBacktest({
+        weights: rawWeights.hrp,
+        returnsMatrix,
+        dates,
+        name: `HRP (${BACKTEST_MODE_LABELS[m]})`,
+        mode: m,
+        costModel,
+    }));
+
     return {
         backtests,
         comparison: compareStrategies(backtests),
+        mode,
+        modeComparison,
     };
 }
 
 // Re-export all modules
 export * from './correlation.js';
+export * from './estimators.js';
+export * from './denoise.js';
+export * from './linalg.js';
 export * from './clustering.js';
 export * from './weights.js';
+export * from './constraints.js';
+export * from './herc.js';
+export * from './nco.js';
+export * from './optimizer.js';
+export * from './riskBudget.js';
+export * from './blackLitterman.js';
 export * from './backtest.js';
+export * from './walkForward.js';
+export * from './bootstrap.js';
+export * from './dependence.js';
+export * from './clusterCount.js';
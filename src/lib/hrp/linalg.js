@@ -0,0 +1,101 @@
+/**
+ * HRP Linear Algebra Module
+ * Small dense-matrix helpers used by the estimators and optimizers
+ */
+
+/**
+ * Eigen-decomposition of a real symmetric matrix (cyclic Jacobi rotations)
+ * @param {number[][]} matrix - Symmetric matrix
+ * @param {Object} [options]
+ * @param {number} [options.maxSweeps=100]
+ * @param {number} [options.tolerance=1e-12] - Stop when off-diagonal norm falls below this
+ * @returns {{ values: number[], vectors: number[][] }} - Eigenvalues sorted descending,
+ *   vectors[k] is the unit eigenvector for values[k]
+ */
+export function symmetricEigen(matrix, { maxSweeps = 100, tolerance = 1e-12 } = {}) {
+    const n = matrix.length;
+    if (n === 0) return { values: [], vectors: [] };
+
+    const a = matrix.map(row => [...row]);
+    // v holds eigenvectors as columns
+    const v = Array.from({ length: n }, (_, i) =>
+        Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+    );
+
+    for (let sweep = 0; sweep < maxSweeps; sweep++) {
+        let offDiag = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                offDiag += a[p][q] * a[p][q];
+            }
+        }
+        if (offDiag < tolerance) break;
+
+        for (let p = 0; p < n - 1; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(a[p][q]) < 1e-300) continue;
+
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    const order = Array.from({ length: n }, (_, i) => i)
+        .sort((x, y) => a[y][y] - a[x][x]);
+
+    return {
+        values: order.map(i => a[i][i]),
+        vectors: order.map(i => v.map(row => row[i])),
+    };
+}
+
+/**
+ * Rebuild a symmetric matrix from eigenvalues and eigenvectors: V diag(values) V'
+ * @param {number[]} values
+ * @param {number[][]} vectors - vectors[k] pairs with values[k]
+ * @param {number} [n] - Matrix size (defaults to eigenvector length)
+ * @returns {number[][]}
+ */
+export function fromEigen(values, vectors, n = vectors[0]?.length ?? 0) {
+    const out = Array.from({ length: n }, () => Array(n).fill(0));
+
+    values.forEach((lambda, k) => {
+        const vec = vectors[k];
+        for (let i = 0; i < n; i++) {
+            const vi = lambda * vec[i];
+            for (let j = i; j < n; j++) {
+                out[i][j] += vi * vec[j];
+            }
+        }
+    });
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < i; j++) {
+            out[i][j] = out[j][i];
+        }
+    }
+
+    return out;
+}
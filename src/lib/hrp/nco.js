@@ -0,0 +1,113 @@
+/**
+ * NCO Allocation Module
+ * Nested Clustered Optimization (Lopez de Prado, 2019): optimise inside each
+ * correlation cluster, collapse every cluster into one synthetic asset, then
+ * optimise across those cluster portfolios
+ */
+
+import { largestGapClusterCount, clustersForCount } from './herc.js';
+import { minVariancePortfolio, maxSharpePortfolio } from './optimizer.js';
+
+/**
+ * Supported NCO objectives
+ * @type {string[]}
+ */
+export const NCO_OBJECTIVES = ['min-variance', 'max-sharpe'];
+
+/**
+ * Optimal weights for one (sub)problem under the chosen objective
+ * @param {number[][]} cov
+ * @param {number[]} mu
+ * @param {string} objective
+ * @param {number} riskFreeRate
+ * @returns {number[]}
+ */
+function optimize(cov, mu, objective, riskFreeRate) {
+    return objective === 'max-sharpe'
+        ? maxSharpePortfolio(cov, mu, riskFreeRate)
+        : minVariancePortfolio(cov);
+}
+
+/**
+ * Nested Clustered Optimization weights
+ * @param {number[][]} covMatrix - Covariance matrix
+ * @param {Object[]} linkage - Linkage from hierarchicalCluster (defines the clusters)
+ * @param {Object} [options]
+ * @param {string} [options.objective='min-variance'] - min-variance or max-sharpe
+ * @param {number[]} [options.expectedReturns] - Per-period expected returns (required for max-sharpe)
+ * @param {number} [options.riskFreeRate=0] - Per-period risk-free rate
+ * @param {number} [options.nClusters] - Fixed cluster count (default: largest merge-height gap)
+ * @returns {Object} - { weights, nClusters, clusters, intraWeights, interWeights, objective }
+ */
+export function ncoWeights(covMatrix, linkage, options = {}) {
+    const {
+        objective = 'min-variance',
+        expectedReturns = null,
+        riskFreeRate = 0,
+        nClusters = null,
+    } = options;
+
+    if (!NCO_OBJECTIVES.includes(objective)) {
+        throw new Error(`Unknown NCO objective: ${objective}. Use one of ${NCO_OBJECTIVES.join(', ')}`);
+    }
+    if (objective === 'max-sharpe' && !expectedReturns) {
+        throw new Error('NCO max-sharpe objective needs expectedReturns');
+    }
+
+    const n = covMatrix.length;
+    if (n === 0) return { weights: [], nClusters: 0, clusters: [], intraWeights: [], interWeights: [], objective };
+
+    const mu = expectedReturns ?? Array(n).fill(0);
+    const k = linkage.length > 0 ? (nClusters ?? largestGapClusterCount(linkage, n)) : 1;
+    const clusters = linkage.length > 0 ? clustersForCount(linkage, n, k) : Array(n).fill(0);
+    const clusterCount = new Set(clusters).size;
+
+    const members = Array.from({ length: clusterCount }, () => []);
+    clusters.forEach((c, i) => members[c].push(i));
+
+    // Step 1: intra-cluster optimisation
+    const intraWeights = members.map(idx =>
+        optimize(
+            idx.map(i => idx.map(j => covMatrix[i][j])),
+            idx.map(i => mu[i]),
+            objective,
+            riskFreeRate
+        )
+    );
+
+    // Step 2: reduced covariance / returns of the cluster portfolios (W' Σ W, W' mu)
+    const reducedCov = members.map((idxA, a) =>
+        members.map((idxB, b) => {
+            let cov = 0;
+            idxA.forEach((i, p) => {
+                idxB.forEach((j, q) => {
+                    cov += intraWeights[a][p] * intraWeights[b][q] * covMatrix[i][j];
+                });
+            });
+            return cov;
+        })
+    );
+    const reducedMu = members.map((idx, a) =>
+        idx.reduce((sum, i, p) => sum + intraWeights[a][p] * mu[i], 0)
+    );
+
+    // Step 3: inter-cluster optimisation
+    const interWeights = optimize(reducedCov, reducedMu, objective, riskFreeRate);
+
+    // Step 4: final weights = intra × inter
+    const weights = Array(n).fill(0);
+    members.forEach((idx, a) => {
+        idx.forEach((i, p) => { weights[i] = intraWeights[a][p] * interWeights[a]; });
+    });
+
+    const sum = weights.reduce((s, w) => s + w, 0);
+
+    return {
+        weights: sum > 0 ? weights.map(w => w / sum) : Array(n).fill(1 / n),
+        nClusters: clusterCount,
+        clusters,
+        intraWeights,
+        interWeights,
+        objective,
+    };
+}
@@ -0,0 +1,457 @@
+/**
+ * Portfolio Optimizer Module
+ * Active-set solver for small dense quadratic programs with one linear
+ * equality constraint and box bounds, plus the standard long-only portfolios
+ * built on it (global minimum variance, maximum Sharpe, target return) and
+ * the efficient frontier
+ */
+
+/**
+ * Gaussian elimination with partial pivoting on a row-major augmented Float64Array
+ * [A | rhs] (n rows of n + 1 entries), overwritten in place
+ * @param {Float64Array} m
+ * @param {number} n
+ * @returns {Float64Array|null} - Solution, or null if the system is singular
+ */
+function solveAugmented(m, n) {
+    const stride = n + 1;
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(m[r * stride + col]) > Math.abs(m[pivot * stride + col])) pivot = r;
+        }
+        if (Math.abs(m[pivot * stride + col]) < 1e-14) return null;
+        if (pivot !== col) {
+            for (let c = col; c <= n; c++) {
+                const tmp = m[col * stride + c];
+                m[col * stride + c] = m[pivot * stride + c];
+                m[pivot * stride + c] = tmp;
+            }
+        }
+
+        const diag = m[col * stride + col];
+        for (let r = col + 1; r < n; r++) {
+            const factor = m[r * stride + col] / diag;
+            if (factor === 0) continue;
+            for (let c = col; c <= n; c++) {
+                m[r * stride + c] -= factor * m[col * stride + c];
+            }
+        }
+    }
+
+    const x = new Float64Array(n);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = m[r * stride + n];
+        for (let c = r + 1; c < n; c++) sum -= m[r * stride + c] * x[c];
+        x[r] = sum / m[r * stride + r];
+    }
+    return x;
+}
+
+/**
+ * Solve a dense linear system with Gaussian elimination (partial pivoting)
+ * @param {number[][]} A - Square matrix (not modified)
+ * @param {number[]} rhs
+ * @returns {number[]|null} - Solution, or null if the system is singular
+ */
+export function solveLinearSystem(A, rhs) {
+    const n = A.length;
+    const m = new Float64Array(n * (n + 1));
+    A.forEach((row, i) => {
+        m.set(row, i * (n + 1));
+        m[i * (n + 1) + n] = rhs[i];
+    });
+
+    const x = solveAugmented(m, n);
+    return x && Array.from(x);
+}
+
+/**
+ * Find a point with a'w = b inside the bounds (greedy fill from the lower bounds)
+ * Filling one variable at a time lands on a vertex, so the active set starts with few free
+ * variables and only frees what the optimum needs: the KKT systems stay the size of the
+ * solution's support instead of n
+ * @returns {number[]|null}
+ */
+function feasibleStart(a, b, lower, upper) {
+    const n = a.length;
+    const w = lower.map((lo, i) => Math.min(Math.max(0, lo), upper[i]));
+    let residual = b - w.reduce((sum, wi, i) => sum + a[i] * wi, 0);
+
+    for (let i = 0; i < n && Math.abs(residual) > 1e-12; i++) {
+        if (a[i] === 0) continue;
+        const clamped = Math.min(Math.max(w[i] + residual / a[i], lower[i]), upper[i]);
+        residual -= a[i] * (clamped - w[i]);
+        w[i] = clamped;
+    }
+
+    return Math.abs(residual) <= 1e-9 * Math.max(1, Math.abs(b)) ? w : null;
+}
+
+/**
+ * Minimise 0.5 w'Qw + c'w subject to a'w = b and lower <= w <= upper
+ * Primal active-set method; Q must be positive semi-definite (a small ridge is added)
+ * @param {Object} problem
+ * @param {number[][]} problem.Q
+ * @param {number[]} [problem.c] - Linear term (default zeros)
+ * @param {number[]} [problem.a] - Equality constraint coefficients (default ones)
+ * @param {number} [problem.b=1]
+ * @param {number[]} [problem.lower] - Default zeros (long-only)
+ * @param {number[]} [problem.upper] - Default +Infinity
+ * @param {number} [problem.maxIterations]
+ * @param {number[]} [problem.start] - Feasible starting point (warm start), e.g. a nearby solution
+ * @returns {{ weights: number[], iterations: number, converged: boolean }}
+ */
+export function solveQP({
+    Q,
+    c = null,
+    a = null,
+    b = 1,
+    lower = null,
+    upper = null,
+    maxIterations = null,
+    start = null,
+}) {
+    const n = Q.length;
+    if (n === 0) return { weights: [], iterations: 0, converged: true };
+
+    const lin = c ?? Array(n).fill(0);
+    const eq = a ?? Array(n).fill(1);
+    const lo = lower ?? Array(n).fill(0);
+    const hi = upper ?? Array(n).fill(Infinity);
+
+    if (lo.some((l, i) => l > hi[i])) {
+        throw new Error('Infeasible bounds: a lower bound exceeds its upper bound');
+    }
+
+    const isFeasible = x => x.length === n
+        && x.every((xi, i) => xi >= lo[i] && xi <= hi[i])
+        && Math.abs(x.reduce((sum, xi, i) => sum + eq[i] * xi, 0) - b) <= 1e-9 * Math.max(1, Math.abs(b));
+    const w = start && isFeasible(start) ? [...start] : feasibleStart(eq, b, lo, hi);
+    if (!w) {
+        throw new Error('Infeasible constraints: bounds cannot satisfy the equality constraint');
+    }
+
+    // Small ridge keeps the reduced KKT systems non-singular for near-singular covariances.
+    // H is packed row-major into a Float64Array
+    const trace = Q.reduce((sum, row, i) => sum + row[i], 0);
+    const ridge = Math.max(trace / n, 1e-12) * 1e-10;
+    const H = new Float64Array(n * n);
+    Q.forEach((row, i) => {
+        H.set(row, i * n);
+        H[i * n + i] += ridge;
+    });
+
+    // Gradient H w + c, kept up to date as w moves (O(n m) per step instead of O(n²))
+    const grad = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        let sum = lin[i];
+        for (let j = 0; j < n; j++) sum += H[i * n + j] * w[j];
+        grad[i] = sum;
+    }
+    const moveBy = (i, delta) => {
+        if (delta === 0) return;
+        w[i] += delta;
+        for (let k = 0; k < n; k++) grad[k] += H[k * n + i] * delta;
+    };
+
+    // Working set: -1 = fixed at lower, +1 = fixed at upper, 0 = free
+    const state = w.map((wi, i) => {
+        if (wi <= lo[i] + 1e-15) return -1;
+        if (wi >= hi[i] - 1e-15) return 1;
+        return 0;
+    });
+
+    // Need at least one free variable touching the equality constraint
+    if (!state.some((s, i) => s === 0 && eq[i] !== 0)) {
+        const i = eq.findIndex(v => v !== 0);
+        if (i >= 0) state[i] = 0;
+    }
+
+    const limit = maxIterations ?? 50 * n + 100;
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations++ < limit) {
+        const free = [];
+        for (let i = 0; i < n; i++) if (state[i] === 0) free.push(i);
+
+        // Equality-constrained step on the free variables
+        // KKT system [H_ff -a_f; a_f' 0] [p; nu] = [-g_f; 0], packed with its right-hand side
+        const m = free.length;
+        const stride = m + 2;
+        const kkt = new Float64Array((m + 1) * stride);
+        free.forEach((i, r) => {
+            const offset = r * stride;
+            free.forEach((j, s) => { kkt[offset + s] = H[i * n + j]; });
+            kkt[offset + m] = -eq[i];
+            kkt[m * stride + r] = eq[i];
+            kkt[offset + m + 1] = -grad[i];
+        });
+
+        const sol = solveAugmented(kkt, m + 1);
+        if (!sol) break;
+
+        const step = sol.slice(0, m);
+        const nu = sol[m];
+        const stepNorm = Math.sqrt(step.reduce((sum, p) => sum + p * p, 0));
+
+        if (stepNorm < 1e-12) {
+            // Check multipliers of the fixed variables and release the worst violator
+            let worst = -1;
+            let worstViolation = -1e-12;
+            for (let i = 0; i < n; i++) {
+                if (state[i] === 0) continue;
+                const multiplier = state[i] < 0 ? grad[i] - nu * eq[i] : nu * eq[i] - grad[i];
+                if (multiplier < worstViolation) {
+                    worstViolation = multiplier;
+                    worst = i;
+                }
+            }
+            if (worst === -1) {
+                converged = true;
+                break;
+            }
+            state[worst] = 0;
+            continue;
+        }
+
+        // Longest feasible step along the direction, blocking at the first bound hit
+        let alpha = 1;
+        let blocking = -1;
+        let blockingSide = 0;
+        free.forEach((i, r) => {
+            const p = step[r];
+            if (p < -1e-15 && Number.isFinite(lo[i])) {
+                const t = (lo[i] - w[i]) / p;
+                if (t < alpha) { alpha = t; blocking = i; blockingSide = -1; }
+            } else if (p > 1e-15 && Number.isFinite(hi[i])) {
+                const t = (hi[i] - w[i]) / p;
+                if (t < alpha) { alpha = t; blocking = i; blockingSide = 1; }
+            }
+        });
+
+        alpha = Math.max(0, alpha);
+        free.forEach((i, r) => moveBy(i, alpha * step[r]));
+
+        if (blocking >= 0) {
+            moveBy(blocking, (blockingSide < 0 ? lo[blocking] : hi[blocking]) - w[blocking]);
+            state[blocking] = blockingSide;
+        }
+    }
+
+    return {
+        weights: w.map((wi, i) => Math.min(Math.max(wi, lo[i]), hi[i])),
+        iterations,
+        converged,
+    };
+}
+
+/**
+ * Long-only global minimum variance portfolio
+ * @param {number[][]} covMatrix
+ * @param {Object} [bounds] - { lower: number[], upper: number[] }
+ * @returns {number[]}
+ */
+export function minVariancePortfolio(covMatrix, bounds = {}) {
+    const n = covMatrix.length;
+    if (n === 0) return [];
+    if (n === 1) return [1];
+
+    return solveQP({ Q: covMatrix, lower: bounds.lower, upper: bounds.upper }).weights;
+}
+
+/**
+ * Long-only maximum Sharpe (tangency) portfolio
+ * Solves min y'Σy s.t. (mu - rf)'y = 1, y >= 0 and rescales w = y / sum(y).
+ * Falls back to minimum variance when no asset beats the risk-free rate.
+ * @param {number[][]} covMatrix
+ * @param {number[]} expectedReturns - Per-period expected returns
+ * @param {number} [riskFreeRate=0] - Per-period risk-free rate
+ * @returns {number[]}
+ */
+export function maxSharpePortfolio(covMatrix, expectedReturns, riskFreeRate = 0) {
+    const n = covMatrix.length;
+    if (n === 0) return [];
+    if (n === 1) return [1];
+
+    const excess = expectedReturns.map(mu => mu - riskFreeRate);
+    if (!excess.some(e => e > 0)) {
+        return minVariancePortfolio(covMatrix);
+    }
+
+    const { weights: y } = solveQP({ Q: covMatrix, a: excess, b: 1 });
+    const sum = y.reduce((s, v) => s + v, 0);
+    if (!(sum > 0)) return minVariancePortfolio(covMatrix);
+
+    return y.map(v => v / sum);
+}
+
+/**
+ * Mean-variance portfolio for a given risk aversion trade-off
+ * Solves min 0.5 w'Σw - lambda mu'w s.t. sum(w) = 1 and the bounds; lambda = 0 is minimum variance
+ * @param {number[][]} covMatrix
+ * @param {number[]} expectedReturns
+ * @param {number} lambda
+ * @param {Object} bounds - { lower, upper }
+ * @param {number[]} [start] - Warm start (a solution for a nearby lambda)
+ * @returns {number[]}
+ */
+function meanVariancePortfolio(covMatrix, expectedReturns, lambda, bounds, start = null) {
+    return solveQP({
+        Q: covMatrix,
+        c: expectedReturns.map(mu => -lambda * mu),
+        lower: bounds.lower,
+        upper: bounds.upper,
+        start,
+    }).weights;
+}
+
+/**
+ * Highest expected return reachable within the bounds (fill the best assets first)
+ * @param {number[]} expectedReturns
+ * @param {Object} bounds - { lower, upper }
+ * @returns {number}
+ */
+function maxAttainableReturn(expectedReturns, bounds) {
+    const n = expectedReturns.length;
+    const lower = bounds.lower ?? Array(n).fill(0);
+    const upper = bounds.upper ?? Array(n).fill(1);
+    const w = [...lower];
+    let remaining = 1 - w.reduce((a, b) => a + b, 0);
+
+    [...expectedReturns.keys()]
+        .sort((a, b) => expectedReturns[b] - expectedReturns[a])
+        .forEach(i => {
+            const add = Math.min(remaining, upper[i] - w[i]);
+            w[i] += add;
+            remaining -= add;
+        });
+
+    return w.reduce((sum, wi, i) => sum + wi * expectedReturns[i], 0);
+}
+
+/**
+ * Long-only minimum variance portfolio with a required expected return
+ * The mean-variance solution's return grows with lambda, so lambda is bisected until the
+ * portfolio's expected return matches the target. Targets below the minimum variance
+ * return give the minimum variance portfolio; targets above the attainable maximum give
+ * the highest-return portfolio.
+ * @param {number[][]} covMatrix
+ * @param {number[]} expectedReturns - Per-period expected returns
+ * @param {number} targetReturn - Per-period target return
+ * @param {Object} [bounds] - { lower: number[], upper: number[] }
+ * @param {number} [tolerance=1e-8] - Acceptable return shortfall
+ * @returns {number[]}
+ */
+export function targetReturnPortfolio(covMatrix, expectedReturns, targetReturn, bounds = {}, tolerance = 1e-8) {
+    const n = covMatrix.length;
+    if (n === 0) return [];
+    if (n === 1) return [1];
+
+    const portfolioReturn = w => w.reduce((sum, wi, i) => sum + wi * expectedReturns[i], 0);
+
+    const minVariance = meanVariancePortfolio(covMatrix, expectedReturns, 0, bounds);
+    if (portfolioReturn(minVariance) >= targetReturn - tolerance) return minVariance;
+
+    const target = Math.min(targetReturn, maxAttainableReturn(expectedReturns, bounds));
+
+    // Bracket the target: double lambda until the portfolio reaches it
+    const scale = covMatrix.reduce((sum, row, i) => sum + row[i], 0) / n;
+    const spread = Math.max(...expectedReturns) - Math.min(...expectedReturns) || 1;
+    let low = 0;
+    let high = scale / spread;
+    let highWeights = meanVariancePortfolio(covMatrix, expectedReturns, high, bounds, minVariance);
+    for (let k = 0; k < 60 && portfolioReturn(highWeights) < target - tolerance; k++) {
+        low = high;
+        high *= 2;
+        highWeights = meanVariancePortfolio(covMatrix, expectedReturns, high, bounds, highWeights);
+    }
+    if (portfolioReturn(highWeights) < target - tolerance) return highWeights;
+
+    for (let k = 0; k < 60 && high - low > 1e-12 * high; k++) {
+        const mid = (low + high) / 2;
+        const w = meanVariancePortfolio(covMatrix, expectedReturns, mid, bounds, highWeights);
+        if (portfolioReturn(w) < target - tolerance) {
+            low = mid;
+        } else {
+            high = mid;
+            highWeights = w;
+            if (portfolioReturn(w) - target <= tolerance) break;
+        }
+    }
+
+    return highWeights;
+}
+
+/**
+ * Expected return, volatility and Sharpe ratio of a portfolio
+ * @param {number[]} weights
+ * @param {number[][]} covMatrix
+ * @param {number[]} expectedReturns - Per-period expected returns
+ * @param {Object} [options]
+ * @param {number} [options.riskFreeRate=0] - Annual risk-free rate
+ * @param {number} [options.periodsPerYear=252] - Annualisation factor
+ * @returns {{ return: number, volatility: number, sharpe: number }} - Annualised
+ */
+export function portfolioPoint(weights, covMatrix, expectedReturns, options = {}) {
+    const { riskFreeRate = 0, periodsPerYear = 252 } = options;
+    let variance = 0;
+    weights.forEach((wi, i) => {
+        weights.forEach((wj, j) => { variance += wi * wj * covMatrix[i][j]; });
+    });
+
+    const annualReturn = weights.reduce((sum, w, i) => sum + w * expectedReturns[i], 0) * periodsPerYear;
+    const volatility = Math.sqrt(Math.max(variance, 0) * periodsPerYear);
+
+    return {
+        return: annualReturn,
+        volatility,
+        sharpe: volatility > 0 ? (annualReturn - riskFreeRate) / volatility : 0,
+    };
+}
+
+/**
+ * Long-only efficient frontier
+ * Target returns are spaced evenly from the minimum variance portfolio's return up to the
+ * highest attainable return; each point is the minimum variance portfolio for its target.
+ * @param {number[][]} covMatrix
+ * @param {number[]} expectedReturns - Per-period expected returns
+ * @param {Object} [options]
+ * @param {number} [options.points=25] - Number of frontier portfolios
+ * @param {number} [options.riskFreeRate=0] - Annual risk-free rate (for Sharpe ratios)
+ * @param {number} [options.periodsPerYear=252]
+ * @param {Object} [options.bounds] - { lower, upper } per-asset weight bounds
+ * @returns {Object} - { frontier, minVariance, maxSharpe } where every portfolio is
+ *   { weights, return, volatility, sharpe } (annualised). With bounds, maxSharpe is the
+ *   frontier portfolio with the best Sharpe ratio (the tangency rescaling ignores bounds).
+ */
+export function efficientFrontier(covMatrix, expectedReturns, options = {}) {
+    const { points = 25, riskFreeRate = 0, periodsPerYear = 252, bounds = {} } = options;
+    const describe = weights => ({
+        weights,
+        ...portfolioPoint(weights, covMatrix, expectedReturns, { riskFreeRate, periodsPerYear }),
+    });
+
+    const minVariance = describe(minVariancePortfolio(covMatrix, bounds));
+    const bounded = Boolean(bounds.lower || bounds.upper);
+
+    const lowReturn = minVariance.return / periodsPerYear;
+    const highReturn = maxAttainableReturn(expectedReturns, bounds);
+    const steps = Math.max(points - 1, 1);
+
+    const frontier = [minVariance];
+    if (highReturn > lowReturn) {
+        for (let k = 1; k <= steps; k++) {
+            const target = lowReturn + (highReturn - lowReturn) * (k / steps);
+            frontier.push(describe(targetReturnPortfolio(covMatrix, expectedReturns, target, bounds)));
+        }
+    }
+
+    const maxSharpe = bounded
+        ? frontier.reduce((best, p) => (p.sharpe > best.sharpe ? p : best))
+        : describe(maxSharpePortfolio(covMatrix, expectedReturns, riskFreeRate / periodsPerYear));
+
+    return { frontier, minVariance, maxSharpe };
+}
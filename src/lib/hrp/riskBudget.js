@@ -0,0 +1,142 @@
+/**
+ * Risk Budgeting Module
+ * Long-only portfolios whose assets contribute a chosen share of total risk
+ * (equal risk contribution / risk parity when every budget is equal).
+ * Solved with cyclical coordinate descent (Griveau-Billion, Richard & Roncalli, 2013).
+ */
+
+const TOLERANCE = 1e-9;
+
+/**
+ * Per-asset risk budgets from a budget spec
+ * Sector budgets are split equally between the sector's assets (or in proportion to
+ * their asset budgets when given); assets without a budget share what is left equally.
+ * @param {string[]} symbols
+ * @param {Object} [spec]
+ * @param {Object} [spec.assetBudgets] - { [symbol]: share of risk }
+ * @param {Object} [spec.sectorBudgets] - { [sector]: share of risk }
+ * @param {Object} [spec.sectors] - { [symbol]: sector } (required with sectorBudgets)
+ * @returns {number[]} - Budgets aligned with symbols, summing to 1
+ */
+export function resolveRiskBudgets(symbols, spec = {}) {
+    const { assetBudgets = {}, sectorBudgets = {}, sectors = {} } = spec;
+    const n = symbols.length;
+
+    symbols.forEach(s => {
+        if (assetBudgets[s] !== undefined && !(assetBudgets[s] >= 0)) {
+            throw new Error(`Invalid risk budget for ${s}: ${assetBudgets[s]}`);
+        }
+    });
+
+    const budgets = Array(n).fill(null);
+
+    if (Object.keys(sectorBudgets).length > 0) {
+        const sectorOf = symbols.map(s => sectors[s] || 'Other');
+        Object.entries(sectorBudgets).forEach(([sector, budget]) => {
+            if (!(budget >= 0)) {
+                throw new Error(`Invalid risk budget for sector ${sector}: ${budget}`);
+            }
+            const members = symbols.map((_, i) => i).filter(i => sectorOf[i] === sector);
+            if (members.length === 0) return;
+
+            const raw = members.map(i => assetBudgets[symbols[i]] ?? 1);
+            const total = raw.reduce((a, b) => a + b, 0);
+            members.forEach((i, k) => {
+                budgets[i] = total > 0 ? budget * raw[k] / total : budget / members.length;
+            });
+        });
+    } else {
+        symbols.forEach((s, i) => {
+            if (assetBudgets[s] !== undefined) budgets[i] = assetBudgets[s];
+        });
+    }
+
+    const assigned = budgets.reduce((sum, b) => sum + (b ?? 0), 0);
+    const unassigned = budgets.filter(b => b === null).length;
+    if (assigned > 1 + TOLERANCE) {
+        throw new Error(`Risk budgets add up to ${(assigned * 100).toFixed(1)}%, more than 100%`);
+    }
+
+    // Spread the remainder over assets without a budget, or rescale if every asset has one
+    const share = unassigned > 0 ? (1 - assigned) / unassigned : 0;
+    const filled = budgets.map(b => b ?? share);
+    const total = filled.reduce((a, b) => a + b, 0);
+    if (!(total > 0)) {
+        throw new Error('Risk budgets must give at least one asset a positive share');
+    }
+
+    return filled.map(b => b / total);
+}
+
+/**
+ * Long-only risk budgeting weights
+ * Finds w with w_i (Σw)_i / w'Σw = budget_i for every asset; assets with a zero
+ * budget get zero weight
+ * @param {number[][]} covMatrix
+ * @param {number[]} [budgets] - Risk budgets summing to 1 (default: equal risk contribution)
+ * @param {Object} [options]
+ * @param {number} [options.maxIterations=1000] - Coordinate descent sweeps
+ * @param {number} [options.tolerance=1e-10] - Stop when no weight moves more than this
+ * @returns {{ weights: number[], iterations: number, converged: boolean }}
+ */
+export function riskBudgetWeights(covMatrix, budgets = null, options = {}) {
+    const { maxIterations = 1000, tolerance = 1e-10 } = options;
+    const n = covMatrix.length;
+    if (n === 0) return { weights: [], iterations: 0, converged: true };
+
+    const b = budgets ?? Array(n).fill(1 / n);
+    if (b.length !== n) {
+        throw new Error(`Expected ${n} risk budgets, got ${b.length}`);
+    }
+
+    // Start from inverse volatility scaled by the budgets
+    const x = covMatrix.map((row, i) => b[i] / Math.sqrt(Math.max(row[i], 1e-16)));
+    const sigmaX = covMatrix.map(row => row.reduce((sum, c, j) => sum + c * x[j], 0));
+    let variance = x.reduce((sum, xi, i) => sum + xi * sigmaX[i], 0);
+
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations++ < maxIterations) {
+        let maxChange = 0;
+
+        for (let i = 0; i < n; i++) {
+            const cii = Math.max(covMatrix[i][i], 1e-16);
+            const others = sigmaX[i] - cii * x[i];
+            const vol = Math.sqrt(Math.max(variance, 1e-32));
+
+            // Positive root of cii x^2 + others x - b_i vol = 0
+            const next = (-others + Math.sqrt(others * others + 4 * cii * b[i] * vol)) / (2 * cii);
+            const delta = next - x[i];
+            if (delta === 0) continue;
+
+            // Keep Σx and x'Σx current without a full recompute
+            variance += delta * (2 * sigmaX[i] + cii * delta);
+            for (let k = 0; k < n; k++) sigmaX[k] += covMatrix[k][i] * delta;
+            x[i] = next;
+            maxChange = Math.max(maxChange, Math.abs(delta));
+        }
+
+        const scale = x.reduce((a, v) => a + v, 0);
+        if (maxChange <= tolerance * Math.max(scale, 1e-16)) {
+            converged = true;
+            break;
+        }
+    }
+
+    const sum = x.reduce((a, v) => a + v, 0);
+    return {
+        weights: x.map(v => v / sum),
+        iterations,
+        converged,
+    };
+}
+
+/**
+ * Equal risk contribution (risk parity) weights
+ * @param {number[][]} covMatrix
+ * @returns {number[]}
+ */
+export function equalRiskContributionWeights(covMatrix) {
+    return riskBudgetWeights(covMatrix).weights;
+}
@@ -0,0 +1,197 @@
+/**
+ * Walk-Forward Backtest Module
+ * Out-of-sample backtest: weights are re-estimated at each rebalance using only
+ * the trailing lookback window, then held (drifting with prices) until the next one
+ */
+
+import { inverseVolatilityWeights, equalWeights } from './weights.js';
+import { estimateHRP } from './bootstrap.js';
+import {
+    backtestFromReturns,
+    compareStrategies,
+    periodKey,
+    addRelativeMetrics,
+    DEFAULT_BACKTEST_CAPITAL,
+} from './backtest.js';
+import { estimateRebalancingCost } from '../analytics/tradingCosts.js';
+
+/**
+ * Supported rebalance schedules
+ * @type {string[]}
+ */
+export const REBALANCE_FREQUENCIES = ['monthly', 'quarterly', 'threshold'];
+
+/**
+ * Estimate HRP, inverse-volatility and equal weights from a window of log returns
+ * @param {Object} alignedLogReturns - { symbols: [], matrix: [[]] }
+ * @param {Object} [options] - linkage, correlationMethod, distance, covarianceEstimator, halfLife,
+ *   denoise, bisection, constraints (as in runHRP; see estimateHRP)
+ * @returns {{ hrp: number[], inverseVol: number[], equalWeight: number[] }}
+ */
+export function estimateStrategyWeights(alignedLogReturns, options = {}) {
+    const { weights, covariance } = estimateHRP(alignedLogReturns, options);
+
+    return {
+        hrp: weights,
+        inverseVol: inverseVolatilityWeights(covariance),
+        equalWeight: equalWeights(alignedLogReturns.symbols.length),
+    };
+}
+
+/**
+ * Run a walk-forward (out-of-sample) backtest of HRP vs inverse-vol vs equal weight
+ * @param {Object} data - { returnsMatrix, dates, symbols } (simple daily returns, e.g. from runHRP)
+ * @param {Object} [options]
+ * @param {number} [options.lookback=126] - Estimation window in trading days
+ * @param {string} [options.rebalance='monthly'] - monthly, quarterly or threshold
+ * @param {number} [options.threshold=0.05] - Max absolute weight drift before a threshold rebalance
+ * @param {string} [options.linkage] - Passed to estimateStrategyWeights
+ * @param {string} [options.correlationMethod] - Passed to estimateStrategyWeights
+ * @param {string} [options.distance] - Passed to estimateStrategyWeights
+ * @param {string} [options.covarianceEstimator] - Passed to estimateStrategyWeights
+ * @param {number} [options.halfLife] - Passed to estimateStrategyWeights
+ * @param {Object|null} [options.denoise] - Passed to estimateStrategyWeights
+ * @param {string} [options.bisection] - Passed to estimateStrategyWeights
+ * @param {Object|null} [options.constraints] - Passed to estimateStrategyWeights
+ * @param {Object} [options.costModel] - Charge trading costs at every rebalance:
+ *   { capital = ₹10 lakh, broker, exchange, slippage, liquidity: [] aligned with symbols }
+ * @param {(number|null)[]} [options.benchmarkReturns] - Benchmark daily returns aligned with dates
+ *   (null where missing); adds the benchmark over the out-of-sample period and relative metrics
+ *   against it
+ * @param {string} [options.benchmarkName='NIFTY 50']
+ * @param {number} [options.riskFreeRate=0.02] - Annual risk-free rate for Jensen's alpha
+ * @returns {Object} - { backtests, comparison, rebalanceDates, lookback, rebalance }
+ *   each backtest carries weightHistory: [{ date, weights, turnover, cost, traded }]; returns are
+ *   net of costs when a cost model is given (grossReturns and costs hold the rest)
+ */
+export function runWalkForwardBacktest({ returnsMatrix, dates, symbols }, options = {}) {
+    const {
+        lookback = 126,
+        rebalance = 'monthly',
+        threshold = 0.05,
+        costModel = null,
+        benchmarkReturns = null,
+        benchmarkName = 'NIFTY 50',
+        riskFreeRate = 0.02,
+    } = options;
+
+    if (!REBALANCE_FREQUENCIES.includes(rebalance)) {
+        throw new Error(`Unknown rebalance frequency: ${rebalance}. Use one of ${REBALANCE_FREQUENCIES.join(', ')}`);
+    }
+
+    const T = returnsMatrix.length;
+    const n = symbols.length;
+    if (T < lookback + 2) {
+        throw new Error(`Walk-forward needs more than ${lookback} trading days of history (have ${T})`);
+    }
+
+    const logMatrix = returnsMatrix.map(row => row.map(r => Math.log1p(r)));
+    const strategies = [
+        { key: 'hrp', name: 'HRP' },
+        { key: 'inverseVol', name: 'Inverse Volatility' },
+        { key: 'equalWeight', name: 'Equal Weight' },
+    ].map(s => ({ ...s, holdings: null, target: null, returns: [], grossReturns: [], weightHistory: [] }));
+    const capital = costModel ? (costModel.capital ?? DEFAULT_BACKTEST_CAPITAL) : 1;
+
+    const rebalanceDates = [];
+    let estimate = null;
+    let estimateDay = -1;
+
+    // Re-estimate from the trailing window only (rows t - lookback .. t - 1), once per day
+    const estimateAt = t => {
+        if (estimateDay !== t) {
+            estimate = estimateStrategyWeights(
+                { symbols, matrix: logMatrix.slice(t - lookback, t) },
+                options
+            );
+            estimateDay = t;
+            rebalanceDates.push(dates[t]);
+        }
+        return estimate;
+    };
+
+    for (let t = lookback; t < T; t++) {
+        const isCalendarRebalance = rebalance !== 'threshold' && (
+            t === lookback || periodKey(dates[t], rebalance) !== periodKey(dates[t - 1], rebalance)
+        );
+
+        if (isCalendarRebalance) estimateAt(t);
+
+        strategies.forEach(s => {
+            const total = s.holdings ? s.holdings.reduce((a, b) => a + b, 0) : capital;
+            const current = s.holdings ? s.holdings.map(v => v / total) : null;
+            let cost = 0;
+            let traded = 0;
+
+            let doRebalance = isCalendarRebalance || !s.holdings;
+            if (!doRebalance && rebalance === 'threshold') {
+                doRebalance = current.some((w, i) => Math.abs(w - s.target[i]) > threshold);
+            }
+
+            if (doRebalance) {
+                s.target = estimateAt(t)[s.key];
+                const turnover = current
+                    ? s.target.reduce((sum, w, i) => sum + Math.abs(w - current[i]), 0)
+                    : 1;
+                // Costs are paid out of the portfolio, so the traded target is slightly smaller
+                if (costModel) {
+                    ({ total: cost, turnover: traded } = estimateRebalancingCost(
+                        s.holdings || Array(n).fill(0),
+                        s.target.map(w => w * total),
+                        costModel
+                    ));
+                }
+                s.weightHistory.push({ date: dates[t], weights: s.target, turnover, cost, traded });
+                s.holdings = s.target.map(w => w * (total - cost));
+            }
+
+            // Drift holdings with today's returns
+            const before = s.holdings.reduce((a, b) => a + b, 0);
+            s.holdings = s.holdings.map((v, i) => v * (1 + returnsMatrix[t][i]));
+            const after = s.holdings.reduce((a, b) => a + b, 0);
+            s.returns.push(after / (before + cost) - 1);
+            s.grossReturns.push(after / before - 1);
+        });
+    }
+
+    const oosDates = dates.slice(lookback, T);
+    const backtests = strategies.map(s => ({
+        ...backtestFromReturns({
+            name: s.name,
+            returns: s.returns,
+            dates: oosDates,
+            weights: s.target,
+            ...(costModel && {
+                grossReturns: s.grossReturns,
+                costs: {
+                    totalCost: s.weightHistory.reduce((sum, h) => sum + h.cost, 0),
+                    turnover: s.weightHistory.reduce((sum, h) => sum + h.traded, 0),
+                    capital,
+                },
+            }),
+        }),
+        weightHistory: s.weightHistory,
+        totalTurnover: s.weightHistory.slice(1).reduce((sum, h) => sum + h.turnover, 0),
+    }));
+
+    if (benchmarkReturns && benchmarkReturns.length >= T) {
+        const oosBenchmark = benchmarkReturns.slice(lookback, T);
+        const benchmark = backtestFromReturns({
+            name: benchmarkName,
+            returns: oosBenchmark.map(r => r ?? 0),
+            dates: oosDates,
+            weights: [1],
+        });
+        backtests.push(benchmark);
+        addRelativeMetrics(backtests, benchmark, riskFreeRate, oosBenchmark);
+    }
+
+    return {
+        backtests,
+        comparison: compareStrategies(backtests),
+        rebalanceDates,
+        lookback,
+        rebalance,
+        assets: n,
+    };
+}
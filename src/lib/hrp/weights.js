@@ -4,6 +4,7 @@
  */
 
 import { getDiagonal } from './correlation.js';
+import { minVariancePortfolio } from './optimizer.js';
 
 /**
  * Calculate inverse variance weight for a subset of assets
@@ -37,13 +38,41 @@ function getClusterVariance(covMatrix, indices) {
     return variance;
 }
 
+/**
+ * Clip a bisection split so both halves can still meet their weight bounds
+ * (constrained HRP, Pfitzinger & Katzke 2019)
+ * @param {number} leftAlloc - Unconstrained share for the left half
+ * @param {number} parentWeight - Total weight of the cluster being split
+ * @param {number[]} leftItems - Asset indices in the left half
+ * @param {number[]} rightItems - Asset indices in the right half
+ * @param {Object|null} bounds - { lower: number[], upper: number[] } in asset order
+ * @returns {number} - Feasible share for the left half
+ */
+function boundedSplit(leftAlloc, parentWeight, leftItems, rightItems, bounds) {
+    if (!bounds || parentWeight <= 0) return leftAlloc;
+
+    const sum = (items, arr) => items.reduce((acc, i) => acc + arr[i], 0);
+    const minShare = Math.max(
+        sum(leftItems, bounds.lower) / parentWeight,
+        1 - sum(rightItems, bounds.upper) / parentWeight
+    );
+    const maxShare = Math.min(
+        sum(leftItems, bounds.upper) / parentWeight,
+        1 - sum(rightItems, bounds.lower) / parentWeight
+    );
+
+    return Math.min(Math.max(leftAlloc, minShare), maxShare);
+}
+
 /**
  * Recursive bisection for HRP weight allocation
  * @param {number[][]} covMatrix - Covariance matrix
  * @param {number[]} sortOrder - Quasi-diagonal order of assets
+ * @param {Object|null} [bounds=null] - Optional { lower, upper } weight bounds (asset order),
+ *   enforced at every split rather than by clipping afterwards
  * @returns {number[]} - Weights array (in original asset order)
  */
-export function recursiveBisection(covMatrix, sortOrder) {
+export function recursiveBisection(covMatrix, sortOrder, bounds = null) {
     const n = sortOrder.length;
     if (n === 0) return [];
     if (n === 1) return [1];
@@ -71,10 +100,12 @@ export function recursiveBisection(covMatrix, sortOrder) {
         const leftVar = getClusterVariance(covMatrix, leftIndices);
         const rightVar = getClusterVariance(covMatrix, rightIndices);
 
-        // Inverse variance allocation
+        // Inverse variance allocation (clipped to the weight bounds, if any)
         const totalInvVar = 1 / leftVar + 1 / rightVar;
-        const leftAlloc = (1 / leftVar) / totalInvVar;
-        const rightAlloc = (1 / rightVar) / totalInvVar;
+        const leftAlloc = boundedSplit(
+            (1 / leftVar) / totalInvVar, weights[start], leftIndices, rightIndices, bounds
+        );
+        const rightAlloc = 1 - leftAlloc;
 
         // Update weights
         for (let i = start; i < mid; i++) {
@@ -104,6 +135,48 @@ export function recursiveBisection(covMatrix, sortOrder) {
     return originalWeights.map(w => w / sum);
 }
 
+/**
+ * Tree-respecting recursive bisection
+ * Splits each cluster along its actual dendrogram branches instead of at the
+ * midpoint of the quasi-diagonal order, so similar assets stay on the same side
+ * @param {number[][]} covMatrix - Covariance matrix
+ * @param {Object} tree - Root node from buildClusterTree
+ * @param {Object|null} [bounds=null] - Optional { lower, upper } weight bounds (asset order)
+ * @returns {number[]} - Weights array (in original asset order)
+ */
+export function treeBisection(covMatrix, tree, bounds = null) {
+    const n = covMatrix.length;
+    if (n === 0) return [];
+    if (n === 1 || !tree || tree.isLeaf) return equalWeights(n);
+
+    const weights = Array(n).fill(1);
+    const stack = [tree];
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.isLeaf || !node.children) continue;
+
+        const [left, right] = node.children;
+
+        // Inverse variance allocation between the two branches
+        const leftVar = getClusterVariance(covMatrix, left.items);
+        const rightVar = getClusterVariance(covMatrix, right.items);
+        const totalInvVar = 1 / leftVar + 1 / rightVar;
+        const leftAlloc = boundedSplit(
+            (1 / leftVar) / totalInvVar, weights[node.items[0]], left.items, right.items, bounds
+        );
+        const rightAlloc = 1 - leftAlloc;
+
+        left.items.forEach(i => { weights[i] *= leftAlloc; });
+        right.items.forEach(i => { weights[i] *= rightAlloc; });
+
+        stack.push(left, right);
+    }
+
+    const sum = weights.reduce((a, b) => a + b, 0);
+    return weights.map(w => w / sum);
+}
+
 /**
  * Calculate equal weights
  * @param {number} n - Number of assets
@@ -126,37 +199,14 @@ export function inverseVolatilityWeights(covMatrix) {
 }
 
 /**
- * Calculate minimum variance weights (simplified, no short-selling)
- * Uses iterative optimization
+ * Calculate long-only minimum variance weights
+ * Exact solution of min w'Σw s.t. sum(w) = 1, w >= 0 (active-set QP, see optimizer.js)
  * @param {number[][]} covMatrix
- * @param {number} [iterations=100]
+ * @param {Object} [bounds] - { lower: number[], upper: number[] }
  * @returns {number[]}
  */
-export function minVarianceWeights(covMatrix, iterations = 100) {
-    const n = covMatrix.length;
-    if (n === 0) return [];
-
-    // Start with equal weights
-    let weights = Array(n).fill(1 / n);
-
-    for (let iter = 0; iter < iterations; iter++) {
-        // Calculate marginal contributions
-        const marginalContrib = [];
-        for (let i = 0; i < n; i++) {
-            let contrib = 0;
-            for (let j = 0; j < n; j++) {
-                contrib += covMatrix[i][j] * weights[j];
-            }
-            marginalContrib.push(contrib);
-        }
-
-        // Update weights (inverse of marginal contribution)
-        const invMC = marginalContrib.map(mc => 1 / Math.max(mc, 1e-10));
-        const sum = invMC.reduce((a, b) => a + b, 0);
-        weights = invMC.map(w => w / sum);
-    }
-
-    return weights;
+export function minVarianceWeights(covMatrix, bounds = {}) {
+    return minVariancePortfolio(covMatrix, bounds);
 }
 
 /**
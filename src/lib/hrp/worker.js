@@ -0,0 +1,24 @@
+/**
+ * HRP Worker
+ * Runs runAnalysis off the main thread so large universes don't freeze the page.
+ * In:  { id, priceData, benchmarkData, options }
+ * Out: { id, type: 'progress', stage, progress }
+ *      { id, type: 'result', hrpResult, backtestResult, walkForwardResult }
+ *      { id, type: 'error', message }
+ * The analysis is synchronous inside the worker; cancel by terminating the worker.
+ */
+
+import { runAnalysis } from './analysis.js';
+
+self.onmessage = ({ data }) => {
+    const { id, priceData, benchmarkData, options } = data;
+
+    try {
+        const result = runAnalysis(priceData, benchmarkData, options, ({ stage, progress }) => {
+            self.postMessage({ id, type: 'progress', stage, progress });
+        });
+        self.postMessage({ id, type: 'result', ...result });
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+};
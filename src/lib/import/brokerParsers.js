@@ -6,6 +6,7 @@
  * {
  *   symbol: 'RELIANCE.NS',
  *   tradingSymbol: 'RELIANCE',
+ *   isin: 'INE002A01018',  // When the tradebook has it (Zerodha, Groww)
  *   type: 'BUY' | 'SELL',
  *   quantity: 10,
  *   price: 2450.50,
@@ -39,6 +40,7 @@ export function parseZerodha(csvText) {
     const priceIdx = headers.findIndex(h => h === 'price' || h === 'trade_price');
     const exchangeIdx = headers.findIndex(h => h === 'exchange');
     const segmentIdx = headers.findIndex(h => h === 'segment');
+    const isinIdx = headers.findIndex(h => h === 'isin');
 
     if (symbolIdx === -1 || dateIdx === -1 || qtyIdx === -1 || priceIdx === -1) {
         throw new Error('Invalid Zerodha CSV: Missing required columns (symbol, date, quantity, price)');
@@ -76,6 +78,7 @@ export function parseZerodha(csvText) {
         transactions.push({
             symbol: `${symbol}.NS`,
             tradingSymbol: symbol,
+            isin: cols[isinIdx]?.trim() || null,
             type,
             quantity,
             price,
@@ -105,6 +108,7 @@ export function parseGroww(csvText) {
     const typeIdx = headers.findIndex(h => h.includes('type') || h.includes('trade_type'));
     const qtyIdx = headers.findIndex(h => h.includes('quantity') || h.includes('qty'));
     const priceIdx = headers.findIndex(h => h.includes('price'));
+    const isinIdx = headers.findIndex(h => h === 'isin');
 
     if (symbolIdx === -1 || dateIdx === -1 || qtyIdx === -1) {
         throw new Error('Invalid Groww CSV format');
@@ -131,6 +135,7 @@ export function parseGroww(csvText) {
         transactions.push({
             symbol: `${symbol}.NS`,
             tradingSymbol: symbol,
+            isin: cols[isinIdx]?.trim() || null,
             type,
             quantity,
             price,
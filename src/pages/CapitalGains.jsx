@@ -0,0 +1,355 @@
+/**
+ * Structura 2.0 - Capital Gains Page
+ *
+ * Features:
+ * - Realized STCG (Section 111A) and LTCG (Section 112A) of a financial year, lot by lot (FIFO)
+ * - 31-Jan-2018 FMV of grandfathered lots, from an FMV file loaded here
+ * - Losses brought forward from earlier years, and the year's own loss saved to the
+ *   carry-forward loss ledger
+ * - Schedule 112A CSV in the ITR utility's column layout, the full report as CSV,
+ *   and a printable page
+ *
+ * Trades come from the user's transactions in Supabase, or from a broker tradebook
+ * CSV uploaded on this page. NO HARDCODED DEMO DATA.
+ */
+
+import { useState, useMemo } from 'react';
+import { useTransactions } from '../hooks';
+import { FolderIcon } from '../components/Icons';
+import { parseAnyBrokerCSV } from '../lib/import/brokerParsers';
+import { buildLotLedger, realizedGainsByYear } from '../lib/analytics/taxLots';
+import { loadFmvTable } from '../lib/analytics/grandfathering';
+import { financialYear } from '../lib/analytics/taxRules';
+import {
+    getLossLedger,
+    recordLoss,
+    carriedForwardLosses,
+    lastSetOffYear,
+    totalLosses
+} from '../lib/analytics/lossLedger';
+import {
+    capitalGainsReport,
+    reportYears,
+    schedule112ACsv,
+    capitalGainsCsv
+} from '../lib/analytics/capitalGainsReport';
+import { BROKER_CHARGES } from '../lib/analytics/tradingCosts';
+import '../components/Dashboard/Dashboard.css';
+import './CapitalGains.css';
+
+// Format currency in INR
+const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return '—';
+    return new Intl.NumberFormat('en-IN', {
+        style: 'currency',
+        currency: 'INR',
+        maximumFractionDigits: 0,
+    }).format(value);
+};
+
+const formatUnits = (value) => +value.toFixed(4);
+
+// Read an uploaded file as text
+const readFile = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (event) => resolve(event.target.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    reader.readAsText(file);
+});
+
+// Save a CSV string as a download
+const downloadCsv = (csv, filename) => {
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+};
+
+export function CapitalGainsPage() {
+    const { transactions, isins, names, loading, error: fetchError } = useTransactions();
+    // Uploaded tradebook and FMV table size; a new object whenever either is loaded
+    const [uploads, setUploads] = useState({ tradebook: null, fmvCount: null });
+    const [selectedYear, setSelectedYear] = useState(null);
+    const [broker, setBroker] = useState('zerodha');
+    const [savedLosses, setSavedLosses] = useState(getLossLedger);
+    const [uploadError, setUploadError] = useState(null);
+
+    // FIFO lot ledger of the uploaded tradebook, else of the saved transactions
+    // (rebuilt when an FMV file is loaded, for the grandfathered cost)
+    const { ledger, ledgerError } = useMemo(() => {
+        try {
+            return { ledger: buildLotLedger(uploads.tradebook ?? transactions, { isins }), ledgerError: null };
+        } catch (err) {
+            return { ledger: {}, ledgerError: err.message };
+        }
+    }, [uploads, transactions, isins]);
+
+    const years = useMemo(() => reportYears(ledger), [ledger]);
+    const fy = selectedYear ?? years[0] ?? financialYear();
+
+    // Losses brought into the year: saved ones, else worked out from earlier years' sales
+    const carriedForward = useMemo(
+        () => carriedForwardLosses(fy, { gainsByYear: realizedGainsByYear(ledger), losses: savedLosses }),
+        [ledger, fy, savedLosses]
+    );
+
+    const report = useMemo(
+        () => capitalGainsReport(ledger, fy, { names, broker, carriedForward }),
+        [ledger, fy, names, broker, carriedForward]
+    );
+
+    const handleTradebookUpload = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            const parsed = parseAnyBrokerCSV(await readFile(file));
+            if (parsed.length === 0) throw new Error('No equity trades found in the file');
+            setUploads(prev => ({ ...prev, tradebook: parsed }));
+            setSelectedYear(null);
+            setUploadError(null);
+        } catch (err) {
+            setUploadError('Failed to parse tradebook: ' + err.message);
+        }
+    };
+
+    const handleFmvUpload = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            const fmvCount = loadFmvTable(await readFile(file));
+            setUploads(prev => ({ ...prev, fmvCount }));
+            setUploadError(null);
+        } catch (err) {
+            setUploadError('Failed to load FMV file: ' + err.message);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="loading-overlay">
+                <div className="loading-content">
+                    <div className="loading-spinner" />
+                    <div className="loading-text">Loading your transactions...</div>
+                </div>
+            </div>
+        );
+    }
+
+    const error = uploadError || ledgerError || fetchError;
+    const broughtForward = totalLosses(carriedForward);
+    const { unabsorbedLoss } = report.tax;
+    const savedLoss = savedLosses.find(loss => loss.financialYear === fy);
+    const fileYear = fy.replace('FY', '');
+
+    return (
+        <div className="capital-gains-page">
+            <header className="capital-gains-header">
+                <h1><FolderIcon size={28} /> Capital Gains</h1>
+                <p>
+                    Realized gains for {fy} ({report.from} to {report.to}) — Schedule 112A and Section 111A
+                    {uploads.tradebook ? ' from the uploaded tradebook' : ' from your saved transactions'}
+                </p>
+            </header>
+
+            {/* Controls (not printed) */}
+            <div className="capital-gains-controls">
+                <select
+                    className="panel-select"
+                    value={fy}
+                    onChange={(e) => setSelectedYear(e.target.value)}
+                >
+                    {[...new Set([fy, ...years])].map(year => (
+                        <option key={year} value={year}>{year}</option>
+                    ))}
+                </select>
+                <select
+                    className="panel-select"
+                    value={broker}
+                    onChange={(e) => setBroker(e.target.value)}
+                    title="Charges for sales without a recorded broker"
+                >
+                    {Object.entries(BROKER_CHARGES).map(([key, { name }]) => (
+                        <option key={key} value={key}>{name} charges</option>
+                    ))}
+                </select>
+                <label className="btn btn-ghost">
+                    Upload tradebook
+                    <input type="file" accept=".csv" onChange={handleTradebookUpload} hidden />
+                </label>
+                {uploads.tradebook && (
+                    <button className="btn btn-ghost" onClick={() => setUploads(prev => ({ ...prev, tradebook: null }))}>
+                        Use saved transactions
+                    </button>
+                )}
+                <label className="btn btn-ghost" title="CSV with ISIN and FMV (or high) columns for 31 Jan 2018">
+                    Load 31-Jan-2018 FMV
+                    <input type="file" accept=".csv" onChange={handleFmvUpload} hidden />
+                </label>
+                <div className="capital-gains-actions">
+                    <button
+                        className="btn btn-primary"
+                        disabled={report.longTerm.count === 0}
+                        onClick={() => downloadCsv(schedule112ACsv(report), `schedule_112a_${fileYear}.csv`)}
+                    >
+                        Schedule 112A CSV
+                    </button>
+                    <button
+                        className="btn"
+                        disabled={report.rows.length === 0}
+                        onClick={() => downloadCsv(capitalGainsCsv(report), `capital_gains_${fileYear}.csv`)}
+                    >
+                        Full report CSV
+                    </button>
+                    <button className="btn" onClick={() => window.print()}>Print</button>
+                </div>
+            </div>
+
+            {error && <div className="capital-gains-notice error">{error}</div>}
+            {uploads.fmvCount !== null && (
+                <div className="capital-gains-notice">FMV table loaded: {uploads.fmvCount} ISINs.</div>
+            )}
+            {report.missingIsin.length > 0 && (
+                <div className="capital-gains-notice warning">
+                    No ISIN for {report.missingIsin.join(', ')}, so their lots bought before 1 Feb 2018
+                    can't be grandfathered and their actual cost is used. Add the stocks to the stock
+                    master or upload a tradebook with ISINs.
+                </div>
+            )}
+            {report.missingFmv.some(m => m.isin) && (
+                <div className="capital-gains-notice warning">
+                    {report.missingFmv.filter(m => m.isin).length} lot(s) bought before 1 Feb 2018 have no
+                    31-Jan-2018 FMV ({[...new Set(report.missingFmv.filter(m => m.isin).map(m => m.symbol))].join(', ')});
+                    their actual cost is used. Load the FMV file to apply grandfathering.
+                </div>
+            )}
+            {(unabsorbedLoss.shortTerm > 0 || unabsorbedLoss.longTerm > 0) && (
+                <div className="capital-gains-notice">
+                    {fy} leaves {formatCurrency(unabsorbedLoss.shortTerm)} short-term and{' '}
+                    {formatCurrency(unabsorbedLoss.longTerm)} long-term loss to carry forward, usable
+                    until {lastSetOffYear(fy)} if the return is filed on time.
+                    {!savedLoss && (
+                        <button
+                            className="btn btn-ghost capital-gains-inline-btn"
+                            onClick={() => setSavedLosses(recordLoss(fy, unabsorbedLoss))}
+                        >
+                            Save to loss ledger
+                        </button>
+                    )}
+                </div>
+            )}
+            {report.unmatchedSales.length > 0 && (
+                <div className="capital-gains-notice warning">
+                    Shares sold without a recorded buy are left out:{' '}
+                    {report.unmatchedSales.map(u => `${u.symbol} (${formatUnits(u.quantity)})`).join(', ')}.
+                </div>
+            )}
+
+            {/* Summary */}
+            <div className="capital-gains-summary">
+                <div className={`summary-card ${report.shortTerm.gain >= 0 ? 'positive' : 'negative'}`}>
+                    <span className="card-label">STCG (Section 111A)</span>
+                    <span className="card-value">{formatCurrency(report.shortTerm.gain)}</span>
+                    <span className="card-sublabel">
+                        {report.shortTerm.count} lot(s) · sale value {formatCurrency(report.shortTerm.saleValue)}
+                    </span>
+                </div>
+                <div className={`summary-card ${report.longTerm.gain >= 0 ? 'positive' : 'negative'}`}>
+                    <span className="card-label">LTCG (Section 112A)</span>
+                    <span className="card-value">{formatCurrency(report.longTerm.gain)}</span>
+                    <span className="card-sublabel">
+                        {report.longTerm.count} lot(s) · sale value {formatCurrency(report.longTerm.saleValue)}
+                    </span>
+                </div>
+                <div className="summary-card">
+                    <span className="card-label">LTCG Exemption Used</span>
+                    <span className="card-value">{formatCurrency(report.tax.exemptionUsed)}</span>
+                    <span className="card-sublabel">Transfer expenses {formatCurrency(report.shortTerm.expenses + report.longTerm.expenses)}</span>
+                </div>
+                <div className="summary-card">
+                    <span className="card-label">Brought-Forward Loss Set Off</span>
+                    <span className="card-value">{formatCurrency(report.tax.lossSetOff)}</span>
+                    <span className="card-sublabel">
+                        of {formatCurrency(broughtForward.total)} available
+                        {carriedForward.length > 0 && ` (${carriedForward.map(l => l.financialYear).join(', ')})`}
+                    </span>
+                </div>
+                <div className="summary-card">
+                    <span className="card-label">Estimated Tax</span>
+                    <span className="card-value">{formatCurrency(report.tax.totalTax)}</span>
+                    <span className="card-sublabel">
+                        {report.tax.periods.map(p => p.label).join(' · ') || 'No sales'}
+                    </span>
+                </div>
+            </div>
+
+            {/* Rows */}
+            {report.rows.length === 0 ? (
+                <div className="empty-state">
+                    <h3>No Sales in {fy}</h3>
+                    <p>Import your broker tradebook or pick another financial year.</p>
+                </div>
+            ) : (
+                <div className="capital-gains-table-wrapper">
+                    <table className="capital-gains-table">
+                        <thead>
+                            <tr>
+                                <th>Section</th>
+                                <th>Share / Unit</th>
+                                <th>Units</th>
+                                <th>Bought</th>
+                                <th>Sold</th>
+                                <th>Sale Value</th>
+                                <th>Cost</th>
+                                <th>FMV 31-Jan-18</th>
+                                <th>Expenses</th>
+                                <th>Gain</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.rows.map((row, i) => (
+                                <tr key={`${row.symbol}-${row.saleDate}-${i}`}>
+                                    <td><span className={`gain-type ${row.gainType.toLowerCase()}`}>{row.section}</span></td>
+                                    <td>
+                                        <div className="share-name">{row.name}</div>
+                                        <div className="share-isin">{row.isin || row.symbol}</div>
+                                    </td>
+                                    <td>{formatUnits(row.units)}</td>
+                                    <td>{row.buyDate}</td>
+                                    <td>{row.saleDate}</td>
+                                    <td>{formatCurrency(row.saleValue)}</td>
+                                    <td title={`Actual cost ${formatCurrency(row.actualCost)}`}>{formatCurrency(row.cost)}</td>
+                                    <td>{row.fmvPerUnit !== null ? formatCurrency(row.fmvPerUnit) : '—'}</td>
+                                    <td>{formatCurrency(row.expenses)}</td>
+                                    <td className={row.gain >= 0 ? 'positive' : 'negative'}>{formatCurrency(row.gain)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot>
+                            {[['Total STCG (111A)', report.shortTerm], ['Total LTCG (112A)', report.longTerm]].map(([label, t]) => (
+                                <tr key={label}>
+                                    <td colSpan={5}>{label}</td>
+                                    <td>{formatCurrency(t.saleValue)}</td>
+                                    <td>{formatCurrency(t.cost)}</td>
+                                    <td />
+                                    <td>{formatCurrency(t.expenses)}</td>
+                                    <td className={t.gain >= 0 ? 'positive' : 'negative'}>{formatCurrency(t.gain)}</td>
+                                </tr>
+                            ))}
+                        </tfoot>
+                    </table>
+                </div>
+            )}
+
+            <p className="capital-gains-footnote">
+                Cost of lots bought before 1 Feb 2018 is the higher of the actual cost and the lower of the
+                31-Jan-2018 FMV and the sale price. Transfer expenses exclude STT, which is not deductible.
+                Tax is an estimate before slab income; check it against your broker's tax P&L before filing.
+            </p>
+        </div>
+    );
+}
+
+export default CapitalGainsPage;
@@ -2,25 +2,32 @@ import { useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../components/Auth';
 import { PortfolioImport } from '../components/Import';
-import { HealthScore, RebalancingSuggestions } from '../components/Analytics';
+import { HealthScore, RebalancingSuggestions, BlackLittermanPanel } from '../components/Analytics';
 import {
     Dendrogram,
     Heatmap,
+    ClusterLegend,
     PerformanceChart,
     WeightsTable,
     StrategyComparison,
+    DrawdownEpisodes,
+    EfficientFrontier,
+    RiskContributionTable,
 } from '../components/Visualizations';
 import { usePrices, useHRP } from '../hooks';
 import { formatMetrics } from '../lib/hrp/backtest';
+import { CORRELATION_LABELS } from '../lib/hrp/dependence';
 import { calculateHealthScore } from '../lib/analytics/portfolioHealth';
 import {
-    generateRebalancingSuggestions,
+    generateRebalancingWithAmounts,
+    summarizeRebalancingCosts,
     estimateRebalancingImpact,
     generateSummaryText,
     groupSuggestions,
 } from '../lib/analytics/rebalancing';
+import { BROKER_CHARGES } from '../lib/analytics/tradingCosts';
 import { enrichPortfolio, calculateWeights } from '../data/demoPortfolios';
-import { getAssetName, fetchSectorCache, getSector } from '../data/assetUniverse';
+import { getAssetName, fetchSectorCache, getSector, fetchMarketCaps, getMarketCaps, BENCHMARK_INDICES } from '../data/assetUniverse';
 import { ProfessorGuide } from '../components/Guide';
 import {
     ImportIcon,
@@ -42,15 +49,170 @@ import {
 import FlowExplainer from '../components/Dashboard/FlowExplainer';
 import '../components/Dashboard/Dashboard.css';
 
+const DEFAULT_HRP_OPTIONS = {
+    linkage: 'single',
+    bisection: 'classic',
+    hercRiskMeasure: 'variance',
+    ncoObjective: 'min-variance',
+    maxWeight: null,
+    sectorCap: null,
+    rebalance: 'monthly',
+    backtestMode: 'buy-and-hold',
+    broker: 'zerodha',
+    gaps: 'ffill',
+    bootstrap: false,
+    correlationMethod: 'pearson',
+    distance: 'correlation',
+    riskBudget: 'asset',
+    views: [],
+    clusterSelection: 'silhouette',
+    benchmark: '^NSEI',
+};
+
+const LINKAGE_OPTIONS = [
+    { value: 'single', label: 'Single', hint: 'Nearest neighbour - classic HRP, prone to chaining' },
+    { value: 'average', label: 'Average', hint: 'Mean pairwise distance between clusters' },
+    { value: 'complete', label: 'Complete', hint: 'Farthest neighbour - compact clusters' },
+    { value: 'ward', label: 'Ward', hint: 'Minimises within-cluster variance' },
+];
+
+const BISECTION_OPTIONS = [
+    { value: 'classic', label: 'Classic', hint: 'Split the sorted assets at the midpoint (Lopez de Prado)' },
+    { value: 'tree', label: 'Tree', hint: 'Split along the actual dendrogram branches' },
+];
+
+const HERC_RISK_OPTIONS = [
+    { value: 'variance', label: 'Var', hint: 'HERC risk measure: variance' },
+    { value: 'std', label: 'Std', hint: 'HERC risk measure: standard deviation' },
+    { value: 'cvar', label: 'CVaR', hint: 'HERC risk measure: 95% conditional value at risk' },
+    { value: 'cdar', label: 'CDaR', hint: 'HERC risk measure: 95% conditional drawdown at risk' },
+];
+
+const GAP_OPTIONS = [
+    { value: 'ffill', label: 'Fill gaps', hint: 'Carry the last price over missing days (zero return)' },
+    { value: 'drop', label: 'Drop gap days', hint: 'Only use dates on which every stock traded' },
+    { value: 'pairwise', label: 'Pairwise', hint: 'Correlate each pair of stocks on the days both traded' },
+];
+
+const BOOTSTRAP_ITERATIONS = 100;
+
+const RISK_BUDGET_OPTIONS = [
+    { value: 'asset', label: 'Equal per stock', hint: 'Risk parity: every stock contributes the same share of risk' },
+    { value: 'sector', label: 'Equal per sector', hint: 'Every sector contributes the same share of risk, split equally within it' },
+];
+
+const CORRELATION_OPTIONS = [
+    { value: 'pearson', hint: 'Linear correlation of daily returns' },
+    { value: 'spearman', hint: 'Rank correlation - robust to outliers and fat tails' },
+    { value: 'kendall', hint: 'Share of concordant vs discordant day pairs - most robust, slower' },
+    { value: 'semi', hint: 'Correlation on days both stocks fell - downside co-movement' },
+    { value: 'lower-tail', hint: 'How often both stocks are in their worst 10% of days together' },
+];
+
+const DISTANCE_OPTIONS = [
+    { value: 'correlation', label: '√½(1−ρ)', hint: 'Standard HRP distance' },
+    { value: 'angular', label: 'Angular', hint: 'arccos(ρ) / π - angle between return vectors' },
+    { value: 'absolute', label: 'Absolute', hint: 'Strongly negative dependence also counts as close' },
+    { value: 'variation-of-information', label: 'Var. of Info', hint: 'Information-theoretic distance - catches non-linear dependence' },
+];
+
+const CLUSTER_SELECTION_OPTIONS = [
+    { value: 'silhouette', label: 'Silhouette', hint: 'Cut the dendrogram where clusters are best separated' },
+    { value: 'gap', label: 'Gap statistic', hint: 'Fewest clusters that beat shuffled, structure-free returns' },
+];
+
+const MAX_WEIGHT_OPTIONS = [null, 0.1, 0.15, 0.2, 0.25];
+const SECTOR_CAP_OPTIONS = [null, 0.25, 0.35, 0.5];
+
+/**
+ * Whether one cap on every sector still lets the weights add up to 100%
+ */
+function sectorCapFits(sectorCap, sectorCount) {
+    return sectorCap * sectorCount >= 1 - 1e-9;
+}
+
+/**
+ * Turn the Dashboard's HRP options into runHRP options
+ * Uniform max-weight / sector-cap settings become a constraints spec using getSector (a
+ * sector cap too tight for the portfolio's sectors to reach 100% is left out);
+ * a selected broker turns on net-of-cost backtests; gaps sets how missing days are aligned;
+ * bootstrap adds resampled confidence intervals to the HRP weights; a sector risk budget
+ * gives every sector the same share of risk; views (Black-Litterman only runs with at least
+ * one) feed Black-Litterman with market caps from fetchMarketCaps(); sectors also name the
+ * risk buckets
+ */
+function toRunOptions(hrpOptions, symbols) {
+    const { maxWeight, sectorCap, broker, gaps, bootstrap, riskBudget, views, benchmark, ...options } = hrpOptions;
+    const sectors = Object.fromEntries(symbols.map(s => [s, getSector(s)]));
+    const sectorNames = [...new Set(Object.values(sectors))];
+
+    const rest = {
+        ...options,
+        alignment: { join: 'outer', gaps: gaps || 'ffill' },
+        sectors,
+        bootstrap: bootstrap ? { iterations: BOOTSTRAP_ITERATIONS } : null,
+        riskBudget: riskBudget === 'sector'
+            ? { sectorBudgets: Object.fromEntries(sectorNames.map(sector => [sector, 1 / sectorNames.length])), sectors }
+            : null,
+        blackLitterman: views?.length ? { marketCaps: getMarketCaps(symbols), views, sectors } : null,
+        benchmarkName: BENCHMARK_INDICES.find(b => b.symbol === benchmark)?.name || 'NIFTY 50',
+        ...(broker && { costModel: { broker } }),
+    };
+    const capSectors = sectorCap && sectorCapFits(sectorCap, sectorNames.length);
+    if (sectorCap && !capSectors) {
+        console.warn(`Sector cap of ${sectorCap * 100}% skipped: ${sectorNames.length} sectors can't reach 100%`);
+    }
+    if (!maxWeight && !capSectors) return rest;
+
+    const sectorCaps = capSectors
+        ? Object.fromEntries(sectorNames.map(sector => [sector, sectorCap]))
+        : {};
+
+    return {
+        ...rest,
+        constraints: { maxWeight: maxWeight || 1, sectorCaps, sectors },
+    };
+}
+
+const REBALANCE_OPTIONS = [
+    { value: 'monthly', label: 'Monthly', hint: 'Re-estimate weights on the first trading day of each month' },
+    { value: 'quarterly', label: 'Quarterly', hint: 'Re-estimate weights on the first trading day of each quarter' },
+    { value: 'threshold', label: 'Drift 5%', hint: 'Re-estimate when any weight drifts more than 5% from target' },
+];
+
+const BACKTEST_MODE_OPTIONS = [
+    { value: 'buy-and-hold', label: 'Buy & Hold', hint: 'Buy once at the start and let weights drift with prices' },
+    { value: 'monthly', label: 'Monthly', hint: 'Reset to target weights on the first trading day of each month' },
+    { value: 'quarterly', label: 'Quarterly', hint: 'Reset to target weights on the first trading day of each quarter' },
+    { value: 'daily', label: 'Daily', hint: 'Fixed weights every day (implicit daily rebalancing)' },
+];
+
+const NCO_OBJECTIVE_OPTIONS = [
+    { value: 'min-variance', label: 'Min Var', hint: 'NCO objective: minimum variance' },
+    { value: 'max-sharpe', label: 'Max Sharpe', hint: 'NCO objective: maximum Sharpe ratio' },
+];
 
 export function DashboardPage() {
     const { user, signOut } = useAuth();
     const { prices, loading: pricesLoading, error: pricesError, progress, fetchPrices } = usePrices();
-    const { result, backtest, loading: analyzing, error: hrpError, analyze, visualizationData, chartData } = useHRP();
+    const {
+        result,
+        backtest,
+        walkForward,
+        loading: analyzing,
+        error: hrpError,
+        progress: analysisProgress,
+        analyze,
+        cancel: cancelAnalysis,
+        visualizationData,
+        chartData,
+        walkForwardChartData,
+    } = useHRP();
     const [searchParams, setSearchParams] = useSearchParams();
     const navigate = useNavigate();
 
     const [showImport, setShowImport] = useState(false);
+    const [backtestView, setBacktestView] = useState('in-sample');
     const [showAllHoldings, setShowAllHoldings] = useState(false);
     const [showExplainer, setShowExplainer] = useState(() => {
         // Show explainer if user hasn't seen it before
@@ -81,6 +243,23 @@ export function DashboardPage() {
         localStorage.setItem('structura_date_range', dateRange);
     }, [dateRange]);
 
+    // HRP model options (linkage method etc.) passed through to runHRP
+    const [hrpOptions, setHrpOptions] = useState(() => {
+        try {
+            const saved = localStorage.getItem('structura_hrp_options');
+            if (saved) return { ...DEFAULT_HRP_OPTIONS, ...JSON.parse(saved) };
+        } catch (e) { console.warn('Could not restore HRP options:', e); }
+        return DEFAULT_HRP_OPTIONS;
+    });
+
+    useEffect(() => {
+        localStorage.setItem('structura_hrp_options', JSON.stringify(hrpOptions));
+    }, [hrpOptions]);
+
+    const updateHrpOption = useCallback((key, value) => {
+        setHrpOptions(prev => (prev[key] === value ? prev : { ...prev, [key]: value }));
+    }, []);
+
     // Handle ?import=upstox from UpstoxCallback page
     useEffect(() => {
         const importSource = searchParams.get('import');
@@ -170,21 +349,22 @@ export function DashboardPage() {
 
         const symbols = portfolio.holdings.map(h => h.symbol);
 
-        // Fetch portfolio stocks + NIFTY 50 index for benchmark
-        const allSymbols = [...symbols, '^NSEI'];
-        const priceData = await fetchPrices(allSymbols, dateRange);
+        // Fetch portfolio stocks + the benchmark index
+        const benchmark = hrpOptions.benchmark || '^NSEI';
+        const allSymbols = [...symbols, benchmark];
+        const [priceData] = await Promise.all([fetchPrices(allSymbols, dateRange), fetchMarketCaps(symbols)]);
 
-        // Extract NIFTY 50 data (if available)
-        const niftyData = priceData['^NSEI'] || null;
+        // Extract benchmark data (if available)
+        const benchmarkData = priceData[benchmark] || null;
 
-        // Remove NIFTY from portfolio data (it's a benchmark, not a holding)
+        // Remove the benchmark from portfolio data (it's not a holding)
         const portfolioData = { ...priceData };
-        delete portfolioData['^NSEI'];
+        delete portfolioData[benchmark];
 
         if (Object.keys(portfolioData).length >= 2) {
-            analyze(portfolioData, niftyData);
+            analyze(portfolioData, benchmarkData, toRunOptions(hrpOptions, Object.keys(portfolioData)));
         }
-    }, [portfolio, dateRange, fetchPrices, analyze]);
+    }, [portfolio, dateRange, hrpOptions, fetchPrices, analyze]);
 
     // Clear analysis but keep portfolio
     const clearAnalysis = useCallback(() => {
@@ -205,57 +385,62 @@ export function DashboardPage() {
             console.log('📊 New portfolio imported - auto-analyzing...');
 
             const symbols = portfolio.holdings.map(h => h.symbol);
-            const allSymbols = [...symbols, '^NSEI']; // Include NIFTY benchmark
+            const benchmark = hrpOptions.benchmark || '^NSEI';
+            const allSymbols = [...symbols, benchmark]; // Include the benchmark index
 
-            fetchPrices(allSymbols, dateRange).then(priceData => {
-                const niftyData = priceData['^NSEI'] || null;
+            Promise.all([fetchPrices(allSymbols, dateRange), fetchMarketCaps(symbols)]).then(([priceData]) => {
+                const benchmarkData = priceData[benchmark] || null;
                 const portfolioData = { ...priceData };
-                delete portfolioData['^NSEI'];
+                delete portfolioData[benchmark];
 
                 if (Object.keys(portfolioData).length >= 2) {
-                    analyze(portfolioData, niftyData);
+                    analyze(portfolioData, benchmarkData, toRunOptions(hrpOptions, Object.keys(portfolioData)));
                 }
             }).catch(err => {
                 console.error('Auto-analyze failed:', err.message);
             });
         }
         prevPortfolio.current = portfolio;
-    }, [portfolio, dateRange, fetchPrices, analyze]);
+    }, [portfolio, dateRange, hrpOptions, fetchPrices, analyze]);
 
-    // Auto re-analyze when date range changes (if portfolio exists and was analyzed)
+    // Auto re-analyze when date range or HRP options change (if portfolio exists and was analyzed)
     const prevDateRange = useRef(dateRange);
+    const prevHrpOptions = useRef(hrpOptions);
     useEffect(() => {
-        if (prevDateRange.current !== dateRange && portfolio && result) {
+        const optionsChanged = prevHrpOptions.current !== hrpOptions;
+        if ((prevDateRange.current !== dateRange || optionsChanged) && portfolio && result) {
             console.log(`📊 Date range changed: ${prevDateRange.current} → ${dateRange}`);
 
-            // Date range changed while we have an analysis - re-run with NIFTY benchmark
+            // Date range changed while we have an analysis - re-run with the benchmark
             const symbols = portfolio.holdings.map(h => h.symbol);
-            const allSymbols = [...symbols, '^NSEI']; // Include NIFTY 50 benchmark!
+            const benchmark = hrpOptions.benchmark || '^NSEI';
+            const allSymbols = [...symbols, benchmark]; // Include the benchmark index!
 
             console.log(`📊 Fetching ${allSymbols.length} symbols for range: ${dateRange}`);
 
-            fetchPrices(allSymbols, dateRange).then(priceData => {
+            Promise.all([fetchPrices(allSymbols, dateRange), fetchMarketCaps(symbols)]).then(([priceData]) => {
                 console.log(`📊 Fetched ${Object.keys(priceData).length} stocks`);
 
-                // Extract NIFTY 50 data
-                const niftyData = priceData['^NSEI'] || null;
-                console.log(`📊 NIFTY data points: ${niftyData?.length || 0}`);
-                if (niftyData && niftyData.length > 0) {
-                    console.log(`📊 NIFTY range: ${niftyData[0]?.date} to ${niftyData[niftyData.length - 1]?.date}`);
-                    console.log(`📊 NIFTY start: ${niftyData[0]?.close}, end: ${niftyData[niftyData.length - 1]?.close}`);
+                // Extract benchmark data
+                const benchmarkData = priceData[benchmark] || null;
+                console.log(`📊 Benchmark (${benchmark}) data points: ${benchmarkData?.length || 0}`);
+                if (benchmarkData && benchmarkData.length > 0) {
+                    console.log(`📊 Benchmark range: ${benchmarkData[0]?.date} to ${benchmarkData[benchmarkData.length - 1]?.date}`);
+                    console.log(`📊 Benchmark start: ${benchmarkData[0]?.close}, end: ${benchmarkData[benchmarkData.length - 1]?.close}`);
                 }
 
-                // Remove NIFTY from portfolio data
+                // Remove the benchmark from portfolio data
                 const portfolioData = { ...priceData };
-                delete portfolioData['^NSEI'];
+                delete portfolioData[benchmark];
 
                 if (Object.keys(portfolioData).length >= 2) {
-                    analyze(portfolioData, niftyData); // Pass niftyData!
+                    analyze(portfolioData, benchmarkData, toRunOptions(hrpOptions, Object.keys(portfolioData))); // Pass benchmarkData!
                 }
             });
         }
         prevDateRange.current = dateRange;
-    }, [dateRange, portfolio, result, fetchPrices, analyze]);
+        prevHrpOptions.current = hrpOptions;
+    }, [dateRange, hrpOptions, portfolio, result, fetchPrices, analyze]);
 
     // Enrich holdings with current prices and calculate weights
     const enrichedHoldings = useMemo(() => {
@@ -316,9 +501,13 @@ export function DashboardPage() {
     const rebalancing = useMemo(() => {
         if (!result || enrichedHoldings.length === 0) return null;
 
-        const suggestions = generateRebalancingSuggestions(
+        const totalValue = enrichedHoldings.reduce((sum, h) => sum + (h.currentValue || 0), 0);
+        const suggestions = generateRebalancingWithAmounts(
             enrichedHoldings,
-            result.weights.hrp
+            result.weights.hrp,
+            totalValue,
+            3,
+            { broker: hrpOptions.broker || 'zerodha', priceData: prices }
         );
 
         const impact = healthScore
@@ -326,12 +515,52 @@ export function DashboardPage() {
             : null;
 
         const summary = generateSummaryText(suggestions, impact);
+        const costs = totalValue > 0 ? summarizeRebalancingCosts(suggestions) : null;
 
-        return { suggestions, impact, summary };
-    }, [result, enrichedHoldings, healthScore]);
+        return { suggestions, impact, summary, costs };
+    }, [result, enrichedHoldings, healthScore, hrpOptions.broker, prices]);
 
     const isLoading = pricesLoading || analyzing;
 
+    // In-sample (static weights) or walk-forward (out-of-sample) backtest for the charts
+    const isWalkForward = backtestView === 'walk-forward' && !!walkForwardChartData;
+    const activeChartData = isWalkForward ? walkForwardChartData : chartData;
+
+    // Stocks with missing trading days in the aligned window
+    const dataGaps = useMemo(
+        () => (result?.dataQuality?.symbols || []).filter(q => q.missing > 0),
+        [result]
+    );
+
+    // Sectors in the analysed portfolio, which rule out sector caps too tight to reach 100%
+    const resultSectorCount = useMemo(
+        () => new Set((result?.symbols || []).map(s => getSector(s))).size,
+        [result]
+    );
+
+    // Risk budgeting portfolio and HRP risk shares against the target budgets
+    const riskContributionRows = useMemo(() => {
+        if (!result?.riskBudget) return [];
+        return result.symbols
+            .map((symbol, i) => ({
+                symbol: getAssetName(symbol),
+                target: result.riskBudget.targets[i],
+                realized: result.riskBudget.realized[i],
+                hrp: result.riskContribution[i].contribution,
+            }))
+            .sort((a, b) => b.target - a.target || b.hrp - a.hrp);
+    }, [result]);
+
+    // HRP total return under the selected mode vs daily rebalancing
+    const modeGap = useMemo(() => {
+        const modes = backtest?.modeComparison;
+        if (!modes || !backtest.mode || backtest.mode === 'daily') return null;
+        const daily = modes.find(bt => bt.mode === 'daily');
+        const selected = modes.find(bt => bt.mode === backtest.mode);
+        if (!daily || !selected) return null;
+        return daily.metrics.totalReturn - selected.metrics.totalReturn;
+    }, [backtest]);
+
     // Calculate portfolio totals
     const portfolioTotals = useMemo(() => {
         if (enrichedHoldings.length === 0) return null;
@@ -374,6 +603,32 @@ export function DashboardPage() {
                         ))}
                     </div>
 
+                    <div className="date-range-buttons linkage-buttons" title="Clustering linkage method">
+                        {LINKAGE_OPTIONS.map(({ value, label, hint }) => (
+                            <button
+                                key={value}
+                                className={`date-btn ${hrpOptions.linkage === value ? 'active' : ''}`}
+                                title={hint}
+                                onClick={() => updateHrpOption('linkage', value)}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="date-range-buttons bisection-buttons" title="Recursive bisection mode">
+                        {BISECTION_OPTIONS.map(({ value, label, hint }) => (
+                            <button
+                                key={value}
+                                className={`date-btn ${hrpOptions.bisection === value ? 'active' : ''}`}
+                                title={hint}
+                                onClick={() => updateHrpOption('bisection', value)}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
                     <button
                         className="btn btn-primary analyze-btn"
                         disabled={portfolio.holdings.length < 2 || isLoading}
@@ -411,6 +666,16 @@ export function DashboardPage() {
                         {pricesLoading && (
                             <div className="loading-progress">{progress.status}</div>
                         )}
+                        {!pricesLoading && analysisProgress && (
+                            <>
+                                <div className="loading-progress">
+                                    {analysisProgress.stage} · {Math.round(analysisProgress.progress * 100)}%
+                                </div>
+                                <button className="btn btn-ghost text-xs" onClick={cancelAnalysis}>
+                                    Cancel
+                                </button>
+                            </>
+                        )}
                     </div>
                 </div>
             )}
@@ -532,6 +797,7 @@ export function DashboardPage() {
                                     suggestions={rebalancing?.suggestions}
                                     summary={rebalancing?.summary}
                                     impact={rebalancing?.impact}
+                                    costs={rebalancing?.costs}
                                 />
                             </div>
                         </div>
@@ -543,12 +809,25 @@ export function DashboardPage() {
                             <div className="panel-header">
                                 <span className="panel-title">Asset Clustering</span>
                                 <span className="text-xs text-muted">
-                                    Similar assets are grouped together
+                                    {result.clusters
+                                        ? `Your portfolio has ${result.clusters.count} real risk bucket${result.clusters.count === 1 ? '' : 's'}`
+                                        : 'Similar assets are grouped together'}
                                 </span>
+                                <select
+                                    className="panel-select"
+                                    title={CLUSTER_SELECTION_OPTIONS.find(o => o.value === hrpOptions.clusterSelection)?.hint}
+                                    value={hrpOptions.clusterSelection || 'silhouette'}
+                                    onChange={e => updateHrpOption('clusterSelection', e.target.value)}
+                                >
+                                    {CLUSTER_SELECTION_OPTIONS.map(({ value, label }) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
                             </div>
                             <div className="panel-body">
                                 <Dendrogram
                                     hierarchy={visualizationData?.hierarchy}
+                                    clusters={result.clusters}
                                     symbols={result.symbols.map(s => getAssetName(s))}
                                     width={window.innerWidth < 768
                                         ? window.innerWidth - 48
@@ -557,6 +836,7 @@ export function DashboardPage() {
                                         ? Math.min(300, result.symbols.length * 18)
                                         : Math.max(250, result.symbols.length * 22)}
                                 />
+                                <ClusterLegend clusters={result.clusters} getLabel={getAssetName} />
                             </div>
                         </div>
                     </div>
@@ -565,13 +845,41 @@ export function DashboardPage() {
                     <div className="grid-row half">
                         <div className="dashboard-panel">
                             <div className="panel-header">
-                                <span className="panel-title">Correlation Matrix</span>
+                                <span className="panel-title">
+                                    {hrpOptions.correlationMethod && hrpOptions.correlationMethod !== 'pearson'
+                                        ? `${CORRELATION_LABELS[hrpOptions.correlationMethod]} Dependence`
+                                        : 'Correlation Matrix'}
+                                </span>
+                                <div className="weight-constraint-controls">
+                                    <select
+                                        className="panel-select"
+                                        title={CORRELATION_OPTIONS.find(o => o.value === hrpOptions.correlationMethod)?.hint}
+                                        value={hrpOptions.correlationMethod || 'pearson'}
+                                        onChange={e => updateHrpOption('correlationMethod', e.target.value)}
+                                    >
+                                        {CORRELATION_OPTIONS.map(({ value }) => (
+                                            <option key={value} value={value}>{CORRELATION_LABELS[value]}</option>
+                                        ))}
+                                    </select>
+                                    <select
+                                        className="panel-select"
+                                        title={DISTANCE_OPTIONS.find(o => o.value === hrpOptions.distance)?.hint}
+                                        value={hrpOptions.distance || 'correlation'}
+                                        onChange={e => updateHrpOption('distance', e.target.value)}
+                                    >
+                                        {DISTANCE_OPTIONS.map(({ value, label }) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
                             </div>
                             <div className="panel-body">
                                 <Heatmap
                                     correlationMatrix={visualizationData?.correlationMatrix}
+                                    label={CORRELATION_LABELS[visualizationData?.correlationMethod] || 'Correlation'}
                                     symbols={result.symbols.map(s => getAssetName(s))}
                                     sortOrder={result.sortOrder}
+                                    clusters={result.clusters}
                                     width={window.innerWidth < 768
                                         ? window.innerWidth - 48
                                         : Math.min(400, (window.innerWidth - 400) / 2)}
@@ -585,32 +893,147 @@ export function DashboardPage() {
                         <div className="dashboard-panel">
                             <div className="panel-header">
                                 <span className="panel-title">HRP Optimal Weights</span>
+                                <div className="weight-constraint-controls">
+                                    <select
+                                        className="panel-select"
+                                        title="Maximum weight per stock"
+                                        value={hrpOptions.maxWeight ?? ''}
+                                        onChange={e => updateHrpOption('maxWeight', e.target.value ? Number(e.target.value) : null)}
+                                    >
+                                        {MAX_WEIGHT_OPTIONS.map(v => (
+                                            <option key={v ?? 'none'} value={v ?? ''}>
+                                                {v ? `Max ${v * 100}% / stock` : 'No stock cap'}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <select
+                                        className="panel-select"
+                                        title="Maximum weight per sector"
+                                        value={hrpOptions.sectorCap ?? ''}
+                                        onChange={e => updateHrpOption('sectorCap', e.target.value ? Number(e.target.value) : null)}
+                                    >
+                                        {SECTOR_CAP_OPTIONS.map(v => {
+                                            const fits = !v || sectorCapFits(v, resultSectorCount);
+                                            return (
+                                                <option key={v ?? 'none'} value={v ?? ''} disabled={!fits}>
+                                                    {v ? `Max ${v * 100}% / sector` : 'No sector cap'}
+                                                    {!fits && ` (needs ${Math.ceil(1 / v - 1e-9)}+ sectors)`}
+                                                </option>
+                                            );
+                                        })}
+                                    </select>
+                                    <button
+                                        className={`date-btn ${hrpOptions.bootstrap ? 'active' : ''}`}
+                                        title={`Block-bootstrap the returns ${BOOTSTRAP_ITERATIONS} times and show 5th-95th percentile weight ranges`}
+                                        onClick={() => updateHrpOption('bootstrap', !hrpOptions.bootstrap)}
+                                    >
+                                        Confidence
+                                    </button>
+                                </div>
+                                <span className="text-xs text-muted">
+                                    {LINKAGE_OPTIONS.find(o => o.value === result.linkageMethod)?.label || 'Single'} linkage
+                                    {' · '}
+                                    {BISECTION_OPTIONS.find(o => o.value === result.bisection)?.label || 'Classic'} bisection
+                                    {result.bootstrap && (
+                                        ` · ${result.bootstrap.iterations} bootstrap samples, top cluster pattern in ${(result.bootstrap.partitions[0]?.frequency * 100).toFixed(0)}%`
+                                    )}
+                                </span>
                             </div>
                             <div className="panel-body">
                                 <WeightsTable
                                     weights={visualizationData?.weights?.map(w => ({
                                         ...w,
                                         symbol: getAssetName(w.symbol),
+                                        binding: result.constraints?.binding.find(b => b.symbol === w.symbol),
+                                        interval: result.bootstrap?.weights.find(b => b.symbol === w.symbol),
                                     }))}
                                 />
+                                <div className="data-quality-note">
+                                    <select
+                                        className="panel-select"
+                                        title={GAP_OPTIONS.find(o => o.value === hrpOptions.gaps)?.hint}
+                                        value={hrpOptions.gaps || 'ffill'}
+                                        onChange={e => updateHrpOption('gaps', e.target.value)}
+                                    >
+                                        {GAP_OPTIONS.map(({ value, label }) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <span className="text-xs text-muted">
+                                        {result.dates?.length || 0} aligned trading days
+                                        {dataGaps.length > 0
+                                            ? ` · gaps: ${dataGaps.map(q => `${getAssetName(q.symbol)} ${q.missing}d`).join(', ')}`
+                                            : ' · no missing days'}
+                                        {result.dataQuality?.excludedSymbols?.length > 0 &&
+                                            ` · excluded (too little history): ${result.dataQuality.excludedSymbols.map(e => getAssetName(e.symbol)).join(', ')}`}
+                                    </span>
+                                </div>
                             </div>
                         </div>
                     </div>
 
                     {/* Row 4: Performance Chart (Equity Curve) */}
-                    {chartData && chartData.series && (
+                    {activeChartData && activeChartData.series && (
                         <div className="grid-row full">
                             <div className="dashboard-panel">
                                 <div className="panel-header">
                                     <span className="panel-title">Performance Over Time</span>
                                     <span className="text-xs text-muted">
-                                        Cumulative returns comparison
+                                        {isWalkForward
+                                            ? `Out-of-sample · ${walkForward.lookback}-day lookback · ${walkForward.rebalanceDates.length} rebalances`
+                                            : modeGap !== null
+                                                ? `Cumulative returns · daily rebalancing would ${modeGap >= 0 ? 'add' : 'cost'} ${Math.abs(modeGap).toFixed(2)}% to HRP (dashed)`
+                                                : 'Cumulative returns comparison'}
                                     </span>
+                                    <div className="date-range-buttons backtest-view-buttons">
+                                        <button
+                                            className={`date-btn ${!isWalkForward ? 'active' : ''}`}
+                                            onClick={() => setBacktestView('in-sample')}
+                                        >
+                                            In-sample
+                                        </button>
+                                        <button
+                                            className={`date-btn ${isWalkForward ? 'active' : ''}`}
+                                            disabled={!walkForwardChartData}
+                                            title={walkForwardChartData ? 'Weights re-estimated from past data only' : 'Not enough history for walk-forward'}
+                                            onClick={() => setBacktestView('walk-forward')}
+                                        >
+                                            Walk-forward
+                                        </button>
+                                    </div>
+                                    {!isWalkForward && (
+                                        <div className="date-range-buttons backtest-mode-buttons">
+                                            {BACKTEST_MODE_OPTIONS.map(({ value, label, hint }) => (
+                                                <button
+                                                    key={value}
+                                                    className={`date-btn ${hrpOptions.backtestMode === value ? 'active' : ''}`}
+                                                    title={hint}
+                                                    onClick={() => updateHrpOption('backtestMode', value)}
+                                                >
+                                                    {label}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+                                    {isWalkForward && (
+                                        <div className="date-range-buttons rebalance-buttons">
+                                            {REBALANCE_OPTIONS.map(({ value, label, hint }) => (
+                                                <button
+                                                    key={value}
+                                                    className={`date-btn ${hrpOptions.rebalance === value ? 'active' : ''}`}
+                                                    title={hint}
+                                                    onClick={() => updateHrpOption('rebalance', value)}
+                                                >
+                                                    {label}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
                                 </div>
                                 <div className="panel-body">
                                     <PerformanceChart
-                                        series={chartData.series}
-                                        dates={chartData.dates}
+                                        series={activeChartData.series}
+                                        dates={activeChartData.dates}
                                         width={window.innerWidth < 768
                                             ? window.innerWidth - 48
                                             : Math.min(850, window.innerWidth - 380)}
@@ -622,22 +1045,182 @@ export function DashboardPage() {
                     )}
 
                     {/* Row 5: Strategy Comparison */}
-                    {chartData && (
+                    {activeChartData && (
                         <div className="grid-row full">
                             <div className="dashboard-panel">
                                 <div className="panel-header">
                                     <span className="panel-title">Strategy Comparison</span>
                                     <span className="text-xs text-muted">
                                         Historical performance simulation
+                                        {result.herc && ` · HERC: ${result.herc.nClusters} clusters`}
+                                        {result.nco && ` · NCO: ${result.nco.nClusters} clusters`}
+                                    </span>
+                                    <select
+                                        className="panel-select"
+                                        title="Benchmark index for beta, alpha, tracking error and capture ratios"
+                                        value={hrpOptions.benchmark || '^NSEI'}
+                                        onChange={e => updateHrpOption('benchmark', e.target.value)}
+                                    >
+                                        {BENCHMARK_INDICES.map(({ symbol, name }) => (
+                                            <option key={symbol} value={symbol}>vs {name}</option>
+                                        ))}
+                                    </select>
+                                    <select
+                                        className="panel-select"
+                                        title="Broker for trading costs (brokerage, STT, exchange, GST, SEBI, stamp duty, DP, slippage)"
+                                        value={hrpOptions.broker ?? ''}
+                                        onChange={e => updateHrpOption('broker', e.target.value || null)}
+                                    >
+                                        <option value="">Gross (no costs)</option>
+                                        {Object.entries(BROKER_CHARGES).map(([key, { name }]) => (
+                                            <option key={key} value={key}>Net of {name} costs</option>
+                                        ))}
+                                    </select>
+                                    <div className="date-range-buttons herc-risk-buttons">
+                                        {HERC_RISK_OPTIONS.map(({ value, label, hint }) => (
+                                            <button
+                                                key={value}
+                                                className={`date-btn ${hrpOptions.hercRiskMeasure === value ? 'active' : ''}`}
+                                                title={hint}
+                                                onClick={() => updateHrpOption('hercRiskMeasure', value)}
+                                            >
+                                                {label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <div className="date-range-buttons nco-objective-buttons">
+                                        {NCO_OBJECTIVE_OPTIONS.map(({ value, label, hint }) => (
+                                            <button
+                                                key={value}
+                                                className={`date-btn ${hrpOptions.ncoObjective === value ? 'active' : ''}`}
+                                                title={hint}
+                                                onClick={() => updateHrpOption('ncoObjective', value)}
+                                            >
+                                                {label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div className="panel-body">
+                                    <StrategyComparison strategies={activeChartData.metrics} />
+                                    <DrawdownEpisodes strategies={activeChartData.metrics} />
+                                    <div className="methodology-disclaimer">
+                                        <InfoIcon size={16} className="icon-warning" style={{ marginRight: '8px' }} />
+                                        {isWalkForward ? (
+                                            <>
+                                                <strong>Methodology Note:</strong> Walk-forward backtest. Weights are
+                                                re-estimated at each rebalance from the trailing {walkForward.lookback} trading
+                                                days only and drift with prices in between. Past performance ≠ future results.
+                                            </>
+                                        ) : (
+                                            <>
+                                                <strong>Methodology Note:</strong> This backtest uses static target weights
+                                                calculated from full-period correlations (in-sample),
+                                                {' '}{hrpOptions.backtestMode === 'daily'
+                                                    ? 'reset every day - which assumes daily rebalancing'
+                                                    : hrpOptions.backtestMode === 'buy-and-hold'
+                                                        ? 'bought once and left to drift with prices'
+                                                        : `reset to target ${hrpOptions.backtestMode}`}.
+                                                Past performance ≠ future results.
+                                            </>
+                                        )}
+                                        {BROKER_CHARGES[hrpOptions.broker] && (
+                                            <> Returns are net of {BROKER_CHARGES[hrpOptions.broker].name} brokerage,
+                                                statutory charges and estimated slippage on a ₹10 lakh portfolio.</>
+                                        )}
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Row 6: Risk Budgeting - realized vs target risk contributions */}
+                    {result.riskBudget && (
+                        <div className="grid-row full">
+                            <div className="dashboard-panel">
+                                <div className="panel-header">
+                                    <span className="panel-title">Risk Contributions</span>
+                                    <span className="text-xs text-muted">
+                                        {result.riskBudget.name} target vs realized
+                                        {!result.riskBudget.converged && ' · solver did not fully converge'}
                                     </span>
+                                    <select
+                                        className="panel-select"
+                                        title={RISK_BUDGET_OPTIONS.find(o => o.value === hrpOptions.riskBudget)?.hint}
+                                        value={hrpOptions.riskBudget || 'asset'}
+                                        onChange={e => updateHrpOption('riskBudget', e.target.value)}
+                                    >
+                                        {RISK_BUDGET_OPTIONS.map(({ value, label }) => (
+                                            <option key={value} value={value}>{label}</option>
+                                        ))}
+                                    </select>
                                 </div>
                                 <div className="panel-body">
-                                    <StrategyComparison strategies={chartData.metrics} />
+                                    <RiskContributionTable
+                                        name={result.riskBudget.name}
+                                        rows={riskContributionRows}
+                                    />
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Row 7: Black-Litterman views vs pure HRP (run only once there are views) */}
+                    <div className="grid-row full">
+                        <div className="dashboard-panel">
+                            <div className="panel-header">
+                                <span className="panel-title">Black-Litterman Views</span>
+                                <span className="text-xs text-muted">
+                                    {!result.blackLitterman
+                                        ? 'Add a view to run Black-Litterman'
+                                        : result.blackLitterman.prior === 'hrp'
+                                            ? 'Prior: HRP weights (market caps unavailable)'
+                                            : 'Prior: market-cap equilibrium'}
+                                    {result.blackLitterman && ` · ${result.blackLitterman.views.length} view${result.blackLitterman.views.length === 1 ? '' : 's'}`}
+                                </span>
+                            </div>
+                            <div className="panel-body">
+                                <BlackLittermanPanel
+                                    views={hrpOptions.views || []}
+                                    onChange={views => updateHrpOption('views', views)}
+                                    symbols={result.symbols}
+                                    sectors={[...new Set(result.symbols.map(s => getSector(s)))].sort()}
+                                    model={result.blackLitterman}
+                                    hrpWeights={result.rawWeights.hrp}
+                                    blWeights={result.rawWeights.blackLitterman}
+                                    getLabel={getAssetName}
+                                />
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Row 8: Efficient Frontier */}
+                    {result.frontier && (
+                        <div className="grid-row full">
+                            <div className="dashboard-panel">
+                                <div className="panel-header">
+                                    <span className="panel-title">Efficient Frontier</span>
+                                    <span className="text-xs text-muted">
+                                        Max Sharpe {result.frontier.maxSharpe.sharpe.toFixed(2)}
+                                        {' · '}Min variance {(result.frontier.minVariance.volatility * 100).toFixed(1)}% vol
+                                        {' · '}HRP Sharpe {result.frontier.portfolios[0].sharpe.toFixed(2)}
+                                    </span>
+                                </div>
+                                <div className="panel-body">
+                                    <EfficientFrontier
+                                        frontier={result.frontier}
+                                        assetLabel={getAssetName}
+                                        width={window.innerWidth < 768
+                                            ? window.innerWidth - 48
+                                            : Math.min(900, window.innerWidth - 340)}
+                                        height={360}
+                                    />
                                     <div className="methodology-disclaimer">
                                         <InfoIcon size={16} className="icon-warning" style={{ marginRight: '8px' }} />
-                                        <strong>Methodology Note:</strong> This backtest uses static weights
-                                        calculated from full-period correlations (in-sample). Real returns would
-                                        require periodic rebalancing. Past performance ≠ future results.
+                                        <strong>Methodology Note:</strong> The frontier is long-only
+                                        {hrpOptions.maxWeight ? ` with a ${hrpOptions.maxWeight * 100}% cap per stock` : ''} and
+                                        uses in-sample mean returns, which are noisy estimates - portfolios near the top of the
+                                        curve are the most sensitive to them. HRP needs no return forecasts at all.
                                     </div>
                                 </div>
                             </div>
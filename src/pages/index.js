@@ -3,3 +3,4 @@ export { DashboardPage } from './Dashboard';
 export { MyPortfolioPage } from './MyPortfolio';
 export { RiskAnalysisPage } from './RiskAnalysis';
 export { NextInvestmentPage } from './NextInvestment';
+export { CapitalGainsPage } from './CapitalGains';